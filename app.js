@@ -6,11 +6,17 @@
  */
 
 import express from "express";
+import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 
 import { errorHandler, notFoundHandler } from "./middleware/errorMiddleware.js";
 import { router as authRoutes } from "./routes/authRoutes.js";
+import { router as webauthnRoutes } from "./routes/webauthnRoutes.js";
 import { router as userRoutes } from "./routes/userRoutes.js";
+import { router as oauthRoutes } from "./routes/oauthRoutes.js";
+import { router as wellKnownRoutes } from "./routes/wellKnownRoutes.js";
+import { sessionConfig, rateLimitConfig } from "./config/auth.js";
+import { initKeyStore } from "./utils/keyStore.js";
 
 // load environment variables
 dotenv.config();
@@ -27,8 +33,15 @@ const app = express();
  */
 const port = process.env.PORT;
 
+// use the client IP from X-Forwarded-For when running behind proxies (needed for rate limiting by IP)
+app.set("trust proxy", rateLimitConfig.trustProxy);
+
 // middleware for parsing JSON bodies
 app.use(express.json());
+// middleware for parsing form bodies (used by token introspection and the OAuth token endpoint)
+app.use(express.urlencoded({ extended: false }));
+// middleware for parsing (signed) cookies used by session mode
+app.use(cookieParser(sessionConfig.secret));
 
 /**
  * Home route handler
@@ -44,13 +57,22 @@ app.get("/", (req, res) => {
 // routes
 // auth route
 app.use("/api/auth", authRoutes);
+// passkey routes
+app.use("/api/auth/webauthn", webauthnRoutes);
 // user routes
 app.use("/api/users", userRoutes);
+// OAuth 2.0 authorization server routes
+app.use("/oauth", oauthRoutes);
+// public discovery routes (JWKS)
+app.use("/.well-known", wellKnownRoutes);
 
 // error handling
 app.use(errorHandler);
 app.use(notFoundHandler);
 
+// create or rotate the signing key before the first token is signed (RS256 and EdDSA)
+await initKeyStore();
+
 /**
  * Start the Express server.
  * 
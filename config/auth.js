@@ -11,28 +11,375 @@ import dotenv from "dotenv";
 dotenv.config();
 
 /**
- * contains jwt secret and expiresIn from .env
+ * contains jwt secret, expiresIn and signing algorithm from .env
+ *  HS256 signs with the shared secret,
+ *  RS256 and EdDSA sign with key pairs stored in keysDir
  */
 const jwtConfig = {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN
+    expiresIn: process.env.JWT_EXPIRES_IN,
+    algorithm: process.env.JWT_ALGORITHM || "HS256",
+    keysDir: process.env.JWT_KEYS_DIR || "./keys",
+    keyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 0 // 0 means only rotate manually
 };
 
 /**
- * contains salt rounds for bcrypt from .env file
+ * contains the password hashing configs
+ *  algorithm is used for new hashes ("bcrypt" or "argon2id"), hashes of the other one still verify
+ *  and get replaced on the next login, like hashes with fewer saltRounds or weaker argon2 settings.
+ *  The argon2 defaults are the OWASP recommendation (19 MiB memory, 2 iterations, 1 thread)
  */
 const passwordConfig = {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || "bcrypt",
     saltRounds: process.env.SALT_ROUNDS || 10,
+    argon2: {
+        memoryCost: parseInt(process.env.ARGON2_MEMORY_COST, 10) || 19456, // in KiB
+        timeCost: parseInt(process.env.ARGON2_TIME_COST, 10) || 2,
+        parallelism: parseInt(process.env.ARGON2_PARALLELISM, 10) || 1
+    }
+};
+
+/**
+ * contains the password policy configs
+ *  maxLength is in bytes and can't be more than 72 because bcrypt ignores everything after that,
+ *  blocklistFile has one common password per line and
+ *  breachedCorpusDir (optional) holds SHA-1 range files like the ones from Have I Been Pwned (e.g. 5BAA6.txt)
+ */
+const passwordPolicyConfig = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72, 72),
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || "./config/common-passwords.txt",
+    breachedCorpusDir: process.env.PASSWORD_BREACHED_CORPUS_DIR || null
+};
+
+/**
+ * contains the username policy configs
+ *  maxLength can't be more than 25 because that's the size of the username column,
+ *  allowUnicode allows letters and digits of every script instead of only a-z and 0-9
+ *  (lookalikes are still caught by the confusable check),
+ *  reserved names (and names looking like them) can't be registered
+ */
+const usernamePolicyConfig = {
+    minLength: parseInt(process.env.USERNAME_MIN_LENGTH, 10) || 3,
+    maxLength: Math.min(parseInt(process.env.USERNAME_MAX_LENGTH, 10) || 25, 25),
+    allowUnicode: process.env.USERNAME_ALLOW_UNICODE === "true",
+    reserved: (process.env.USERNAME_RESERVED
+        || "admin,administrator,root,system,moderator,mod,staff,support,security,official,haru,haru_chat,everyone,here,null,undefined")
+        .split(",")
+        .map(name => name.trim())
+        .filter(Boolean)
+};
+
+/**
+ * contains the username change configs
+ *  users have to wait cooldown between their own changes (renames by admins don't count),
+ *  old usernames are held for holdPeriod before somebody else can take them,
+ *  usernames taken away by an admin are held for good
+ */
+const usernameChangeConfig = {
+    cooldown: (parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS, 10) || 30) * 24 * 60 * 60 * 1000, // 30 days by default
+    holdPeriod: (parseInt(process.env.USERNAME_HOLD_DAYS, 10) || 90) * 24 * 60 * 60 * 1000 // 90 days by default
+};
+
+/**
+ * contains the account lockout configs
+ *  after delayAfter failed logins every attempt has to wait longer (doubling up to maxDelay),
+ *  after lockAfter failed logins the account is locked for lockDuration.
+ *  Failures older than lockDuration are forgotten
+ */
+const lockoutConfig = {
+    delayAfter: parseInt(process.env.LOCKOUT_DELAY_AFTER, 10) || 3,
+    lockAfter: parseInt(process.env.LOCKOUT_LOCK_AFTER, 10) || 10,
+    baseDelay: (parseInt(process.env.LOCKOUT_BASE_DELAY_SECONDS, 10) || 1) * 1000, // 1 second by default
+    maxDelay: (parseInt(process.env.LOCKOUT_MAX_DELAY_SECONDS, 10) || 60) * 1000, // 1 minute by default
+    lockDuration: (parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15) * 60 * 1000 // 15 minutes by default
+};
+
+/**
+ * contains the login history configs
+ *  entries older than retentionDays are pruned every pruneInterval,
+ *  pages of the history have pageSize entries unless the client asks for up to maxPageSize
+ */
+const loginHistoryConfig = {
+    retentionDays: parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 90,
+    pruneInterval: (parseInt(process.env.LOGIN_HISTORY_PRUNE_MINUTES, 10) || 60) * 60 * 1000, // every hour by default
+    pageSize: 20,
+    maxPageSize: 100
+};
+
+/**
+ * contains the new device detection configs
+ *  action is "notify" (only send a security notification) or "confirm" (also ask for the second factor,
+ *  or for an emailed confirmation link if the user has no two-factor),
+ *  checkIpRange also treats logins from an unknown IPv4 /24 or IPv6 /48 network as new,
+ *  confirmationUrl is the frontend page the confirmation link points to, the token is added as ?token=
+ */
+const newDeviceConfig = {
+    action: process.env.NEW_DEVICE_ACTION || 'notify',
+    checkIpRange: process.env.NEW_DEVICE_CHECK_IP_RANGE !== 'false',
+    ipv4Prefix: 24,
+    ipv6Prefix: 48,
+    confirmationDuration: (parseInt(process.env.LOGIN_CONFIRMATION_MINUTES, 10) || 15) * 60 * 1000, // 15 minutes by default
+    confirmationUrl: process.env.LOGIN_CONFIRMATION_URL || 'http://localhost:8080/confirm-login'
+};
+
+/**
+ * contains the security notifier configs
+ *  notifier is "webhook" (POSTs every event as JSON to webhookUrl, signed with webhookSecret if set),
+ *  "file" (appends every event as a line of JSON to file, for local testing) or "console"
+ */
+const securityNotifierConfig = {
+    notifier: process.env.SECURITY_NOTIFIER || 'console',
+    file: process.env.SECURITY_NOTIFIER_FILE || './outbox/security-events.jsonl',
+    webhookUrl: process.env.SECURITY_WEBHOOK_URL,
+    webhookSecret: process.env.SECURITY_WEBHOOK_SECRET
+};
+
+/**
+ * contains the rate limiting configs
+ *  store is "memory" for a single instance or "postgres" to share the limits between instances,
+ *  trustProxy is the amount of proxies in front of the server (so the client IP can be used),
+ *  every policy allows ipMax requests per IP and usernameMax attempts per username in its window
+ */
+const rateLimitConfig = {
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0,
+    pruneInterval: 10 * 60 * 1000, // 10 minutes
+    policies: {
+        login: {
+            window: (parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_LOGIN_IP_MAX, 10) || 50,
+            usernameMax: parseInt(process.env.RATE_LIMIT_LOGIN_USERNAME_MAX, 10) || 20
+        },
+        register: {
+            window: (parseInt(process.env.RATE_LIMIT_REGISTER_WINDOW_MINUTES, 10) || 60) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_REGISTER_IP_MAX, 10) || 10
+        },
+        validate: {
+            window: (parseInt(process.env.RATE_LIMIT_VALIDATE_WINDOW_MINUTES, 10) || 1) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_VALIDATE_IP_MAX, 10) || 300
+        },
+        passwordReset: {
+            window: (parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_WINDOW_MINUTES, 10) || 60) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_IP_MAX, 10) || 10,
+            usernameMax: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_USERNAME_MAX, 10) || 3
+        },
+        magicLink: {
+            window: (parseInt(process.env.RATE_LIMIT_MAGIC_LINK_WINDOW_MINUTES, 10) || 60) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_MAGIC_LINK_IP_MAX, 10) || 10,
+            usernameMax: parseInt(process.env.RATE_LIMIT_MAGIC_LINK_USERNAME_MAX, 10) || 5
+        },
+        email: {
+            window: (parseInt(process.env.RATE_LIMIT_EMAIL_WINDOW_MINUTES, 10) || 60) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_EMAIL_IP_MAX, 10) || 20
+        },
+        twoFactor: {
+            window: (parseInt(process.env.RATE_LIMIT_TWO_FACTOR_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_TWO_FACTOR_IP_MAX, 10) || 10
+        },
+        admin: {
+            window: (parseInt(process.env.RATE_LIMIT_ADMIN_WINDOW_MINUTES, 10) || 1) * 60 * 1000,
+            ipMax: parseInt(process.env.RATE_LIMIT_ADMIN_IP_MAX, 10) || 60
+        }
+    }
+};
+
+/**
+ * contains the mail configs
+ *  transport is "smtp", "file" (writes every mail to outboxDir, for local testing) or "console"
+ */
+const mailConfig = {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Haru_Chat <no-reply@localhost>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || './outbox',
+    smtp: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        // true for implicit TLS (port 465), otherwise STARTTLS is used when the server offers it
+        secure: process.env.SMTP_SECURE === 'true',
+        // without TLS mails aren't sent at all (and credentials never are), only turn off for local mail servers
+        requireTls: process.env.SMTP_REQUIRE_TLS !== 'false',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+    }
+};
+
+/**
+ * contains the email address configs
+ *  required makes an email address mandatory on registration,
+ *  verificationUrl is the frontend page the verification link points to, the token is added as ?token=
+ */
+const emailConfig = {
+    required: process.env.EMAIL_REQUIRED === 'true',
+    verificationDuration: (parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 24) * 60 * 60 * 1000, // 24 hours by default
+    verificationUrl: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:8080/verify-email'
+};
+
+/**
+ * contains the password reset configs
+ *  url is the frontend page the reset link points to, the token is added as ?token=
+ */
+const passwordResetConfig = {
+    duration: (parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 30) * 60 * 1000, // 30 minutes by default
+    url: process.env.PASSWORD_RESET_URL || 'http://localhost:8080/reset-password'
+};
+
+/**
+ * contains the magic link configs
+ *  url is the frontend page the login link points to, the token is added as ?token=,
+ *  every account gets at most accountMax links per accountWindow (whatever username or address is asked with)
+ */
+const magicLinkConfig = {
+    duration: (parseInt(process.env.MAGIC_LINK_MINUTES, 10) || 15) * 60 * 1000, // 15 minutes by default
+    url: process.env.MAGIC_LINK_URL || 'http://localhost:8080/magic-link',
+    accountMax: parseInt(process.env.MAGIC_LINK_ACCOUNT_MAX, 10) || 5,
+    accountWindow: (parseInt(process.env.MAGIC_LINK_ACCOUNT_WINDOW_MINUTES, 10) || 60) * 60 * 1000 // 1 hour by default
 };
 
 /**
  * contains the sessions configs
  *  such as cookie name, secret and the duration of the session
+ *  the cookie is signed with the secret
  */
 const sessionConfig = {
     cookieName: 'auth_session',
     secret: process.env.SESSION_SECRET,
-    duration: 24 * 60 * 60 * 1000 // 24 hours
+    duration: 24 * 60 * 60 * 1000, // 24 hours
+    sameSite: process.env.SESSION_SAME_SITE || 'strict',
+    csrfHeader: 'x-csrf-token'
+};
+
+/**
+ * contains the CORS configs of the routes the frontend calls
+ *  origins is the allow-list of frontend origins from CORS_ORIGINS (comma separated),
+ *  browsers don't allow a wildcard for requests with credentials (session cookies)
+ */
+const corsConfig = {
+    origins: (process.env.CORS_ORIGINS || 'http://localhost:8080')
+        .split(",")
+        .map(origin => origin.trim())
+        .filter(Boolean)
+};
+
+/**
+ * contains the refresh token configs
+ *  such as how long a refresh token is valid for
+ */
+const refreshTokenConfig = {
+    duration: (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30) * 24 * 60 * 60 * 1000 // 30 days by default
+};
+
+/**
+ * contains the token revocation configs
+ *  such as how often expired revocations are pruned
+ */
+const revocationConfig = {
+    pruneInterval: (parseInt(process.env.REVOCATION_PRUNE_MINUTES, 10) || 60) * 60 * 1000 // every hour by default
+};
+
+/**
+ * contains the service clients allowed to use token introspection
+ *  from INTROSPECTION_CLIENTS as comma separated client IDs, only haru_chat_server by default
+ */
+const introspectionConfig = {
+    clients: (process.env.INTROSPECTION_CLIENTS || "haru_chat_server")
+        .split(",")
+        .map(clientId => clientId.trim())
+        .filter(Boolean)
+};
+
+/**
+ * contains the two-factor authentication configs
+ *  such as the issuer shown in authenticator apps,
+ *  the key TOTP secrets are encrypted with and how long a login challenge lasts
+ */
+const twoFactorConfig = {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Haru_Chat',
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+    challengeDuration: 5 * 60 * 1000, // 5 minutes
+    maxChallengeAttempts: 5,
+    backupCodeCount: 10
+};
+
+/**
+ * contains the WebAuthn (passkey) configs
+ *  rpID is the domain passkeys are bound to and origin is where the frontend runs
+ */
+const webauthnConfig = {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Haru_Chat',
+    rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+    origin: process.env.WEBAUTHN_ORIGIN || 'http://localhost:3000',
+    ceremonyDuration: 5 * 60 * 1000 // 5 minutes
+};
+
+/**
+ * contains the OAuth 2.0 authorization server and OpenID Connect configs
+ *  such as the scopes third-party clients can ask for (with the text shown on the consent screen),
+ *  how long an authorization code lasts, the issuer of id tokens
+ *  and where the consent screen is (the frontend page calling /oauth/authorize).
+ *  OpenID Connect (the openid scope) needs RS256 or EdDSA, clients can't verify HS256 id tokens
+ *  without our secret and only the hash of their client secret is stored
+ */
+const oauthConfig = {
+    issuer: process.env.OIDC_ISSUER || 'http://localhost:3000',
+    authorizationEndpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT,
+    oidcEnabled: jwtConfig.algorithm !== "HS256",
+    scopes: {
+        ...(jwtConfig.algorithm !== "HS256" && { "openid": "Sign you in with your Haru_Chat account" }),
+        "profile": "See your username",
+        "chat:read": "Read your chats and messages",
+        "chat:write": "Send messages as you"
+    },
+    authorizationCodeDuration: 60 * 1000 // 1 minute
+};
+
+/**
+ * contains the personal access token configs
+ *  such as the prefix that tells them apart from JWTs
+ *  and the scopes a token can have (admin only for admins)
+ */
+const personalAccessTokenConfig = {
+    prefix: 'haru_pat_',
+    scopes: {
+        "profile": "See your username",
+        "chat:read": "Read your chats and messages",
+        "chat:write": "Send messages as you",
+        "admin": "Manage users"
+    },
+    maxPerUser: 50
+};
+
+/**
+ * contains the connection ticket configs
+ *  tickets are exchanged by the chat server during the handshake so they only live shortly
+ */
+const ticketConfig = {
+    duration: 30 * 1000 // 30 seconds
 };
 
-export { jwtConfig, passwordConfig, sessionConfig };
\ No newline at end of file
+export {
+    jwtConfig,
+    passwordConfig,
+    passwordPolicyConfig,
+    usernamePolicyConfig,
+    usernameChangeConfig,
+    lockoutConfig,
+    loginHistoryConfig,
+    newDeviceConfig,
+    securityNotifierConfig,
+    rateLimitConfig,
+    mailConfig,
+    emailConfig,
+    passwordResetConfig,
+    magicLinkConfig,
+    sessionConfig,
+    corsConfig,
+    refreshTokenConfig,
+    revocationConfig,
+    introspectionConfig,
+    twoFactorConfig,
+    webauthnConfig,
+    oauthConfig,
+    personalAccessTokenConfig,
+    ticketConfig
+};
\ No newline at end of file
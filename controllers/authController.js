@@ -7,6 +7,8 @@
 
 import { AuthenticationError, ValidationError } from "../middleware/errorMiddleware.js";
 import { AuthService } from "../services/authService.js";
+import { sendLoginResult, clearSessionCookie } from "../utils/cookieUtils.js";
+import { getDeviceInfo } from "../utils/deviceUtils.js";
 
 /**
  * Express objects and functions
@@ -37,13 +39,13 @@ class AuthController {
      */
     register = async (req, res, next) => {
         try {
-            const { username, password } = req.body;
+            const { username, password, email } = req.body;
 
             if (!username || !password) {
                 throw new ValidationError("Username and password are required");
             }
 
-            const result = await this._authService.register(username, password);
+            const result = await this._authService.register(username, password, email);
             res.status(201).json(result);
         } catch (error) {
             next(error);
@@ -52,6 +54,8 @@ class AuthController {
 
     /**
      * logs in a user
+     * With mode "session" a session cookie is set instead of returning tokens (for browser clients)
+     * Users with two-factor enabled get a challenge token to use with loginTwoFactor
      * 
      * @async
      * @param {Request} req - Express request object. 
@@ -60,19 +64,92 @@ class AuthController {
      */
     login = async (req, res, next) => {
         try {
-            const { username, password } = req.body;
+            const { username, password, mode } = req.body;
 
             if (!username || !password) {
                 throw new ValidationError("Username and password are required");
             }
 
-            const result = await this._authService.login(username, password);
-            res.status(200).json(result);
+            const device = getDeviceInfo(req);
+            const result = mode === "session"
+                ? await this._authService.loginWithSession(username, password, device)
+                : await this._authService.login(username, password, device);
+
+            sendLoginResult(res, result);
         } catch (error) {
             next(error);
         }
     }
 
+    /**
+     * Completes a login of a user with two-factor enabled.
+     * 
+     * @async
+     * @param {Request} req - Express request object. 
+     * @param {Response} res - Express response object. 
+     * @param {Function} next - Express next middleware function. 
+     */
+    loginTwoFactor = async (req, res, next) => {
+        try {
+            const { challengeToken, code } = req.body;
+
+            if (!challengeToken || !code) {
+                throw new ValidationError("Challenge token and code are required");
+            }
+
+            const result = await this._authService.loginWithTwoFactor(challengeToken, code, getDeviceInfo(req));
+            sendLoginResult(res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Completes a login from a new device with the token from the confirmation link.
+     * 
+     * @async
+     * @param {Request} req - Express request object.
+     * @param {Response} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    loginConfirm = async (req, res, next) => {
+        try {
+            const { token } = req.body;
+
+            if (!token) {
+                throw new ValidationError("Confirmation token is required");
+            }
+
+            const result = await this._authService.loginWithConfirmation(token);
+            sendLoginResult(res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Exchanges a refresh token for a new token and refresh token.
+     * 
+     * @async
+     * @param {Request} req - Express request object. 
+     * @param {Response} res - Express response object. 
+     * @param {Function} next - Express next middleware function. 
+     */
+    refresh = async (req, res, next) => {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                throw new ValidationError("Refresh token is required");
+            }
+
+            const result = await this._authService.refresh(refreshToken);
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
     /**
      * Validates a user.
      * 
@@ -107,6 +184,126 @@ class AuthController {
         }
     }
 
+    /**
+     * Introspects a token for a resource server (RFC 7662).
+     * 
+     * @async
+     * @param {Request} req - Express request object.
+     * @param {Response} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    introspect = async (req, res, next) => {
+        try {
+            const { token } = req.body || {};
+
+            const result = await this._authService.introspect(token);
+
+            // introspection responses must not be cached
+            res.set("Cache-Control", "no-store");
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Logs out the current token.
+     * 
+     * @async
+     * @param {Request} req - Express request object.
+     * @param {Response} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    logout = async (req, res, next) => {
+        try {
+            const { refreshToken } = req.body || {};
+
+            const result = await this._authService.logout(req.user, refreshToken);
+
+            if (req.user.sessionId) {
+                clearSessionCookie(res);
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Logs out the current user on every device.
+     * 
+     * @async
+     * @param {Request} req - Express request object.
+     * @param {Response} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    logoutAll = async (req, res, next) => {
+        try {
+            const result = await this._authService.logoutAll(req.user.userId);
+
+            if (req.user.sessionId) {
+                clearSessionCookie(res);
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Changes the password of the current user.
+     * Every other login is logged out, the current one gets a new token (or session cookie).
+     * 
+     * @async
+     * @param {Request} req - Express request object.
+     * @param {Response} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    changePassword = async (req, res, next) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            if (!currentPassword || !newPassword) {
+                throw new ValidationError("Current password and new password are required");
+            }
+
+            const result = await this._authService.changePassword(
+                req.user,
+                currentPassword,
+                newPassword,
+                getDeviceInfo(req)
+            );
+            sendLoginResult(res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Gets the current session and its CSRF token.
+     * Lets a browser client get the CSRF token again after a page reload.
+     * 
+     * @async
+     * @param {Request} req - Express request object.
+     * @param {Response} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    getSession = async (req, res, next) => {
+        try {
+            if (!req.session) {
+                throw new ValidationError("Not authenticated with a session");
+            }
+
+            res.status(200).json({
+                success: true,
+                csrfToken: req.session.csrfToken,
+                expiresAt: req.session.expiresAt
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
    /**
     * Gets the current user information
     *  
@@ -0,0 +1,112 @@
+/**
+ * Device controller for Haru_Chat.
+ * Handles HTTP requests for listing, trusting and forgetting the devices of users
+ * 
+ * @module controllers/deviceController
+ */
+
+import { NotFoundError, ValidationError } from "../middleware/errorMiddleware.js";
+import { DeviceService } from "../services/deviceService.js";
+import { getDeviceInfo } from "../utils/deviceUtils.js";
+
+/**
+ * Controller class for devices
+ */
+class DeviceController {
+    /**
+     * Creates an instance of DeviceController.
+     * 
+     * @param {DeviceService} deviceService - Service handling devices
+     */
+    constructor(deviceService) {
+        this._deviceService = deviceService;
+    }
+
+    /**
+     * Lists the devices the current user has logged in from.
+     * The device of the request is marked as current.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    list = async (req, res, next) => {
+        try {
+            res.json({
+                success: true,
+                devices: await this._deviceService.list(req.user.userId, getDeviceInfo(req))
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Marks a device of the current user as trusted or not trusted.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID or trusted is invalid or the device can't be trusted
+     * @throws {NotFoundError} If the user has no device with that ID
+     */
+    update = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+            const { trusted } = req.body || {};
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+            if (typeof trusted !== "boolean") {
+                throw new ValidationError("trusted must be a boolean");
+            }
+
+            if (!await this._deviceService.setTrusted(req.user.userId, id, trusted)) {
+                throw new NotFoundError("Device not found");
+            }
+
+            res.json({
+                success: true,
+                message: trusted ? "Device trusted" : "Device no longer trusted"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Forgets a device of the current user, its next login counts as new again.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     * @throws {NotFoundError} If the user has no device with that ID
+     */
+    remove = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            if (!await this._deviceService.forget(req.user.userId, id)) {
+                throw new NotFoundError("Device not found");
+            }
+
+            res.json({
+                success: true,
+                message: "Device removed successfully"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { DeviceController };
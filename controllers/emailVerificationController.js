@@ -0,0 +1,101 @@
+/**
+ * Email verification controller for Haru_Chat.
+ * Handles HTTP requests for verifying and changing email addresses
+ * 
+ * @module controllers/emailVerificationController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { EmailVerificationService } from "../services/emailVerificationService.js";
+
+/**
+ * Controller class for email verification
+ */
+class EmailVerificationController {
+    /**
+     * Creates an instance of EmailVerificationController.
+     * 
+     * @param {EmailVerificationService} emailVerificationService - Service handling email verification
+     */
+    constructor(emailVerificationService) {
+        this._emailVerificationService = emailVerificationService;
+    }
+
+    /**
+     * Verifies an email address with the token from a verification link.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    verify = async (req, res, next) => {
+        try {
+            const { token } = req.body || {};
+
+            if (!token || typeof token !== "string") {
+                throw new ValidationError("Token is required");
+            }
+
+            const email = await this._emailVerificationService.verify(token);
+
+            res.json({
+                success: true,
+                message: "Email address verified",
+                email
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Sends a new verification link for the current email address.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    resend = async (req, res, next) => {
+        try {
+            await this._emailVerificationService.resend(req.user.userId);
+
+            res.status(202).json({
+                success: true,
+                message: "Verification link sent"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Starts changing the email address of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    change = async (req, res, next) => {
+        try {
+            const { email, password } = req.body || {};
+
+            if (!email || !password) {
+                throw new ValidationError("Email address and password are required");
+            }
+
+            await this._emailVerificationService.requestChange(req.user.userId, email, password);
+
+            res.status(202).json({
+                success: true,
+                message: "Verification link sent to the new email address, it will be used once it's verified"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { EmailVerificationController };
@@ -0,0 +1,98 @@
+/**
+ * Login history controller for Haru_Chat.
+ * Handles HTTP requests for the login history of users
+ * 
+ * @module controllers/loginHistoryController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { LoginHistoryService } from "../services/loginHistoryService.js";
+import { loginHistoryConfig } from "../config/auth.js";
+
+/**
+ * Controller class for the login history
+ */
+class LoginHistoryController {
+    /**
+     * Creates an instance of LoginHistoryController.
+     * 
+     * @param {LoginHistoryService} loginHistoryService - Service handling the login history
+     */
+    constructor(loginHistoryService) {
+        this._loginHistoryService = loginHistoryService;
+    }
+
+    /**
+     * Gets a page of the login history of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If page or limit is invalid
+     */
+    list = async (req, res, next) => {
+        try {
+            res.json(await this._getPage(req.user.userId, req.query));
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Gets a page of the login history of a user (admin).
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID, page or limit is invalid
+     */
+    listForUser = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            res.json(await this._getPage(id, req.query));
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Gets the page of the login history asked for in the query.
+     * 
+     * @async
+     * @private
+     * @param {number} userId - ID of the user
+     * @param {Object} query - Query with page (starting at 1) and limit, both optional
+     * @returns {Promise<Object>} Response body with the logins and the pagination
+     * @throws {ValidationError} If page or limit is invalid
+     */
+    async _getPage(userId, query) {
+        const page = query.page === undefined ? 1 : Number(query.page);
+        const limit = query.limit === undefined ? loginHistoryConfig.pageSize : Number(query.limit);
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw new ValidationError("page must be a positive integer");
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > loginHistoryConfig.maxPageSize) {
+            throw new ValidationError(`limit must be an integer from 1 to ${loginHistoryConfig.maxPageSize}`);
+        }
+
+        const { logins, total } = await this._loginHistoryService.list(userId, page, limit);
+
+        return {
+            success: true,
+            logins,
+            page,
+            limit,
+            total
+        };
+    }
+}
+
+export { LoginHistoryController };
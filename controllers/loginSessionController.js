@@ -0,0 +1,128 @@
+/**
+ * Login session controller for Haru_Chat.
+ * Handles HTTP requests for listing and revoking the login sessions (devices) of users
+ * 
+ * @module controllers/loginSessionController
+ */
+
+import { NotFoundError, ValidationError } from "../middleware/errorMiddleware.js";
+import { LoginSessionService } from "../services/loginSessionService.js";
+
+/**
+ * Controller class for login sessions
+ */
+class LoginSessionController {
+    /**
+     * Creates an instance of LoginSessionController.
+     * 
+     * @param {LoginSessionService} loginSessionService - Service handling login sessions
+     */
+    constructor(loginSessionService) {
+        this._loginSessionService = loginSessionService;
+    }
+
+    /**
+     * Lists the login sessions of the current user.
+     * The session of the request is marked as current.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    list = async (req, res, next) => {
+        try {
+            const sessions = await this._loginSessionService.list(req.user.userId);
+
+            res.json({
+                success: true,
+                sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Revokes a login session of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {NotFoundError} If the user has no active session with that ID
+     */
+    revoke = async (req, res, next) => {
+        try {
+            if (!await this._loginSessionService.revoke(req.user.userId, req.params.id)) {
+                throw new NotFoundError("Session not found");
+            }
+
+            res.json({
+                success: true,
+                message: "Session revoked successfully"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Lists the login sessions of a user (admin).
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     */
+    listForUser = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            res.json({
+                success: true,
+                sessions: await this._loginSessionService.list(id)
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Revokes a login session of a user (admin).
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     * @throws {NotFoundError} If the user has no active session with that ID
+     */
+    revokeForUser = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            if (!await this._loginSessionService.revoke(id, req.params.sessionId)) {
+                throw new NotFoundError("Session not found");
+            }
+
+            res.json({
+                success: true,
+                message: "Session revoked successfully"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { LoginSessionController };
@@ -0,0 +1,86 @@
+/**
+ * Magic link controller for Haru_Chat.
+ * Handles HTTP requests for passwordless logins by mail
+ * 
+ * @module controllers/magicLinkController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { MagicLinkService } from "../services/magicLinkService.js";
+import { AuthService } from "../services/authService.js";
+import { sendLoginResult } from "../utils/cookieUtils.js";
+import { getDeviceInfo } from "../utils/deviceUtils.js";
+
+/**
+ * Controller class for magic links
+ */
+class MagicLinkController {
+    /**
+     * Creates an instance of MagicLinkController.
+     * 
+     * @param {MagicLinkService} magicLinkService - Service handling magic links
+     * @param {AuthService} authService - Service handling authentication logic
+     */
+    constructor(magicLinkService, authService) {
+        this._magicLinkService = magicLinkService;
+        this._authService = authService;
+    }
+
+    /**
+     * Sends a login link to the user.
+     * Always answers the same so nobody can find out which accounts exist.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    request = async (req, res, next) => {
+        try {
+            const { username } = req.body || {};
+
+            if (!username || typeof username !== "string") {
+                throw new ValidationError("Username or email address is required");
+            }
+
+            this._magicLinkService.requestLink(username);
+
+            res.status(202).json({
+                success: true,
+                message: "If the account exists and has a verified email address, a login link has been sent"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Logs a user in with the token from a magic link.
+     * With mode "session" a session cookie is set instead of returning tokens.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    consume = async (req, res, next) => {
+        try {
+            const { token, mode } = req.body || {};
+
+            if (!token || typeof token !== "string") {
+                throw new ValidationError("Magic link token is required");
+            }
+
+            const result = await this._authService.loginWithMagicLink(
+                token,
+                mode === "session" ? "session" : "token",
+                getDeviceInfo(req)
+            );
+            sendLoginResult(res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { MagicLinkController };
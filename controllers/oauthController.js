@@ -0,0 +1,185 @@
+/**
+ * OAuth controller for Haru_Chat.
+ * Handles HTTP requests for the OAuth 2.0 authorization server:
+ * the consent step, the token endpoint, OpenID Connect userinfo and client management
+ * 
+ * @module controllers/oauthController
+ */
+
+import { OAuthService } from "../services/oauthService.js";
+import { extractClientCredentials } from "../utils/tokenUtils.js";
+
+/**
+ * Controller class for OAuth 2.0
+ */
+class OAuthController {
+    /**
+     * Creates an instance of OAuthController.
+     * 
+     * @param {OAuthService} oauthService - Service handling OAuth logic
+     */
+    constructor(oauthService) {
+        this._oauthService = oauthService;
+    }
+
+    /**
+     * Validates an authorization request and returns what the consent screen should show.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    getConsent = async (req, res, next) => {
+        try {
+            const consent = await this._oauthService.getConsentDetails(req.query);
+
+            res.status(200).json({
+                success: true,
+                ...consent
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Approves or denies an authorization request for the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    authorize = async (req, res, next) => {
+        try {
+            const { approved, ...params } = req.body || {};
+
+            const redirectTo = await this._oauthService.authorize(req.user.userId, params, approved === true);
+
+            res.status(200).json({
+                success: true,
+                redirectTo
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Token endpoint, exchanges an authorization code or refresh token for tokens.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    token = async (req, res, next) => {
+        try {
+            const result = await this._oauthService.token(extractClientCredentials(req), req.body || {});
+
+            // token responses must not be cached (RFC 6749 5.1)
+            res.set("Cache-Control", "no-store");
+            res.status(200).json(result);
+        } catch (error) {
+            if (error.error === "invalid_client" && req.headers.authorization?.startsWith("Basic ")) {
+                res.set("WWW-Authenticate", 'Basic realm="haru_chat"');
+            }
+            next(error);
+        }
+    };
+
+    /**
+     * OpenID Connect userinfo endpoint, gets the claims of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    userInfo = async (req, res, next) => {
+        try {
+            // tokens from a normal login aren't limited by scopes
+            const scope = req.user.scope !== undefined ? req.user.scope.split(" ") : null;
+
+            const claims = await this._oauthService.getUserInfo(req.user.userId, scope);
+
+            res.set("Cache-Control", "no-store");
+            res.status(200).json(claims);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Registers a new OAuth client or service client.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    createClient = async (req, res, next) => {
+        try {
+            const { type, clientId, name, redirectUris, scopes, confidential } = req.body;
+
+            const result = type === "service"
+                ? await this._oauthService.createServiceClient(clientId, name)
+                : await this._oauthService.createClient(name, redirectUris, scopes, confidential !== false);
+
+            res.status(201).json({
+                success: true,
+                message: result.clientSecret
+                    ? "Client created, store the secret now it won't be shown again"
+                    : "Client created",
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Lists every OAuth client.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    listClients = async (req, res, next) => {
+        try {
+            const clients = await this._oauthService.listClients();
+
+            res.status(200).json({
+                success: true,
+                clients
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Deletes an OAuth client.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    deleteClient = async (req, res, next) => {
+        try {
+            await this._oauthService.deleteClient(req.params.clientId);
+
+            res.status(200).json({
+                success: true,
+                message: "Client deleted"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { OAuthController };
@@ -0,0 +1,80 @@
+/**
+ * Password reset controller for Haru_Chat.
+ * Handles HTTP requests for forgotten passwords
+ * 
+ * @module controllers/passwordResetController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { PasswordResetService } from "../services/passwordResetService.js";
+
+/**
+ * Controller class for password resets
+ */
+class PasswordResetController {
+    /**
+     * Creates an instance of PasswordResetController.
+     * 
+     * @param {PasswordResetService} passwordResetService - Service handling password resets
+     */
+    constructor(passwordResetService) {
+        this._passwordResetService = passwordResetService;
+    }
+
+    /**
+     * Sends a reset link to the user.
+     * Always answers the same so nobody can find out which accounts exist.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    forgot = async (req, res, next) => {
+        try {
+            const { username } = req.body || {};
+
+            if (!username || typeof username !== "string") {
+                throw new ValidationError("Username or email address is required");
+            }
+
+            this._passwordResetService.requestReset(username);
+
+            res.status(202).json({
+                success: true,
+                message: "If the account exists and has a verified email address, a reset link has been sent"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Sets a new password with a reset token.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    reset = async (req, res, next) => {
+        try {
+            const { token, newPassword } = req.body || {};
+
+            if (typeof token !== "string" || typeof newPassword !== "string" || !token || !newPassword) {
+                throw new ValidationError("Token and new password are required");
+            }
+
+            await this._passwordResetService.resetPassword(token, newPassword);
+
+            res.json({
+                success: true,
+                message: "Password reset successfully, please log in with the new password"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { PasswordResetController };
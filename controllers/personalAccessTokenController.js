@@ -0,0 +1,103 @@
+/**
+ * Personal access token controller for Haru_Chat.
+ * Handles HTTP requests for creating, listing and revoking personal access tokens
+ * 
+ * @module controllers/personalAccessTokenController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { PersonalAccessTokenService } from "../services/personalAccessTokenService.js";
+
+/**
+ * Controller class for personal access tokens
+ */
+class PersonalAccessTokenController {
+    /**
+     * Creates an instance of PersonalAccessTokenController.
+     * 
+     * @param {PersonalAccessTokenService} personalAccessTokenService - Service handling personal access tokens
+     */
+    constructor(personalAccessTokenService) {
+        this._personalAccessTokenService = personalAccessTokenService;
+    }
+
+    /**
+     * Creates a personal access token for the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    create = async (req, res, next) => {
+        try {
+            const { name, scopes, expiresInDays } = req.body;
+
+            const result = await this._personalAccessTokenService.create(
+                { id: req.user.userId, roles: req.user.roles },
+                name,
+                scopes,
+                expiresInDays ?? null
+            );
+
+            res.status(201).json({
+                success: true,
+                message: "Token created, store it now it won't be shown again",
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Lists the personal access tokens of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    list = async (req, res, next) => {
+        try {
+            const tokens = await this._personalAccessTokenService.list(req.user.userId);
+
+            res.json({
+                success: true,
+                tokens
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Revokes a personal access token of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     */
+    revoke = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            await this._personalAccessTokenService.revoke(req.user.userId, id);
+
+            res.json({
+                success: true,
+                message: "Token revoked successfully"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { PersonalAccessTokenController };
@@ -0,0 +1,76 @@
+/**
+ * Ticket controller for Haru_Chat.
+ * Handles HTTP requests for creating and redeeming connection tickets
+ * 
+ * @module controllers/ticketController
+ */
+
+import { TicketService } from "../services/ticketService.js";
+
+/**
+ * Controller class for connection tickets
+ */
+class TicketController {
+    /**
+     * Creates an instance of TicketController.
+     * 
+     * @param {TicketService} ticketService - Service handling connection tickets
+     */
+    constructor(ticketService) {
+        this._ticketService = ticketService;
+    }
+
+    /**
+     * Creates a connection ticket for the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    issue = async (req, res, next) => {
+        try {
+            const { audience } = req.body || {};
+            const scope = req.user.scope !== undefined ? req.user.scope.split(" ") : null;
+
+            // tokens limited by scopes (OAuth clients, personal access tokens) don't pass on the user's roles
+            const roles = scope ? [] : req.user.roles || [];
+
+            const result = await this._ticketService.issue(req.user.userId, audience, scope, roles);
+
+            res.set("Cache-Control", "no-store");
+            res.status(201).json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Redeems a connection ticket for the chat server calling.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    redeem = async (req, res, next) => {
+        try {
+            const { ticket } = req.body || {};
+
+            const result = await this._ticketService.redeem(ticket, req.client.clientId);
+
+            res.set("Cache-Control", "no-store");
+            res.status(200).json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { TicketController };
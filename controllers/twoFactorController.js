@@ -0,0 +1,133 @@
+/**
+ * Two-factor controller for Haru_Chat.
+ * Handles HTTP requests for managing two-factor authentication
+ * 
+ * @module controllers/twoFactorController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { TwoFactorService } from "../services/twoFactorService.js";
+
+/**
+ * Controller class for two-factor management. operations include enroll, confirm, disable and backup codes
+ */
+class TwoFactorController {
+    /**
+     * Creates an instance of TwoFactorController.
+     * 
+     * @param {TwoFactorService} twoFactorService - Service handling two-factor logic
+     */
+    constructor(twoFactorService) {
+        this._twoFactorService = twoFactorService;
+    }
+
+    /**
+     * Starts two-factor enrollment.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    enroll = async (req, res, next) => {
+        try {
+            const result = await this._twoFactorService.enroll(req.user.userId, req.user.username);
+
+            res.status(200).json({
+                success: true,
+                message: "Scan the secret with an authenticator app and confirm with a code",
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Confirms two-factor enrollment with a code.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If code is missing
+     */
+    confirm = async (req, res, next) => {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                throw new ValidationError("Code is required");
+            }
+
+            const backupCodes = await this._twoFactorService.confirm(req.user.userId, code);
+
+            res.status(200).json({
+                success: true,
+                message: "Two-factor authentication enabled",
+                backupCodes
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Disables two-factor authentication.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If code is missing
+     */
+    disable = async (req, res, next) => {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                throw new ValidationError("Code is required");
+            }
+
+            await this._twoFactorService.disable(req.user.userId, code);
+
+            res.status(200).json({
+                success: true,
+                message: "Two-factor authentication disabled"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Replaces the backup codes with new ones.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If code is missing
+     */
+    regenerateBackupCodes = async (req, res, next) => {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                throw new ValidationError("Code is required");
+            }
+
+            const backupCodes = await this._twoFactorService.regenerateBackupCodes(req.user.userId, code);
+
+            res.status(200).json({
+                success: true,
+                message: "Backup codes regenerated",
+                backupCodes
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { TwoFactorController };
@@ -7,6 +7,8 @@
 
 import { ForbiddenError, NotFoundError, ValidationError } from "../middleware/errorMiddleware.js";
 import { UserService } from "../services/userService.js";
+import { User } from "../models/User.js";
+import { emailConfig } from "../config/auth.js";
 
 /**
  * Controller class for user management
@@ -33,13 +35,19 @@ class UserController {
      */
     createUser = async (req, res, next) => {
         try {
-            const { username, password } = req.body;
+            const { username, password, email } = req.body;
 
             if (!username || !password) {
                 throw new ValidationError("Username and password are required");
             }
+            if (emailConfig.required && !email) {
+                throw new ValidationError("Email address is required");
+            }
+            if (email !== undefined && email !== null && !User.isValidEmail(email)) {
+                throw new ValidationError("Invalid email address");
+            }
 
-            const user = await this._userService.createUser(username, password);
+            const user = await this._userService.createUser(username, password, email || null);
             res.status(201).json({
                 success: true,
                 message: "User created successfully"
@@ -187,6 +195,39 @@ class UserController {
         }
     };
 
+    /**
+     * Unlocks a user locked out after too many failed logins.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     * @throws {NotFoundError} If user not found
+     */
+    unlockUser = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+            
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+            
+            const result = await this._userService.unlockUser(id);
+            
+            if (!result) {
+                throw new NotFoundError("User not found");
+            }
+            
+            res.json({
+                success: true,
+                message: "User unlocked successfully"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
     /**
      * Gets all users.
      * 
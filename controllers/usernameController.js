@@ -0,0 +1,135 @@
+/**
+ * Username controller for Haru_Chat.
+ * Handles HTTP requests for changing usernames, the username history
+ * and resolving old usernames
+ * 
+ * @module controllers/usernameController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { UsernameService } from "../services/usernameService.js";
+
+/**
+ * Controller class for usernames
+ */
+class UsernameController {
+    /**
+     * Creates an instance of UsernameController.
+     * 
+     * @param {UsernameService} usernameService - Service handling username changes
+     */
+    constructor(usernameService) {
+        this._usernameService = usernameService;
+    }
+
+    /**
+     * Changes the username of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If the username is missing
+     */
+    change = async (req, res, next) => {
+        try {
+            const { username } = req.body || {};
+
+            if (!username || typeof username !== "string") {
+                throw new ValidationError("Username is required");
+            }
+
+            const result = await this._usernameService.change(req.user.userId, username);
+
+            res.json({
+                success: true,
+                message: "Username changed successfully",
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Renames a user (admin).
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID or username is invalid
+     */
+    forceRename = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+            const { username } = req.body || {};
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+            if (!username || typeof username !== "string") {
+                throw new ValidationError("Username is required");
+            }
+
+            const result = await this._usernameService.forceRename(id, username, req.user.userId);
+
+            res.json({
+                success: true,
+                message: "User renamed successfully",
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Gets the earlier usernames of a user (admin).
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     */
+    listForUser = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            res.json({
+                success: true,
+                usernames: await this._usernameService.getHistory(id)
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Resolves a current or old username to the ID and current username of its user (chat server).
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    resolve = async (req, res, next) => {
+        try {
+            const result = await this._usernameService.resolve(req.params.username);
+
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { UsernameController };
@@ -0,0 +1,224 @@
+/**
+ * WebAuthn controller for Haru_Chat.
+ * Handles HTTP requests for passkey registration, passkey login and managing passkeys
+ * 
+ * @module controllers/webauthnController
+ */
+
+import { ValidationError } from "../middleware/errorMiddleware.js";
+import { WebAuthnService } from "../services/webauthnService.js";
+import { AuthService } from "../services/authService.js";
+import { sendLoginResult } from "../utils/cookieUtils.js";
+import { getDeviceInfo } from "../utils/deviceUtils.js";
+
+/**
+ * Controller class for passkeys
+ */
+class WebAuthnController {
+    /**
+     * Creates an instance of WebAuthnController.
+     * 
+     * @param {WebAuthnService} webauthnService - Service handling passkeys
+     * @param {AuthService} authService - Service handling logins
+     */
+    constructor(webauthnService, authService) {
+        this._webauthnService = webauthnService;
+        this._authService = authService;
+    }
+
+    /**
+     * Starts registering a passkey for the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    registerOptions = async (req, res, next) => {
+        try {
+            const result = await this._webauthnService.startRegistration(req.user.userId, req.user.username);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Finishes registering a passkey for the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ceremony token or response is missing
+     */
+    registerVerify = async (req, res, next) => {
+        try {
+            const { ceremonyToken, response, name } = req.body;
+
+            if (!ceremonyToken || !response) {
+                throw new ValidationError("Ceremony token and response are required");
+            }
+
+            const credential = await this._webauthnService.finishRegistration(req.user.userId, ceremonyToken, response, name);
+
+            res.status(201).json({
+                success: true,
+                message: "Passkey registered successfully",
+                credential
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Starts a passwordless passkey login.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    loginOptions = async (req, res, next) => {
+        try {
+            const result = await this._webauthnService.startAuthentication();
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Finishes a passwordless passkey login.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ceremony token or response is missing
+     */
+    loginVerify = async (req, res, next) => {
+        try {
+            const { ceremonyToken, response, mode } = req.body;
+
+            if (!ceremonyToken || !response) {
+                throw new ValidationError("Ceremony token and response are required");
+            }
+
+            const result = await this._authService.loginWithPasskey(
+                ceremonyToken,
+                response,
+                mode === "session" ? "session" : "token",
+                getDeviceInfo(req)
+            );
+            sendLoginResult(res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Starts using a passkey as the second factor of a login.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If challenge token is missing
+     */
+    twoFactorOptions = async (req, res, next) => {
+        try {
+            const { challengeToken } = req.body;
+
+            if (!challengeToken) {
+                throw new ValidationError("Challenge token is required");
+            }
+
+            const result = await this._authService.startTwoFactorPasskey(challengeToken);
+            res.status(200).json({ success: true, ...result });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Finishes a login with a passkey as the second factor.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If a parameter is missing
+     */
+    twoFactorVerify = async (req, res, next) => {
+        try {
+            const { challengeToken, ceremonyToken, response } = req.body;
+
+            if (!challengeToken || !ceremonyToken || !response) {
+                throw new ValidationError("Challenge token, ceremony token and response are required");
+            }
+
+            const result = await this._authService.loginWithTwoFactorPasskey(
+                challengeToken,
+                ceremonyToken,
+                response,
+                getDeviceInfo(req)
+            );
+            sendLoginResult(res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Lists the passkeys of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    listCredentials = async (req, res, next) => {
+        try {
+            const credentials = await this._webauthnService.listCredentials(req.user.userId);
+
+            res.json({
+                success: true,
+                credentials
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Removes a passkey of the current user.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     * @throws {ValidationError} If ID is invalid
+     */
+    removeCredential = async (req, res, next) => {
+        try {
+            const id = parseInt(req.params.id, 10);
+
+            if (isNaN(id)) {
+                throw new ValidationError("Invalid id");
+            }
+
+            await this._webauthnService.removeCredential(req.user.userId, id);
+
+            res.json({
+                success: true,
+                message: "Passkey removed successfully"
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export { WebAuthnController };
@@ -0,0 +1,72 @@
+/**
+ * Well-known controller for Haru_Chat.
+ * Handles HTTP requests for the public discovery documents
+ * other services use to verify our tokens
+ * 
+ * @module controllers/wellKnownController
+ */
+
+import { getJwks } from "../utils/keyStore.js";
+import { jwtConfig, oauthConfig } from "../config/auth.js";
+import { NotFoundError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Controller class for /.well-known endpoints
+ */
+class WellKnownController {
+    /**
+     * Gets the JSON Web Key Set with every published public signing key.
+     * 
+     * @async
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    getJwks = async (req, res, next) => {
+        try {
+            const jwks = await getJwks();
+
+            // let resource servers cache the keys for a while
+            res.set("Cache-Control", "public, max-age=300");
+            res.json(jwks);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Gets the OpenID Connect discovery document
+     * so OIDC libraries can find our endpoints and keys on their own.
+     * 
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {NotFoundError} If JWT_ALGORITHM is HS256
+     */
+    getOpenIdConfiguration = (req, res) => {
+        if (!oauthConfig.oidcEnabled) {
+            throw new NotFoundError("OpenID Connect needs JWT_ALGORITHM RS256 or EdDSA");
+        }
+
+        const issuer = oauthConfig.issuer;
+
+        res.set("Cache-Control", "public, max-age=3600");
+        res.json({
+            issuer,
+            authorization_endpoint: oauthConfig.authorizationEndpoint || `${issuer}/oauth/authorize`,
+            token_endpoint: `${issuer}/oauth/token`,
+            userinfo_endpoint: `${issuer}/oauth/userinfo`,
+            jwks_uri: `${issuer}/.well-known/jwks.json`,
+            introspection_endpoint: `${issuer}/api/auth/introspect`,
+            scopes_supported: Object.keys(oauthConfig.scopes),
+            response_types_supported: ["code"],
+            grant_types_supported: ["authorization_code", "refresh_token", "client_credentials"],
+            subject_types_supported: ["public"],
+            id_token_signing_alg_values_supported: [jwtConfig.algorithm],
+            token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+            code_challenge_methods_supported: ["S256"],
+            claims_supported: ["sub", "iss", "aud", "exp", "iat", "nonce", "name", "preferred_username"]
+        });
+    };
+}
+
+export { WellKnownController };
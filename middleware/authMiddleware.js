@@ -1,43 +1,137 @@
 /**
  * Authentication and authorization middleware for Haru_chat
- * provides functions to authenticate requests using JWT
- * and authorize access based on user roles
+ * provides functions to authenticate requests using JWT or session cookies
+ * and authorize access based on user roles,
+ * and to authenticate and authorize service clients
  * 
  * @module middleware/authMiddleware
  */
 
-import { verifyToken, extractToken } from "../utils/jwtUtils.js";
+import { verifyToken, verifyServiceToken, extractToken } from "../utils/jwtUtils.js";
 import { AuthenticationError, ForbiddenError } from "./errorMiddleware.js";
 import { UserService  } from "../services/userService.js";
 import { DbService } from "../services/dbService.js";
+import { TokenRevocationService } from "../services/tokenRevocationService.js";
+import { SessionService } from "../services/sessionService.js";
+import { OAuthService } from "../services/oauthService.js";
+import { RefreshTokenService } from "../services/refreshTokenService.js";
+import { PersonalAccessTokenService } from "../services/personalAccessTokenService.js";
+import { LoginSessionService } from "../services/loginSessionService.js";
+import { sessionConfig } from "../config/auth.js";
+import { safeCompare } from "../utils/tokenUtils.js";
 
 const dbService = new DbService();
 const userService = new UserService(dbService);
+const tokenRevocationService = new TokenRevocationService(dbService);
+const sessionService = new SessionService(dbService);
+const oauthService = new OAuthService(dbService, userService, new RefreshTokenService(dbService));
+const personalAccessTokenService = new PersonalAccessTokenService(dbService);
+const loginSessionService = new LoginSessionService(dbService);
 
 /**
- * Middleware to authenticate requests using JWT.
- * Extracts and verifies the JWT from the authorization header
- * then adds the decoded user information to the request.
+ * HTTP methods that don't change state and therefore don't need a CSRF token
+ * @type {string[]}
+ */
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Verifies a bearer JWT and checks that it hasn't been revoked.
+ * 
+ * @async
+ * @param {string} token - JWT from the authorization header
+ * @returns {Promise<Object>} Decoded token payload
+ * @throws {AuthenticationError} If the token is invalid, expired or revoked
+ */
+const authenticateBearer = async (token) => {
+    const decoded = await verifyToken(token);
+
+    if (await tokenRevocationService.isRevoked(decoded)) {
+        throw new AuthenticationError("Token has been revoked");
+    }
+
+    return decoded;
+};
+
+/**
+ * Looks up a personal access token.
+ * 
+ * @async
+ * @param {string} token - Personal access token from the authorization or X-API-Key header
+ * @returns {Promise<Object>} The token details
+ * @throws {AuthenticationError} If the token is unknown, revoked or expired
+ */
+const authenticatePersonalAccessToken = async (token) => {
+    const personalAccessToken = await personalAccessTokenService.verify(token);
+
+    if (!personalAccessToken) {
+        throw new AuthenticationError("Invalid or expired token");
+    }
+
+    return personalAccessToken;
+};
+
+/**
+ * Looks up a cookie session and checks the CSRF token for state changing requests.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} sessionToken - Session token from the signed cookie
+ * @returns {Promise<Object>} The session
+ * @throws {AuthenticationError} If the session is invalid or expired
+ * @throws {ForbiddenError} If the CSRF token is missing or wrong
+ */
+const authenticateSession = async (req, sessionToken) => {
+    const session = await sessionService.get(sessionToken);
+
+    if (!session) {
+        throw new AuthenticationError("Invalid or expired session");
+    }
+
+    if (!SAFE_METHODS.includes(req.method) && !safeCompare(req.get(sessionConfig.csrfHeader), session.csrfToken)) {
+        throw new ForbiddenError("Invalid CSRF token");
+    }
+
+    return session;
+};
+
+/**
+ * Middleware to authenticate requests using JWT, a personal access token or a session cookie.
+ * A bearer JWT from the authorization header is verified and checked for revocation,
+ * a personal access token is looked up (its scopes are added to the request),
+ * otherwise the signed session cookie is looked up and state changing requests need a CSRF token.
+ * Tokens and cookies from a login session are rejected once it's revoked, otherwise it's marked as used.
+ * Then the user information (and the session if any) is added to the request.
  * 
  * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @throws {AuthenticationError} If authentication fails
- * @throws {ForbiddenError} If user is banned 
+ * @throws {AuthenticationError} If authentication fails, token or login session is revoked or session expired
+ * @throws {ForbiddenError} If user is banned or the CSRF token is wrong
  */
 const authenticate = async (req, res, next) => {
     try {
         const token = extractToken(req);
+        const sessionToken = req.signedCookies?.[sessionConfig.cookieName];
 
-        if (!token) {
+        if (!token && !sessionToken) {
             throw new AuthenticationError("Authentication required");
         }
 
-        const decoded = verifyToken(token);
+        let decoded = null;
+        let personalAccessToken = null;
+        let session = null;
+
+        if (personalAccessTokenService.isPersonalAccessToken(token)) {
+            personalAccessToken = await authenticatePersonalAccessToken(token);
+        } else if (token) {
+            decoded = await authenticateBearer(token);
+        } else {
+            session = await authenticateSession(req, sessionToken);
+        }
         
         // check if user exists or is not banned
-        const user = await userService.getUserById(decoded.userId);
+        const user = await userService.getUserById((decoded || personalAccessToken || session).userId);
 
         if (!user) {
             throw new AuthenticationError("User not found");
@@ -47,37 +141,185 @@ const authenticate = async (req, res, next) => {
             throw new ForbiddenError("User is banned");
         }
 
+        // logins from before sessions were tracked have no login session
+        const loginSessionId = decoded ? decoded.sid : session?.loginSessionId;
+        if (loginSessionId && !await loginSessionService.use(loginSessionId, user.id)) {
+            throw new AuthenticationError("Session has been revoked");
+        }
+
         // add the user information to the request
-        req.user = decoded;
-        next();
-    } catch (error) {
-        if (error.name === "JsonWebTokenError" || error.name === "TokenExpiredError") {
-            next(new AuthenticationError("Invalid or expired token"));
+        if (decoded) {
+            req.user = decoded;
+        } else if (personalAccessToken) {
+            req.user = {
+                userId: user.id,
+                username: user.username,
+                roles: user.roles,
+                scope: personalAccessToken.scopes.join(" "),
+                tokenId: personalAccessToken.id
+            };
         } else {
-            next(error);
+            req.user = {
+                userId: user.id,
+                username: user.username,
+                roles: user.roles,
+                sessionId: session.id,
+                ...(session.loginSessionId && { sid: session.loginSessionId })
+            };
         }
+        if (session) {
+            req.session = session;
+        }
+        next();
+    } catch (error) {
+        next(error);
     }
 };
 
 /**
- * Middleware to authorize requests based on user roles.
- * Checks if the user has at least one of the required roles.
+ * Checks if the user of a request has every given scope.
+ * Tokens and sessions from a normal login aren't limited by scopes,
+ * only tokens of OAuth clients and personal access tokens have a scope.
+ * 
+ * @param {Object} user - User of the request
+ * @param {string[]} scopes - Scopes needed
+ * @returns {boolean} Weather the user has every scope
+ */
+const hasScopes = (user, scopes) => {
+    if (user.scope === undefined) {
+        return true;
+    }
+
+    const granted = user.scope.split(" ");
+    return scopes.every(scope => granted.includes(scope));
+};
+
+/**
+ * Middleware to authorize requests based on user roles and token scopes.
+ * Checks if the user has at least one of the required roles
+ * and, for scoped tokens, every required scope.
  * 
  * @param {string|string[]} roles - Role or roles of the user 
+ * @param {string|string[]} [scopes] - Scope or scopes a scoped token needs
  * @returns {Function} express middleware function
- * @throws {ForbiddenError} if user lacks required role/roles
+ * @throws {ForbiddenError} if user lacks required role/roles or scope/scopes
  */
-const authorize = (roles = []) => {
+const authorize = (roles = [], scopes = []) => {
     if (typeof roles === "string") {
         roles= [roles];
     }
+    if (typeof scopes === "string") {
+        scopes = [scopes];
+    }
 
     return (req, res, next) => {
         if (!req.user || !req.user.roles || (roles.length && !req.user.roles.some(role => roles.includes(role)))) {
             throw new ForbiddenError("Insufficient permissions");
         }
+        if (!hasScopes(req.user, scopes)) {
+            throw new ForbiddenError("Insufficient scope");
+        }
+        next();
+    };
+};
+
+/**
+ * Middleware to check the scopes of a token without checking roles.
+ * Tokens from a normal login aren't limited by scopes and always pass.
+ * 
+ * @param {string|string[]} scopes - Scope or scopes the token needs (all of them)
+ * @returns {Function} express middleware function
+ * @throws {ForbiddenError} if the token lacks a required scope
+ */
+const requireScope = (scopes = []) => {
+    if (typeof scopes === "string") {
+        scopes = [scopes];
+    }
+
+    return (req, res, next) => {
+        if (!req.user || !hasScopes(req.user, scopes)) {
+            throw new ForbiddenError("Insufficient scope");
+        }
+        next();
+    };
+};
+
+/**
+ * Middleware to only allow tokens and sessions from a normal login.
+ * Used for account management that third-party (OAuth) clients and personal access tokens
+ * should never do, whatever scopes they have.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @throws {ForbiddenError} If the token is an OAuth client token or a personal access token
+ */
+const requireFirstParty = (req, res, next) => {
+    if (req.user && req.user.scope !== undefined) {
+        throw new ForbiddenError("Not available to third-party applications or personal access tokens");
+    }
+    next();
+};
+
+/**
+ * Middleware to authenticate a service client by its service token
+ * (from the client credentials grant at /oauth/token).
+ * Then the client is added to the request.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @throws {AuthenticationError} If the token is missing, invalid or the client was deleted
+ */
+const authenticateService = async (req, res, next) => {
+    try {
+        const token = extractToken(req);
+
+        if (!token) {
+            throw new AuthenticationError("Service token required");
+        }
+
+        const decoded = await verifyServiceToken(token);
+
+        // tokens of deleted clients stop working right away
+        if (!await oauthService.isServiceClient(decoded.client_id)) {
+            throw new AuthenticationError("Unknown service client");
+        }
+
+        req.client = { clientId: decoded.client_id };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Middleware to authorize service clients, the counterpart to authorize() for services.
+ * Checks if the client is one of the allowed service clients.
+ * 
+ * @param {string|string[]} clientIds - Client ID or IDs of the allowed services, empty allows every service
+ * @returns {Function} express middleware function
+ * @throws {ForbiddenError} if the client is not allowed
+ */
+const authorizeService = (clientIds = []) => {
+    if (typeof clientIds === "string") {
+        clientIds = [clientIds];
+    }
+
+    return (req, res, next) => {
+        if (!req.client || (clientIds.length && !clientIds.includes(req.client.clientId))) {
+            throw new ForbiddenError("Service not allowed");
+        }
         next();
     };
 };
 
-export { authenticate, authorize };
\ No newline at end of file
+export {
+    authenticate,
+    authorize,
+    requireScope,
+    requireFirstParty,
+    authenticateService,
+    authorizeService
+};
\ No newline at end of file
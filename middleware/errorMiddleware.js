@@ -24,16 +24,29 @@ const errorHandler = (err, req, res, next) => {
         AuthenticationError: 401,
         ForbiddenError: 403,
         NotFoundError: 404,
-        ConflictError: 409
+        ConflictError: 409,
+        LockoutError: err.locked ? 423 : 429,
+        RateLimitError: 429,
+        PasswordPolicyError: 400,
+        UsernamePolicyError: 400
     };
     
     // Get status code based on error name or default to 500
     const statusCode = errorTypes[err.name] || err.statusCode || 500;
+
+    // tell the client when it can try again
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
     
     // Send response
     res.status(statusCode).json({
         success: false,
         message: err.message || 'Internal Server Error',
+        // OAuth clients expect the error code and description from RFC 6749
+        ...(err.name === 'OAuthError' && { error: err.error, error_description: err.message }),
+        // every password or username rule that failed
+        ...((err.name === 'PasswordPolicyError' || err.name === 'UsernamePolicyError') && { violations: err.violations }),
         // Include stack trace in development environment only
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
@@ -65,6 +78,32 @@ class ValidationError extends Error {
     }
 }
 
+/**
+ * Custom error class for passwords breaking the password policy 400(Bad Request)
+ * violations has a {rule, message} object for every rule that failed
+ * @extends Error
+ */
+class PasswordPolicyError extends Error {
+    constructor(message, violations) {
+        super(message);
+        this.name = 'PasswordPolicyError';
+        this.violations = violations;
+    }
+}
+
+/**
+ * Custom error class for usernames breaking the username policy 400(Bad Request)
+ * violations has a {rule, message} object for every rule that failed
+ * @extends Error
+ */
+class UsernamePolicyError extends Error {
+    constructor(message, violations) {
+        super(message);
+        this.name = 'UsernamePolicyError';
+        this.violations = violations;
+    }
+}
+
 /**
  * Custom error class for authentication failures 401(unauthorized)
  * @extends Error
@@ -110,6 +149,49 @@ class ConflictError extends Error {
     }
 }
 
+/**
+ * Custom error class for OAuth 2.0 errors (RFC 6749 5.2)
+ * carries the OAuth error code, e.g. invalid_grant or invalid_client
+ * 400(Bad Request) by default, 401(Unauthorized) for invalid_client
+ * @extends Error
+ */
+class OAuthError extends Error {
+    constructor(error, message) {
+        super(message);
+        this.name = 'OAuthError';
+        this.error = error;
+        this.statusCode = error === 'invalid_client' ? 401 : 400;
+    }
+}
+
+/**
+ * Custom error class for logins blocked after too many failed attempts
+ * 423(Locked) when the account is locked, 429(Too Many Requests) while backing off
+ * retryAfter is the amount of seconds until the next attempt is allowed
+ * @extends Error
+ */
+class LockoutError extends Error {
+    constructor(message, retryAfter, locked = false) {
+        super(message);
+        this.name = 'LockoutError';
+        this.retryAfter = retryAfter;
+        this.locked = locked;
+    }
+}
+
+/**
+ * Custom error class for 429(Too Many Requests) from the rate limiter
+ * retryAfter is the amount of seconds until the limit resets
+ * @extends Error
+ */
+class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
 // I'm a teapot (418)
 /**
  * Custom error class for I'm a Teapot 418(I'm a teapot)
@@ -131,9 +213,14 @@ export {
     errorHandler,
     notFoundHandler,
     ValidationError,
+    PasswordPolicyError,
+    UsernamePolicyError,
     AuthenticationError,
     ForbiddenError,
     NotFoundError,
     ConflictError,
+    OAuthError,
+    LockoutError,
+    RateLimitError,
     ImATeapotError
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Rate limiting middleware for Haru_chat
+ * limits requests per IP and per username with the policies from the config
+ * and sends the RateLimit-* headers so clients know where they stand
+ * 
+ * @module middleware/rateLimitMiddleware
+ */
+
+import { RateLimitError } from "./errorMiddleware.js";
+import { DbService } from "../services/dbService.js";
+import { MemoryRateLimitStore, PostgresRateLimitStore } from "../services/rateLimitStore.js";
+import { rateLimitConfig } from "../config/auth.js";
+import { hashToken } from "../utils/tokenUtils.js";
+
+/**
+ * Store used by every policy unless another one is given
+ * @type {MemoryRateLimitStore|PostgresRateLimitStore}
+ */
+const defaultStore = rateLimitConfig.store === "postgres"
+    ? new PostgresRateLimitStore(new DbService())
+    : new MemoryRateLimitStore();
+
+/**
+ * Creates a middleware limiting requests with a policy from the config.
+ * Requests are counted per IP and, if the policy has a usernameMax, per username in the body.
+ * The bucket closest to its limit decides the headers.
+ * If the store fails the request is let through, a broken store shouldn't lock everybody out.
+ * 
+ * @param {string} policyName - Name of the policy in rateLimitConfig.policies
+ * @param {Object} [store] - Store to count in, defaults to the configured one
+ * @returns {Function} Express middleware function
+ * @throws {Error} If the policy doesn't exist
+ */
+const rateLimit = (policyName, store = defaultStore) => {
+    const policy = rateLimitConfig.policies[policyName];
+
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    return async (req, res, next) => {
+        const buckets = [{ key: `${policyName}:ip:${req.ip}`, max: policy.ipMax }];
+
+        const username = req.body && req.body.username;
+        if (policy.usernameMax && typeof username === "string" && username.trim()) {
+            // hashed so any username fits in the key
+            buckets.push({
+                key: `${policyName}:username:${hashToken(username.trim().toLowerCase())}`,
+                max: policy.usernameMax
+            });
+        }
+
+        let results;
+        try {
+            results = await Promise.all(buckets.map(async bucket => ({
+                ...bucket,
+                ...(await store.increment(bucket.key, policy.window))
+            })));
+        } catch (error) {
+            console.error(`Error checking rate limit ${policyName}:`, error);
+            return next();
+        }
+
+        // the bucket with the fewest requests left
+        const tightest = results.reduce((a, b) => (b.max - b.count < a.max - a.count ? b : a));
+        const remaining = Math.max(0, tightest.max - tightest.count);
+        const reset = Math.max(1, Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000));
+
+        res.set({
+            "RateLimit-Policy": `${tightest.max};w=${Math.ceil(policy.window / 1000)}`,
+            "RateLimit-Limit": String(tightest.max),
+            "RateLimit-Remaining": String(remaining),
+            "RateLimit-Reset": String(reset)
+        });
+
+        const exceeded = results.filter(result => result.count > result.max);
+        if (exceeded.length > 0) {
+            // wait until every exceeded bucket has reset
+            const retryAfter = Math.max(...exceeded.map(result =>
+                Math.max(1, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000))
+            ));
+            return next(new RateLimitError("Too many requests, try again later", retryAfter));
+        }
+
+        next();
+    };
+};
+
+export { rateLimit };
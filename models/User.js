@@ -45,6 +45,8 @@ class User {
         }
         this._isBanned = isBanned;
 
+        this._email = null;
+        this._emailVerified = false;
         this._roles = [];
     }
 
@@ -102,6 +104,63 @@ class User {
         this._password = password;
     };
 
+    /**
+     * Get method for email
+     * 
+     * @returns {?string} User's email address or null if they don't have one
+     */
+    getEmail() {
+        return this._email;
+    };
+
+    /**
+     * Set method for email
+     * 
+     * @param {?string} email - User's email address or null to remove it
+     * @throws {Error} If email is not null or a valid email address
+     */
+    setEmail(email) {
+        if (email !== null && !User.isValidEmail(email)) {
+            throw new Error("email must be null or a valid email address");
+        }
+        this._email = email;
+    };
+
+    /**
+     * Get method for email verification status
+     * 
+     * @returns {boolean} Weather the user has verified their email address
+     */
+    getEmailVerified() {
+        return this._emailVerified;
+    };
+
+    /**
+     * Set method for email verification status
+     * 
+     * @param {boolean} verified - Weather the email address is verified
+     * @throws {Error} If verified is not of type boolean
+     */
+    setEmailVerified(verified) {
+        if (typeof verified !== "boolean") {
+            throw new Error("emailVerified must be a boolean");
+        }
+        this._emailVerified = verified;
+    };
+
+    /**
+     * Checks if a value looks like an email address
+     * (something@domain.tld without spaces, at most 254 characters)
+     * 
+     * @param {*} email - Value to check
+     * @returns {boolean} Weather the value is a valid email address
+     */
+    static isValidEmail(email) {
+        return typeof email === "string"
+            && email.length <= 254
+            && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    };
+
     /**
      * Get method createdAT
      * gets the user creation date
@@ -209,12 +268,14 @@ class User {
     /**
      * Returns a safe, serializable version of the user without the password
      * 
-     * @returns {{id: number|null, username: string, createdAt: Date, isBanned: boolean, roles: string[]}}
+     * @returns {{id: number|null, username: string, email: string|null, emailVerified: boolean, createdAt: Date, isBanned: boolean, roles: string[]}}
      */
     getSafeObject() {
         return {
             id: this._id,
             username: this._username,
+            email: this._email,
+            emailVerified: this._emailVerified,
             createdAt: this._createdAt,
             isBanned: this._isBanned,
             roles: this.getRoles()
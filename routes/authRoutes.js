@@ -11,8 +11,43 @@ import cors from "cors";
 import { AuthService } from "../services/authService.js";
 import { AuthController } from "../controllers/authController.js";
 import { UserService } from "../services/userService.js";
+import { RefreshTokenService } from "../services/refreshTokenService.js";
+import { TokenRevocationService } from "../services/tokenRevocationService.js";
+import { SessionService } from "../services/sessionService.js";
+import { TwoFactorService } from "../services/twoFactorService.js";
+import { TwoFactorController } from "../controllers/twoFactorController.js";
+import { PersonalAccessTokenController } from "../controllers/personalAccessTokenController.js";
+import { OAuthService } from "../services/oauthService.js";
+import { TicketService } from "../services/ticketService.js";
+import { TicketController } from "../controllers/ticketController.js";
+import { PasswordResetService } from "../services/passwordResetService.js";
+import { PasswordResetController } from "../controllers/passwordResetController.js";
+import { MailService } from "../services/mailService.js";
+import { EmailVerificationService } from "../services/emailVerificationService.js";
+import { EmailVerificationController } from "../controllers/emailVerificationController.js";
+import { WebAuthnService } from "../services/webauthnService.js";
+import { PersonalAccessTokenService } from "../services/personalAccessTokenService.js";
+import { LoginSessionService } from "../services/loginSessionService.js";
+import { LoginSessionController } from "../controllers/loginSessionController.js";
+import { LoginHistoryService } from "../services/loginHistoryService.js";
+import { LoginHistoryController } from "../controllers/loginHistoryController.js";
+import { DeviceService } from "../services/deviceService.js";
+import { DeviceController } from "../controllers/deviceController.js";
+import { MagicLinkService } from "../services/magicLinkService.js";
+import { MagicLinkController } from "../controllers/magicLinkController.js";
+import { UsernameService } from "../services/usernameService.js";
+import { UsernameController } from "../controllers/usernameController.js";
 import { DbService } from "../services/dbService.js";
-import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import {
+    authenticate,
+    authorize,
+    requireScope,
+    requireFirstParty,
+    authenticateService,
+    authorizeService
+} from "../middleware/authMiddleware.js";
+import { rateLimit } from "../middleware/rateLimitMiddleware.js";
+import { corsConfig, introspectionConfig, sessionConfig } from "../config/auth.js";
 
 /**
  * Express router for authentication routes
@@ -22,23 +57,71 @@ const router = express.Router();
 
 /**
  * Cors configuration options
+ * only the frontend origins from CORS_ORIGINS, with credentials for session cookies
  */
 const corsOptions = {
-    origin: '*', //TODO: replace when in production with frontend domain/ip
+    origin: corsConfig.origins,
     methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', sessionConfig.csrfHeader],
     credentials: true
 };
 
 // initialize services and controller
 const dbService = new DbService();
 const userService = new UserService(dbService);
-const authService = new AuthService(userService);
+const refreshTokenService = new RefreshTokenService(dbService);
+const tokenRevocationService = new TokenRevocationService(dbService);
+const sessionService = new SessionService(dbService);
+const twoFactorService = new TwoFactorService(dbService);
+const webauthnService = new WebAuthnService(dbService);
+const personalAccessTokenService = new PersonalAccessTokenService(dbService);
+const mailService = new MailService();
+const emailVerificationService = new EmailVerificationService(dbService, userService, mailService);
+const loginSessionService = new LoginSessionService(dbService);
+const loginHistoryService = new LoginHistoryService(dbService);
+const deviceService = new DeviceService(dbService, mailService);
+const magicLinkService = new MagicLinkService(dbService, userService, mailService);
+const authService = new AuthService(
+    userService,
+    refreshTokenService,
+    tokenRevocationService,
+    sessionService,
+    twoFactorService,
+    webauthnService,
+    personalAccessTokenService,
+    emailVerificationService,
+    loginSessionService,
+    loginHistoryService,
+    deviceService,
+    magicLinkService
+);
 const authController = new AuthController(authService);
+const twoFactorController = new TwoFactorController(twoFactorService);
+const personalAccessTokenController = new PersonalAccessTokenController(personalAccessTokenService);
+const oauthService = new OAuthService(dbService, userService, refreshTokenService);
+const ticketController = new TicketController(new TicketService(dbService, userService, oauthService));
+const passwordResetController = new PasswordResetController(
+    new PasswordResetService(dbService, userService, authService, mailService)
+);
+const emailVerificationController = new EmailVerificationController(emailVerificationService);
+const loginSessionController = new LoginSessionController(loginSessionService);
+const loginHistoryController = new LoginHistoryController(loginHistoryService);
+const deviceController = new DeviceController(deviceService);
+const magicLinkController = new MagicLinkController(magicLinkService, authService);
+const usernameController = new UsernameController(new UsernameService(dbService, userService));
 
 // Handle OPTIONS preflight requests for the login and register endpoint
 router.options("/login", cors(corsOptions));
 router.options("/register", cors(corsOptions));
+router.options("/refresh", cors(corsOptions));
+router.options("/login/2fa", cors(corsOptions));
+router.options("/login/confirm", cors(corsOptions));
+router.options("/magic-link", cors(corsOptions));
+router.options("/magic-link/consume", cors(corsOptions));
+router.options("/password/forgot", cors(corsOptions));
+router.options("/password/reset", cors(corsOptions));
+router.options("/email/verify", cors(corsOptions));
+router.options("/ticket", cors(corsOptions));
 
 /**
  * POST /api/auth/register
@@ -50,8 +133,9 @@ router.options("/register", cors(corsOptions));
  * @bodyparam {string} username - User's username
  * @bodyparam {string} password - User's password
  * @returns {Object} Result with user data
+ * @ratelimit register policy per IP
  */
-router.post("/register", cors(corsOptions), authController.register);
+router.post("/register", cors(corsOptions), rateLimit("register"), authController.register);
 
 /**
  * POST /api/auth/login
@@ -60,11 +144,87 @@ router.post("/register", cors(corsOptions), authController.register);
  * 
  * @name LoginUser
  * @route {POST} /api/auth/login
- * @bodyparam {string} username - User's username
+ * @bodyparam {string} username - User's username or verified email address
  * @bodyparam {string} password - User's password
- * @returns {Object} Result with token and user data
+ * @bodyparam {string} [mode] - "session" to get a session cookie instead of tokens
+ * @bodyparam {string} [deviceName] - Name of the device shown in the session list, made from the user agent if left out
+ * @bodyparam {string} [deviceId] - Random ID the client keeps to be recognized as the same device (or the X-Device-Id header)
+ * @returns {Object} Result with token and user data (or CSRF token and user data in session mode)
+ * @ratelimit login policy per IP and username
+ */
+router.post("/login", cors(corsOptions), rateLimit("login"), authController.login);
+
+/**
+ * POST /api/auth/login/2fa
+ * Completes the login of a user with two-factor enabled.
+ * Exchanges the challenge token from login and a code for the token (or session cookie).
+ * Frontend is allowed to use this
+ * 
+ * @name LoginTwoFactor
+ * @route {POST} /api/auth/login/2fa
+ * @bodyparam {string} challengeToken - Challenge token from login
+ * @bodyparam {string} code - Code from the authenticator app or a backup code
+ * @bodyparam {string} [deviceName] - Name of the device shown in the session list
+ * @returns {Object} Same result as login
+ * @ratelimit login policy per IP
+ */
+router.post("/login/2fa", cors(corsOptions), rateLimit("login"), authController.loginTwoFactor);
+
+/**
+ * POST /api/auth/login/confirm
+ * Completes a login from a new device that has to be confirmed by mail.
+ * Exchanges the token from the confirmation link for the token (or session cookie).
+ * Frontend is allowed to use this
+ * 
+ * @name ConfirmLogin
+ * @route {POST} /api/auth/login/confirm
+ * @bodyparam {string} token - Token from the confirmation link
+ * @returns {Object} Result with token and user data (or CSRF token and user data in session mode)
+ * @ratelimit login policy per IP
  */
-router.post("/login", cors(corsOptions), authController.login);
+router.post("/login/confirm", cors(corsOptions), rateLimit("login"), authController.loginConfirm);
+
+/**
+ * POST /api/auth/magic-link
+ * Sends a single use login link to the verified email address of an account.
+ * Answers the same whether or not the account exists.
+ * Frontend is allowed to use this
+ * 
+ * @name RequestMagicLink
+ * @route {POST} /api/auth/magic-link
+ * @bodyparam {string} username - Username or verified email address of the account
+ * @returns {Object} Success message (202)
+ * @ratelimit magicLink policy per IP and username, and MAGIC_LINK_ACCOUNT_MAX links per account
+ */
+router.post("/magic-link", cors(corsOptions), rateLimit("magicLink"), magicLinkController.request);
+
+/**
+ * POST /api/auth/magic-link/consume
+ * Logs a user in with the token from a magic link.
+ * Users with two-factor enabled get a challenge token like on the password login.
+ * Frontend is allowed to use this
+ * 
+ * @name ConsumeMagicLink
+ * @route {POST} /api/auth/magic-link/consume
+ * @bodyparam {string} token - Token from the magic link
+ * @bodyparam {string} [mode] - "session" to get a session cookie instead of tokens
+ * @returns {Object} Result with token and user data (or CSRF token and user data in session mode)
+ * @ratelimit login policy per IP
+ */
+router.post("/magic-link/consume", cors(corsOptions), rateLimit("login"), magicLinkController.consume);
+
+/**
+ * POST /api/auth/refresh
+ * Rotates a refresh token and returns a new JWT and refresh token.
+ * Reusing an already used refresh token revokes every token from that login.
+ * Frontend is allowed to use this
+ * 
+ * @name RefreshToken
+ * @route {POST} /api/auth/refresh
+ * @bodyparam {string} refreshToken - Refresh token from login or the last refresh
+ * @returns {Object} Result with new token, new refresh token and user data
+ */
+router.post("/refresh", cors(corsOptions), authController.refresh);
 
 /**
  * Post /api/auth/validate
@@ -76,8 +236,22 @@ router.post("/login", cors(corsOptions), authController.login);
  * @authentication JWT required
  * @bodyparam {string} username - User's username
  * @returns {Object} Result with token and and user data
+ * @ratelimit validate policy per IP
  */
-router.post("/validate", authController.validate);
+router.post("/validate", rateLimit("validate"), authController.validate);
+
+/**
+ * POST /api/auth/introspect
+ * Token introspection endpoint (RFC 7662) for resource servers such as haru_chat_server
+ * Takes revocation and ban status into account
+ * 
+ * @name IntrospectToken
+ * @route {POST} /api/auth/introspect
+ * @authentication Service token of a client in INTROSPECTION_CLIENTS required
+ * @bodyparam {string} token - The token to introspect
+ * @returns {Object} {active: false} or active, sub, username, roles, exp, iat and jti
+ */
+router.post("/introspect", authenticateService, authorizeService(introspectionConfig.clients), authController.introspect);
 
 // protected routes
 
@@ -91,6 +265,348 @@ router.post("/validate", authController.validate);
  * @authentication JWT required
  * @returns {Object} Current user data
  */
-router.get("/me", authenticate, authController.getCurrentUser);
+router.get("/me", authenticate, requireScope("profile"), authController.getCurrentUser);
+
+/**
+ * GET /api/auth/me/logins
+ * Gets the login history of the current user, the newest attempts first.
+ * Successful and failed logins are recorded with IP, user agent, outcome and failure reason.
+ * 
+ * @name GetLoginHistory
+ * @route {GET} /api/auth/me/logins
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @queryparam {number} [page=1] - Page to get
+ * @queryparam {number} [limit=20] - Entries per page, at most 100
+ * @returns {Object} Array of login attempts with page, limit and total
+ */
+router.get("/me/logins", authenticate, requireFirstParty, loginHistoryController.list);
+
+/**
+ * PUT /api/auth/me/username
+ * Changes the username of the current user.
+ * Usernames can only be changed once per cooldown and the old username is held
+ * for a while before somebody else can take it.
+ * Tokens issued before the change keep the old username until they are refreshed
+ * 
+ * @name ChangeUsername
+ * @route {PUT} /api/auth/me/username
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @bodyparam {string} username - New username, checked against the username policy
+ * @returns {Object} New and old username, when it was changed and when it can be changed again
+ */
+router.put("/me/username", authenticate, requireFirstParty, usernameController.change);
+
+/**
+ * GET /api/auth/session
+ * Gets the CSRF token of the current cookie session.
+ * 
+ * @name GetSession
+ * @route {GET} /api/auth/session
+ * @authentication Session cookie required
+ * @returns {Object} CSRF token and when the session expires
+ */
+router.get("/session", authenticate, authController.getSession);
+
+/**
+ * POST /api/auth/logout
+ * Revokes the current JWT (or ends the current session)
+ * and optionally the refresh token from the same login.
+ * 
+ * @name Logout
+ * @route {POST} /api/auth/logout
+ * @authentication JWT or session cookie required
+ * @bodyparam {string} [refreshToken] - Refresh token to revoke as well
+ * @returns {Object} Success message
+ */
+router.post("/logout", authenticate, authController.logout);
+
+/**
+ * POST /api/auth/logout/all
+ * Revokes every JWT and refresh token and ends every session of the current user.
+ * 
+ * @name LogoutAll
+ * @route {POST} /api/auth/logout/all
+ * @authentication JWT or session cookie required
+ * @returns {Object} Success message
+ */
+router.post("/logout/all", authenticate, requireFirstParty, authController.logoutAll);
+
+/**
+ * GET /api/auth/sessions
+ * Lists where the current user is logged in (one session per login and device)
+ * with device name, user agent, IP and when each session was created and last used.
+ * 
+ * @name ListSessions
+ * @route {GET} /api/auth/sessions
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @returns {Object} Array of sessions, the one of the request marked as current
+ */
+router.get("/sessions", authenticate, requireFirstParty, loginSessionController.list);
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Logs the current user out on one device.
+ * Its tokens, refresh tokens and session cookie stop working right away.
+ * 
+ * @name RevokeSession
+ * @route {DELETE} /api/auth/sessions/:id
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @routeparam {string} id - Session ID
+ * @returns {Object} Success message
+ */
+router.delete("/sessions/:id", authenticate, requireFirstParty, loginSessionController.revoke);
+
+/**
+ * GET /api/auth/devices
+ * Lists the devices the current user has logged in from.
+ * Logins from other devices or networks are reported as new.
+ * The device of the request (by its X-Device-Id header or user agent) is marked as current
+ * 
+ * @name ListDevices
+ * @route {GET} /api/auth/devices
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @returns {Object} Devices of the user
+ */
+router.get("/devices", authenticate, requireFirstParty, deviceController.list);
+
+/**
+ * PUT /api/auth/devices/:id
+ * Trusts or stops trusting a device of the current user.
+ * Logins from a trusted device aren't reported as new, whatever network they come from
+ * 
+ * @name UpdateDevice
+ * @route {PUT} /api/auth/devices/:id
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @routeparam {number} id - ID of the device
+ * @bodyparam {boolean} trusted - Whether the device is trusted
+ * @returns {Object} Success message
+ */
+router.put("/devices/:id", authenticate, requireFirstParty, deviceController.update);
+
+/**
+ * DELETE /api/auth/devices/:id
+ * Forgets a device of the current user, its next login is reported as new again
+ * 
+ * @name RemoveDevice
+ * @route {DELETE} /api/auth/devices/:id
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @routeparam {number} id - ID of the device
+ * @returns {Object} Success message
+ */
+router.delete("/devices/:id", authenticate, requireFirstParty, deviceController.remove);
+
+/**
+ * PUT /api/auth/password
+ * Changes the password of the current user.
+ * Every other token, refresh token and session of the user is revoked,
+ * the current login gets a new token and refresh token (or a new session cookie).
+ * 
+ * @name ChangePassword
+ * @route {PUT} /api/auth/password
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @bodyparam {string} currentPassword - User's current password
+ * @bodyparam {string} newPassword - New password, checked against the password policy
+ * @returns {Object} Same result as login
+ */
+router.put("/password", authenticate, requireFirstParty, authController.changePassword);
+
+/**
+ * POST /api/auth/password/forgot
+ * Sends a password reset link to the email address of the account.
+ * Answers the same whether or not the account exists.
+ * Frontend is allowed to use this
+ * 
+ * @name ForgotPassword
+ * @route {POST} /api/auth/password/forgot
+ * @bodyparam {string} username - Username or verified email address of the account
+ * @returns {Object} Success message
+ * @ratelimit passwordReset policy per IP and username
+ */
+router.post("/password/forgot", cors(corsOptions), rateLimit("passwordReset"), passwordResetController.forgot);
+
+/**
+ * POST /api/auth/password/reset
+ * Sets a new password with the token from a reset link and logs the user out everywhere.
+ * Frontend is allowed to use this
+ * 
+ * @name ResetPassword
+ * @route {POST} /api/auth/password/reset
+ * @bodyparam {string} token - Token from the reset link
+ * @bodyparam {string} newPassword - New password, checked against the password policy
+ * @returns {Object} Success message
+ * @ratelimit passwordReset policy per IP
+ */
+router.post("/password/reset", cors(corsOptions), rateLimit("passwordReset"), passwordResetController.reset);
+
+// email address routes
+
+/**
+ * POST /api/auth/email/verify
+ * Verifies an email address with the token from a verification link.
+ * For an email change this switches the account to the new address.
+ * Frontend is allowed to use this
+ * 
+ * @name VerifyEmail
+ * @route {POST} /api/auth/email/verify
+ * @bodyparam {string} token - Token from the verification link
+ * @returns {Object} Success message and the verified email address
+ * @ratelimit email policy per IP
+ */
+router.post("/email/verify", cors(corsOptions), rateLimit("email"), emailVerificationController.verify);
+
+/**
+ * POST /api/auth/email/resend
+ * Sends a new verification link for the current email address.
+ * 
+ * @name ResendEmailVerification
+ * @route {POST} /api/auth/email/resend
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @returns {Object} Success message
+ * @ratelimit email policy per IP
+ */
+router.post("/email/resend", rateLimit("email"), authenticate, requireFirstParty, emailVerificationController.resend);
+
+/**
+ * PUT /api/auth/email
+ * Changes the email address of the current user.
+ * The new address gets a verification link and is only used once it's verified.
+ * 
+ * @name ChangeEmail
+ * @route {PUT} /api/auth/email
+ * @authentication JWT or session cookie required (not personal access tokens or OAuth tokens)
+ * @bodyparam {string} email - New email address
+ * @bodyparam {string} password - Current password
+ * @returns {Object} Success message
+ * @ratelimit email policy per IP
+ */
+router.put("/email", rateLimit("email"), authenticate, requireFirstParty, emailVerificationController.change);
+
+// two-factor management routes
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Starts two-factor enrollment.
+ * 
+ * @name EnrollTwoFactor
+ * @route {POST} /api/auth/2fa/enroll
+ * @authentication JWT or session cookie required
+ * @returns {Object} TOTP secret and otpauth URI
+ */
+router.post("/2fa/enroll", authenticate, requireFirstParty, twoFactorController.enroll);
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Confirms enrollment with a code and enables two-factor.
+ * 
+ * @name ConfirmTwoFactor
+ * @route {POST} /api/auth/2fa/confirm
+ * @authentication JWT or session cookie required
+ * @bodyparam {string} code - Code from the authenticator app
+ * @returns {Object} One-time backup codes
+ */
+router.post("/2fa/confirm", authenticate, requireFirstParty, twoFactorController.confirm);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disables two-factor.
+ * 
+ * @name DisableTwoFactor
+ * @route {POST} /api/auth/2fa/disable
+ * @authentication JWT or session cookie required
+ * @bodyparam {string} code - Code from the authenticator app or a backup code
+ * @returns {Object} Success message
+ * @ratelimit twoFactor policy per IP
+ */
+router.post("/2fa/disable", rateLimit("twoFactor"), authenticate, requireFirstParty, twoFactorController.disable);
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replaces the backup codes with new ones.
+ * 
+ * @name RegenerateBackupCodes
+ * @route {POST} /api/auth/2fa/backup-codes
+ * @authentication JWT or session cookie required
+ * @bodyparam {string} code - Code from the authenticator app or a backup code
+ * @returns {Object} New one-time backup codes
+ * @ratelimit twoFactor policy per IP
+ */
+router.post("/2fa/backup-codes", rateLimit("twoFactor"), authenticate, requireFirstParty, twoFactorController.regenerateBackupCodes);
+
+/**
+ * POST /api/auth/tokens
+ * Creates a personal access token for the current user.
+ * 
+ * @name CreatePersonalAccessToken
+ * @route {POST} /api/auth/tokens
+ * @authentication JWT or session cookie required
+ * @bodyparam {string} name - Name of the token
+ * @bodyparam {string[]} scopes - Scopes of the token
+ * @bodyparam {number} [expiresInDays] - Days until the token expires (never if left out)
+ * @returns {Object} The token (only shown once) and its details
+ */
+router.post("/tokens", authenticate, requireFirstParty, personalAccessTokenController.create);
+
+/**
+ * GET /api/auth/tokens
+ * Lists the personal access tokens of the current user.
+ * 
+ * @name ListPersonalAccessTokens
+ * @route {GET} /api/auth/tokens
+ * @authentication JWT or session cookie required
+ * @returns {Object} Array of tokens (without the tokens themselves)
+ */
+router.get("/tokens", authenticate, requireFirstParty, personalAccessTokenController.list);
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revokes a personal access token of the current user.
+ * 
+ * @name RevokePersonalAccessToken
+ * @route {DELETE} /api/auth/tokens/:id
+ * @authentication JWT or session cookie required
+ * @routeparam {string} id - Token ID
+ * @returns {Object} Success message
+ */
+router.delete("/tokens/:id", authenticate, requireFirstParty, personalAccessTokenController.revoke);
+
+/**
+ * POST /api/auth/ticket
+ * Creates a single use ticket for connecting to a chat server, valid for 30 seconds.
+ * The chat client sends the ticket to the chat server instead of its token.
+ * 
+ * @name CreateTicket
+ * @route {POST} /api/auth/ticket
+ * @authentication JWT, personal access token (chat:read scope) or session cookie required
+ * @bodyparam {string} audience - Client ID of the chat server, e.g. "haru_chat_server"
+ * @returns {Object} The ticket and when it expires
+ */
+router.post("/ticket", cors(corsOptions), authenticate, requireScope("chat:read"), ticketController.issue);
+
+/**
+ * POST /api/auth/ticket/redeem
+ * Exchanges a ticket for the identity of its user.
+ * Only the chat server the ticket was created for can redeem it, and only once.
+ * 
+ * @name RedeemTicket
+ * @route {POST} /api/auth/ticket/redeem
+ * @authentication Service token of the chat server required
+ * @bodyparam {string} ticket - The ticket from the client
+ * @returns {Object} The user (id, username and roles) and the scopes of the ticket
+ */
+router.post("/ticket/redeem", authenticateService, ticketController.redeem);
+
+/**
+ * GET /api/auth/usernames/:username
+ * Resolves a current or old username to the ID and current username of its user,
+ * so the chat server can follow mentions and messages of renamed users.
+ * A current username wins over an old one, an old one belongs to whoever had it last
+ * 
+ * @name ResolveUsername
+ * @route {GET} /api/auth/usernames/:username
+ * @authentication Service token of the chat server required
+ * @routeparam {string} username - Current or old username (case insensitive)
+ * @returns {Object} userId, the current username and whether the given username is the current one
+ */
+router.get("/usernames/:username", authenticateService, usernameController.resolve);
 
-export { router };
\ No newline at end of file
+export { router, authService, webauthnService, corsOptions };
@@ -0,0 +1,147 @@
+/**
+ * OAuth 2.0 routes for Haru_Chat.
+ * Defines the authorization and token endpoints third-party clients use
+ * and the admin endpoints for managing those clients
+ * 
+ * @module routes/oauthRoutes
+ */
+
+import express from "express";
+import cors from "cors";
+
+import { OAuthService } from "../services/oauthService.js";
+import { OAuthController } from "../controllers/oauthController.js";
+import { UserService } from "../services/userService.js";
+import { RefreshTokenService } from "../services/refreshTokenService.js";
+import { DbService } from "../services/dbService.js";
+import { authenticate, authorize, requireScope, requireFirstParty } from "../middleware/authMiddleware.js";
+import { rateLimit } from "../middleware/rateLimitMiddleware.js";
+
+/**
+ * Express router for OAuth routes
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+// initialize services and controller
+const dbService = new DbService();
+const oauthService = new OAuthService(dbService, new UserService(dbService), new RefreshTokenService(dbService));
+const oauthController = new OAuthController(oauthService);
+
+// Handle OPTIONS preflight requests for the token and userinfo endpoints (used by browser based public clients)
+router.options("/token", cors());
+router.options("/userinfo", cors());
+
+/**
+ * GET /oauth/authorize
+ * Validates an authorization request for the consent screen.
+ * Called by the frontend with the query the client sent the user with.
+ * 
+ * @name GetConsent
+ * @route {GET} /oauth/authorize
+ * @authentication JWT or session cookie required
+ * @queryparam {string} response_type - Must be "code"
+ * @queryparam {string} client_id - Client ID
+ * @queryparam {string} [redirect_uri] - Redirect URI
+ * @queryparam {string} [scope] - Space separated scopes
+ * @queryparam {string} [state] - Value sent back to the client
+ * @queryparam {string} code_challenge - PKCE code challenge
+ * @queryparam {string} code_challenge_method - Must be "S256"
+ * @returns {Object} The client and requested scopes
+ */
+router.get("/authorize", authenticate, requireFirstParty, oauthController.getConsent);
+
+/**
+ * POST /oauth/authorize
+ * Approves or denies an authorization request.
+ * 
+ * @name Authorize
+ * @route {POST} /oauth/authorize
+ * @authentication JWT or session cookie required
+ * @bodyparam {boolean} approved - Whether the user approved
+ * @bodyparam {string} client_id - Same parameters as GET /oauth/authorize
+ * @returns {Object} URL to redirect the user to
+ */
+router.post("/authorize", authenticate, requireFirstParty, oauthController.authorize);
+
+/**
+ * POST /oauth/token
+ * Exchanges an authorization code or refresh token for tokens.
+ * Clients authenticate with HTTP Basic or client_id (and client_secret) in the body
+ * 
+ * @name Token
+ * @route {POST} /oauth/token
+ * @bodyparam {string} grant_type - "authorization_code" or "refresh_token"
+ * @returns {Object} Access token, refresh token and granted scope
+ */
+router.post("/token", cors(), oauthController.token);
+
+/**
+ * GET /oauth/userinfo
+ * Gets the OpenID Connect claims of the current user.
+ * 
+ * @name UserInfo
+ * @route {GET} /oauth/userinfo
+ * @authentication JWT with the openid scope required
+ * @returns {Object} The claims (sub, name and preferred_username)
+ */
+router.get("/userinfo", cors(), authenticate, requireScope("openid"), oauthController.userInfo);
+
+/**
+ * POST /oauth/userinfo
+ * Same as GET /oauth/userinfo, OpenID Connect allows both.
+ * 
+ * @name UserInfoPost
+ * @route {POST} /oauth/userinfo
+ * @authentication JWT with the openid scope required
+ * @returns {Object} The claims
+ */
+router.post("/userinfo", cors(), authenticate, requireScope("openid"), oauthController.userInfo);
+
+// admin only routes
+
+/**
+ * POST /oauth/clients
+ * Registers a new OAuth client.
+ * 
+ * @name CreateClient
+ * @route {POST} /oauth/clients
+ * @authentication JWT required
+ * @authorization Admin role required
+ * @ratelimit admin policy per IP
+ * @bodyparam {string} name - Name shown on the consent screen
+ * @bodyparam {string[]} redirectUris - Allowed redirect URIs
+ * @bodyparam {string[]} scopes - Scopes the client may ask for
+ * @bodyparam {boolean} [confidential=true] - false for public clients without a secret
+ * @returns {Object} The client and its secret
+ */
+router.post("/clients", rateLimit("admin"), authenticate, requireFirstParty, authorize(["admin"]), oauthController.createClient);
+
+/**
+ * GET /oauth/clients
+ * Lists every OAuth client.
+ * 
+ * @name ListClients
+ * @route {GET} /oauth/clients
+ * @authentication JWT required
+ * @authorization Admin role required
+ * @ratelimit admin policy per IP
+ * @returns {Object} Array of clients
+ */
+router.get("/clients", rateLimit("admin"), authenticate, requireFirstParty, authorize(["admin"]), oauthController.listClients);
+
+/**
+ * DELETE /oauth/clients/:clientId
+ * Deletes an OAuth client.
+ * 
+ * @name DeleteClient
+ * @route {DELETE} /oauth/clients/:clientId
+ * @authentication JWT required
+ * @authorization Admin role required
+ * @ratelimit admin policy per IP
+ * @routeparam {string} clientId - Client ID
+ * @returns {Object} Success message
+ */
+router.delete("/clients/:clientId", rateLimit("admin"), authenticate, requireFirstParty, authorize(["admin"]), oauthController.deleteClient);
+
+export { router };
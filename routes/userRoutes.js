@@ -10,7 +10,14 @@ import express from "express";
 import { UserController } from "../controllers/userController.js";
 import { UserService } from "../services/userService.js";
 import { DbService } from "../services/dbService.js";
+import { LoginSessionService } from "../services/loginSessionService.js";
+import { LoginSessionController } from "../controllers/loginSessionController.js";
+import { LoginHistoryService } from "../services/loginHistoryService.js";
+import { LoginHistoryController } from "../controllers/loginHistoryController.js";
+import { UsernameService } from "../services/usernameService.js";
+import { UsernameController } from "../controllers/usernameController.js";
 import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import { rateLimit } from "../middleware/rateLimitMiddleware.js";
 
 /**
  * Express router for user management routes.
@@ -22,6 +29,9 @@ const router = express.Router();
 const dbService = new DbService();
 const userService = new UserService(dbService);
 const userController = new UserController(userService);
+const loginSessionController = new LoginSessionController(new LoginSessionService(dbService));
+const loginHistoryController = new LoginHistoryController(new LoginHistoryService(dbService));
+const usernameController = new UsernameController(new UsernameService(dbService, userService));
 
 /**
  * GET /api/users/:id
@@ -46,12 +56,13 @@ router.get(":id", authenticate, userController.getUserById);
  * @name CreateUser
  * @route {POST} /api/users
  * @authentication JWT required
- * @authorization Admin role required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
  * @bodyparam {string} username - User's username
  * @bodyparam {string} password - User's password
  * @returns {Object} Success message
  */
-router.post("/", authenticate, authorize(["admin"]), userController.createUser);
+router.post("/", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.createUser);
 
 /**
  * DELETE /api/users/:id
@@ -61,11 +72,12 @@ router.post("/", authenticate, authorize(["admin"]), userController.createUser);
  * @name DeleteUser
  * @route {DELETE} /api/users/:id
  * @authentication JWT required
- * @authorization Admin role required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
  * @routeparam {string} id - User ID
  * @returns {Object} Success message
  */
-router.delete("/:id", authenticate, authorize(["admin"]), userController.deleteUser);
+router.delete("/:id", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.deleteUser);
 
 /**
  * PUT /api/users/:id/ban
@@ -75,11 +87,12 @@ router.delete("/:id", authenticate, authorize(["admin"]), userController.deleteU
  * @name BanUser
  * @route {PUT} /api/users/:id/ban
  * @authentication JWT required
- * @authorization Admin role required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
  * @routeparam {string} id - User ID
  * @returns {Object} Success message
  */
-router.put("/:id/ban", authenticate, authorize(["admin"]), userController.banUser);
+router.put("/:id/ban", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.banUser);
 
 /**
  * PUT /api/users/:id/unban
@@ -89,11 +102,107 @@ router.put("/:id/ban", authenticate, authorize(["admin"]), userController.banUse
  * @name UnbanUser
  * @route {PUT} /api/users/:id/unban
  * @authentication JWT required
- * @authorization Admin role required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
  * @routeparam {string} id - User ID
  * @returns {Object} Success message
  */
-router.put("/:id/unban", authenticate, authorize(["admin"]), userController.unbanUser);
+router.put("/:id/unban", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.unbanUser);
+
+/**
+ * PUT /api/users/:id/unlock
+ * Unlocks a user locked out after too many failed logins.
+ * Requires authentication and admin role.
+ * 
+ * @name UnlockUser
+ * @route {PUT} /api/users/:id/unlock
+ * @authentication JWT required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
+ * @routeparam {string} id - User ID
+ * @returns {Object} Success message
+ */
+router.put("/:id/unlock", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.unlockUser);
+
+/**
+ * GET /api/users/:id/sessions
+ * Lists where a user is logged in.
+ * Requires authentication and admin role.
+ * 
+ * @name GetUserSessions
+ * @route {GET} /api/users/:id/sessions
+ * @authentication JWT required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
+ * @routeparam {string} id - User ID
+ * @returns {Object} Array of sessions
+ */
+router.get("/:id/sessions", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), loginSessionController.listForUser);
+
+/**
+ * DELETE /api/users/:id/sessions/:sessionId
+ * Logs a user out on one device.
+ * Requires authentication and admin role.
+ * 
+ * @name RevokeUserSession
+ * @route {DELETE} /api/users/:id/sessions/:sessionId
+ * @authentication JWT required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
+ * @routeparam {string} id - User ID
+ * @routeparam {string} sessionId - Session ID
+ * @returns {Object} Success message
+ */
+router.delete("/:id/sessions/:sessionId", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), loginSessionController.revokeForUser);
+
+/**
+ * GET /api/users/:id/logins
+ * Gets the login history of a user, the newest attempts first.
+ * Requires authentication and admin role.
+ * 
+ * @name GetUserLoginHistory
+ * @route {GET} /api/users/:id/logins
+ * @authentication JWT required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
+ * @routeparam {string} id - User ID
+ * @queryparam {number} [page=1] - Page to get
+ * @queryparam {number} [limit=20] - Entries per page, at most 100
+ * @returns {Object} Array of login attempts with page, limit and total
+ */
+router.get("/:id/logins", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), loginHistoryController.listForUser);
+
+/**
+ * PUT /api/users/:id/username
+ * Renames a user, e.g. because the username is abusive.
+ * There is no cooldown and nobody (the user included) can take the old username again.
+ * Requires authentication and admin role.
+ * 
+ * @name RenameUser
+ * @route {PUT} /api/users/:id/username
+ * @authentication JWT required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
+ * @routeparam {string} id - User ID
+ * @bodyparam {string} username - New username, checked against the username policy
+ * @returns {Object} New and old username and when it was changed
+ */
+router.put("/:id/username", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), usernameController.forceRename);
+
+/**
+ * GET /api/users/:id/usernames
+ * Gets the earlier usernames of a user, the newest change first.
+ * Requires authentication and admin role.
+ * 
+ * @name GetUsernameHistory
+ * @route {GET} /api/users/:id/usernames
+ * @authentication JWT required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
+ * @routeparam {string} id - User ID
+ * @returns {Object} Array of old usernames with when, by whom and whether it was forced and until when they are held
+ */
+router.get("/:id/usernames", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), usernameController.listForUser);
 
 /**
  * GET /api/users
@@ -103,10 +212,11 @@ router.put("/:id/unban", authenticate, authorize(["admin"]), userController.unba
  * @name GetAllUsers
  * @route {GET} /api/users
  * @authentication JWT required
- * @authorization Admin role required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
  * @returns {Object} Array of users
  */
-router.get("/", authenticate, authorize(["admin"]), userController.getAllUsers);
+router.get("/", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.getAllUsers);
 
 /**
  * GET /api/users/:id
@@ -116,10 +226,11 @@ router.get("/", authenticate, authorize(["admin"]), userController.getAllUsers);
  * @name GetUserById
  * @route {GET} /api/users/:id
  * @authentication JWT required
- * @authorization Admin role required
+ * @authorization Admin role required (and the admin scope for personal access tokens)
+ * @ratelimit admin policy per IP
  * @routeparam {string} id - User ID
  * @returns {Object} User data
  */
-router.get("/:id", authenticate, authorize(["admin"]), userController.getUserById);
+router.get("/:id", rateLimit("admin"), authenticate, authorize(["admin"], ["admin"]), userController.getUserById);
 
 export { router };
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * WebAuthn routes for Haru_Chat.
+ * Defines endpoints for passkey registration, passkey login (as first or second factor)
+ * and managing passkeys
+ * 
+ * @module routes/webauthnRoutes
+ */
+
+import express from "express";
+import cors from "cors";
+
+import { WebAuthnController } from "../controllers/webauthnController.js";
+import { authenticate, requireFirstParty } from "../middleware/authMiddleware.js";
+import { rateLimit } from "../middleware/rateLimitMiddleware.js";
+import { authService, webauthnService, corsOptions } from "./authRoutes.js";
+
+/**
+ * Express router for passkey routes
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+// the auth routes own the services, passkey logins go through the same AuthService
+const webauthnController = new WebAuthnController(webauthnService, authService);
+
+// Handle OPTIONS preflight requests for the login endpoints
+router.options("/login/options", cors(corsOptions));
+router.options("/login/verify", cors(corsOptions));
+router.options("/2fa/options", cors(corsOptions));
+router.options("/2fa/verify", cors(corsOptions));
+
+/**
+ * POST /api/auth/webauthn/login/options
+ * Starts a passwordless passkey login.
+ * Frontend is allowed to use this
+ * 
+ * @name PasskeyLoginOptions
+ * @route {POST} /api/auth/webauthn/login/options
+ * @returns {Object} Options for navigator.credentials.get and a ceremony token
+ * @ratelimit login policy per IP
+ */
+router.post("/login/options", cors(corsOptions), rateLimit("login"), webauthnController.loginOptions);
+
+/**
+ * POST /api/auth/webauthn/login/verify
+ * Finishes a passwordless passkey login.
+ * Frontend is allowed to use this
+ * 
+ * @name PasskeyLoginVerify
+ * @route {POST} /api/auth/webauthn/login/verify
+ * @bodyparam {string} ceremonyToken - Ceremony token from the options
+ * @bodyparam {Object} response - Response from navigator.credentials.get
+ * @bodyparam {string} [mode] - "session" to get a session cookie instead of tokens
+ * @returns {Object} Same result as /api/auth/login
+ * @ratelimit login policy per IP
+ */
+router.post("/login/verify", cors(corsOptions), rateLimit("login"), webauthnController.loginVerify);
+
+/**
+ * POST /api/auth/webauthn/2fa/options
+ * Starts using a passkey as the second factor of a login.
+ * Frontend is allowed to use this
+ * 
+ * @name PasskeyTwoFactorOptions
+ * @route {POST} /api/auth/webauthn/2fa/options
+ * @bodyparam {string} challengeToken - Challenge token from /api/auth/login
+ * @returns {Object} Options for navigator.credentials.get and a ceremony token
+ * @ratelimit login policy per IP
+ */
+router.post("/2fa/options", cors(corsOptions), rateLimit("login"), webauthnController.twoFactorOptions);
+
+/**
+ * POST /api/auth/webauthn/2fa/verify
+ * Finishes a login with a passkey as the second factor.
+ * Frontend is allowed to use this
+ * 
+ * @name PasskeyTwoFactorVerify
+ * @route {POST} /api/auth/webauthn/2fa/verify
+ * @bodyparam {string} challengeToken - Challenge token from /api/auth/login
+ * @bodyparam {string} ceremonyToken - Ceremony token from the options
+ * @bodyparam {Object} response - Response from navigator.credentials.get
+ * @returns {Object} Same result as /api/auth/login
+ * @ratelimit login policy per IP
+ */
+router.post("/2fa/verify", cors(corsOptions), rateLimit("login"), webauthnController.twoFactorVerify);
+
+// protected routes
+
+/**
+ * POST /api/auth/webauthn/register/options
+ * Starts registering a passkey for the current user.
+ * 
+ * @name PasskeyRegisterOptions
+ * @route {POST} /api/auth/webauthn/register/options
+ * @authentication JWT or session cookie required
+ * @returns {Object} Options for navigator.credentials.create and a ceremony token
+ */
+router.post("/register/options", authenticate, requireFirstParty, webauthnController.registerOptions);
+
+/**
+ * POST /api/auth/webauthn/register/verify
+ * Finishes registering a passkey for the current user.
+ * 
+ * @name PasskeyRegisterVerify
+ * @route {POST} /api/auth/webauthn/register/verify
+ * @authentication JWT or session cookie required
+ * @bodyparam {string} ceremonyToken - Ceremony token from the options
+ * @bodyparam {Object} response - Response from navigator.credentials.create
+ * @bodyparam {string} [name] - Name of the passkey
+ * @returns {Object} The new passkey
+ */
+router.post("/register/verify", authenticate, requireFirstParty, webauthnController.registerVerify);
+
+/**
+ * GET /api/auth/webauthn/credentials
+ * Lists the passkeys of the current user.
+ * 
+ * @name ListPasskeys
+ * @route {GET} /api/auth/webauthn/credentials
+ * @authentication JWT or session cookie required
+ * @returns {Object} Array of passkeys
+ */
+router.get("/credentials", authenticate, requireFirstParty, webauthnController.listCredentials);
+
+/**
+ * DELETE /api/auth/webauthn/credentials/:id
+ * Removes a passkey of the current user.
+ * 
+ * @name RemovePasskey
+ * @route {DELETE} /api/auth/webauthn/credentials/:id
+ * @authentication JWT or session cookie required
+ * @routeparam {string} id - Passkey ID
+ * @returns {Object} Success message
+ */
+router.delete("/credentials/:id", authenticate, requireFirstParty, webauthnController.removeCredential);
+
+export { router };
@@ -0,0 +1,44 @@
+/**
+ * Well-known routes for Haru_Chat.
+ * Defines the public discovery endpoints (JWKS and OpenID Connect) under /.well-known
+ * 
+ * @module routes/wellKnownRoutes
+ */
+
+import express from "express";
+import cors from "cors";
+
+import { WellKnownController } from "../controllers/wellKnownController.js";
+
+/**
+ * Express router for well-known routes
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+// init controller
+const wellKnownController = new WellKnownController();
+
+/**
+ * GET /.well-known/jwks.json
+ * Gets the public keys tokens are signed with.
+ * Anyone is allowed to use this
+ * 
+ * @name GetJwks
+ * @route {GET} /.well-known/jwks.json
+ * @returns {Object} JSON Web Key Set
+ */
+router.get("/jwks.json", cors(), wellKnownController.getJwks);
+
+/**
+ * GET /.well-known/openid-configuration
+ * Gets the OpenID Connect discovery document.
+ * Anyone is allowed to use this
+ * 
+ * @name GetOpenIdConfiguration
+ * @route {GET} /.well-known/openid-configuration
+ * @returns {Object} OpenID Provider metadata
+ */
+router.get("/openid-configuration", cors(), wellKnownController.getOpenIdConfiguration);
+
+export { router };
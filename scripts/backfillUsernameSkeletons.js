@@ -0,0 +1,32 @@
+/**
+ * Sets the username skeleton of users created before the username policy.
+ * Users whose username looks like the username of another user are listed and left without
+ * a skeleton, rename one of them and run the script again.
+ * 
+ * Usage: npm run usernames:backfill
+ * 
+ * @module scripts/backfillUsernameSkeletons
+ */
+
+import { pool } from "../config/db.js";
+import { DbService } from "../services/dbService.js";
+import { getUsernameSkeleton } from "../utils/usernamePolicy.js";
+
+const db = new DbService();
+const users = await db.getUsersWithoutUsernameSkeleton();
+let conflicts = 0;
+
+for (const user of users) {
+    try {
+        await db.setUsernameSkeleton(user.id, getUsernameSkeleton(user.username));
+    } catch (error) {
+        if (error.code !== "23505") {
+            throw error;
+        }
+        conflicts++;
+        console.warn(`User ${user.id} (${user.username}) looks like the username of another user, skipped`);
+    }
+}
+
+console.log(`Username skeletons set for ${users.length - conflicts} of ${users.length} users`);
+await pool.end();
@@ -0,0 +1,19 @@
+/**
+ * Rotates the JWT signing key.
+ * The old key stays published in the JWKS until every token signed with it has expired.
+ * 
+ * Usage: npm run keys:rotate
+ * 
+ * @module scripts/rotateKeys
+ */
+
+import { jwtConfig } from "../config/auth.js";
+import { rotateKeys } from "../utils/keyStore.js";
+
+if (jwtConfig.algorithm === "HS256") {
+    console.error("JWT_ALGORITHM is HS256, there are no signing keys to rotate");
+    process.exit(1);
+}
+
+const kid = await rotateKeys();
+console.log(`Signing key rotated, new kid: ${kid}`);
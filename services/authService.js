@@ -7,8 +7,28 @@
 
 import bcrypt from "bcrypt";
 
+import { User } from "./../models/User.js";
 import { generateToken, verifyToken } from "./../utils/jwtUtils.js";
-import { ValidationError, AuthenticationError, NotFoundError, ConflictError, ForbiddenError } from "../middleware/errorMiddleware.js";
+import { emailConfig, personalAccessTokenConfig, refreshTokenConfig, sessionConfig } from "./../config/auth.js";
+import { LoginOutcome, LoginFailureReason } from "./loginHistoryService.js";
+import { LoginEscalation } from "./deviceService.js";
+import {
+    ValidationError,
+    AuthenticationError,
+    NotFoundError,
+    ConflictError,
+    ForbiddenError,
+    LockoutError
+} from "../middleware/errorMiddleware.js";
+
+/**
+ * Failure reasons for the login history by the messages of UserService.authenticateUser
+ * @type {Object<string, string>}
+ */
+const FAILURE_REASONS = {
+    "invalid password": LoginFailureReason.BAD_PASSWORD,
+    "user has been banned": LoginFailureReason.BANNED
+};
 
 /**
  * Service class for handling authentication related stuff
@@ -19,9 +39,44 @@ class AuthService {
      * Creates an instance of AuthService
      * 
      * @param {Object} userService - Instance of UserService for user related stuff
+     * @param {Object} refreshTokenService - Instance of RefreshTokenService for refresh token stuff
+     * @param {Object} tokenRevocationService - Instance of TokenRevocationService for revoking tokens
+     * @param {Object} sessionService - Instance of SessionService for cookie sessions
+     * @param {Object} twoFactorService - Instance of TwoFactorService for two-factor authentication
+     * @param {Object} webauthnService - Instance of WebAuthnService for passkeys
+     * @param {Object} personalAccessTokenService - Instance of PersonalAccessTokenService for personal access tokens
+     * @param {Object} emailVerificationService - Instance of EmailVerificationService for verifying email addresses
+     * @param {Object} loginSessionService - Instance of LoginSessionService for keeping track of logins per device
+     * @param {Object} loginHistoryService - Instance of LoginHistoryService for recording login attempts
+     * @param {Object} deviceService - Instance of DeviceService for spotting logins from new devices
+     * @param {Object} magicLinkService - Instance of MagicLinkService for passwordless logins by mail
      */
-    constructor(userService) {
+    constructor(
+        userService,
+        refreshTokenService,
+        tokenRevocationService,
+        sessionService,
+        twoFactorService,
+        webauthnService,
+        personalAccessTokenService,
+        emailVerificationService,
+        loginSessionService,
+        loginHistoryService,
+        deviceService,
+        magicLinkService
+    ) {
         this._userService = userService;
+        this._refreshTokenService = refreshTokenService;
+        this._tokenRevocationService = tokenRevocationService;
+        this._sessionService = sessionService;
+        this._twoFactorService = twoFactorService;
+        this._webauthnService = webauthnService;
+        this._personalAccessTokenService = personalAccessTokenService;
+        this._emailVerificationService = emailVerificationService;
+        this._loginSessionService = loginSessionService;
+        this._loginHistoryService = loginHistoryService;
+        this._deviceService = deviceService;
+        this._magicLinkService = magicLinkService;
     }
 
     /**
@@ -30,90 +85,306 @@ class AuthService {
      * @async
      * @param {string} username - User's username
      * @param {string} password - User's password (will be hashed)
+     * @param {string} [email] - User's email address (required if EMAIL_REQUIRED is set), gets a verification link
      * @returns {Promise<Object>} Result object with user data
-     * @throws {ValidationError} If username or password is not present
-     * @throws {ConflictError} If user already exists
+     * @throws {ValidationError} If username or password is not present or the email address is missing or invalid
+     * @throws {UsernamePolicyError} If the username breaks the username policy
+     * @throws {ConflictError} If the username, a lookalike of it or the verified email address already exists
      */
-    async register(username, password) {
-        try {
-            if (!username || !password) {
-                throw new ValidationError("Username and password are required")
-            }
+    async register(username, password, email) {
+        if (!username || !password) {
+            throw new ValidationError("Username and password are required")
+        }
+        if (emailConfig.required && !email) {
+            throw new ValidationError("Email address is required");
+        }
+        if (email !== undefined && email !== null && !User.isValidEmail(email)) {
+            throw new ValidationError("Invalid email address");
+        }
 
-            // create user with help from user service
-            const user = await this._userService.createUser(username, password);
+        // create user with help from user service
+        const user = await this._userService.createUser(username, password, email || null);
 
-            return {
-                success: true,
-                message: "User registered successfully",
-                user
-            };
-        } catch (error) {
-            if (error.message.includes("User already exists")) {
-                throw new ConflictError("User already exists");
-            }
-            throw error;
+        if (user.email) {
+            // a mail problem shouldn't undo the registration, the user can ask for a new link
+            this._emailVerificationService.sendVerification(user, user.email).catch(error => {
+                console.error("Error sending email verification:", error);
+            });
         }
+
+        return {
+            success: true,
+            message: "User registered successfully",
+            user
+        };
     }
 
     /**
      * Login method
-     * Authenticates a user and generates a JWT.
+     * Authenticates a user and generates a short lived JWT and a refresh token.
+     * Users with two-factor enabled get a challenge token instead, see loginWithTwoFactor.
+     * Logins from a new device or network may have to be confirmed by mail, see loginWithConfirmation.
+     * Every attempt on an existing account is recorded in the login history.
      * 
      * @async
      * @param {string} username - User's username
      * @param {string} password - User's password
-     * @returns {Promise<Object>} - Result object with token and user data
+     * @param {Object} [device] - Device the user logs in from (name, userAgent, ip and fingerprint), see getDeviceInfo
+     * @returns {Promise<Object>} - Result object with token, refresh token and user data, a two-factor challenge
+     *  or a note that a confirmation link was sent
      * @throws {NotFoundError} If user is not found
      * @throws {ForbiddenError} if user is banned or doesn't have access
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
      */
-    async login(username, password) {
-        try {
-            if (!username || !password) {
-                throw new ValidationError("Username and password are required");
-            }
+    async login(username, password, device = {}) {
+        const user = await this._authenticateCredentials(username, password, device);
+        return await this._continueLogin(user, "token", device);
+    }
 
-            // auth via user service 
-            const authResult = await this._userService.authenticateUser(username, password);
+    /**
+     * Session login method
+     * Authenticates a user and starts a server side session for a browser client.
+     * Users with two-factor enabled get a challenge token instead, see loginWithTwoFactor.
+     * Logins from a new device or network may have to be confirmed by mail, see loginWithConfirmation.
+     * Every attempt on an existing account is recorded in the login history.
+     * 
+     * @async
+     * @param {string} username - User's username
+     * @param {string} password - User's password
+     * @param {Object} [device] - Device the user logs in from (name, userAgent, ip and fingerprint), see getDeviceInfo
+     * @returns {Promise<Object>} - Result object with session token (for the cookie), CSRF token and user data,
+     *  a two-factor challenge or a note that a confirmation link was sent
+     * @throws {NotFoundError} If user is not found
+     * @throws {ForbiddenError} if user is banned or doesn't have access
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     */
+    async loginWithSession(username, password, device = {}) {
+        const user = await this._authenticateCredentials(username, password, device);
+        return await this._continueLogin(user, "session", device);
+    }
 
-            if (!authResult.success) {
-                throw new AuthenticationError(authResult.message);
-            }
+    /**
+     * Confirmed login method
+     * Completes a login from a new device started with login or loginWithSession
+     * with the token from the mailed confirmation link.
+     * The device of the original login is remembered, so its next logins aren't new anymore.
+     * 
+     * @async
+     * @param {string} confirmationToken - Token from the confirmation link
+     * @returns {Promise<Object>} - Same result as login or loginWithSession without the confirmation
+     * @throws {ValidationError} If the token is not present, invalid, expired or already used
+     * @throws {ForbiddenError} If user is banned
+     */
+    async loginWithConfirmation(confirmationToken) {
+        if (!confirmationToken) {
+            throw new ValidationError("Confirmation token is required");
+        }
 
-            // generate jwt token
-            const token = generateToken({
-                userId: authResult.user.id,
-                username: authResult.user.username,
-                roles: authResult.user.roles
-            });
+        const confirmation = await this._deviceService.confirm(confirmationToken);
+        return await this._finishLogin(confirmation.userId, confirmation.mode, confirmation.device);
+    }
 
-            return {
-                success: true,
-                message: "Login successful",
-                token,
-                user: authResult.user
-            };
-        } catch (error) {
-            if (error.message === "User not found") {
-                throw new NotFoundError("User not found");
-            } else if (error.message === "user has been banned") {
-                throw new ForbiddenError("Permission denied")
+    /**
+     * Two-factor login method
+     * Completes a login started with login or loginWithSession
+     * by exchanging the challenge token and a two-factor code for the real token or session.
+     * 
+     * @async
+     * @param {string} challengeToken - Challenge token from login
+     * @param {string} code - Code from the authenticator app or a backup code
+     * @param {Object} [device] - Device the user logs in from (name, userAgent and ip), see getDeviceInfo
+     * @returns {Promise<Object>} - Same result as login or loginWithSession without two-factor
+     * @throws {ValidationError} If challenge token or code is not present
+     * @throws {AuthenticationError} If the challenge is invalid or expired or the code is wrong
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     * @throws {ForbiddenError} If user is banned
+     */
+    async loginWithTwoFactor(challengeToken, code, device = {}) {
+        if (!challengeToken || !code) {
+            throw new ValidationError("Challenge token and code are required");
+        }
+
+        const challenge = await this._completeTwoFactorChallenge(
+            challengeToken,
+            userId => this._twoFactorService.verifyCode(userId, code),
+            device
+        );
+
+        return await this._finishLogin(challenge.userId, challenge.mode, device);
+    }
+
+    /**
+     * Starts using a passkey as the second factor of a two-factor login.
+     * 
+     * @async
+     * @param {string} challengeToken - Challenge token from login
+     * @returns {Promise<Object>} WebAuthn options limited to the user's passkeys and the ceremony token
+     * @throws {ValidationError} If challenge token is not present
+     * @throws {AuthenticationError} If the challenge is invalid or expired
+     */
+    async startTwoFactorPasskey(challengeToken) {
+        if (!challengeToken) {
+            throw new ValidationError("Challenge token is required");
+        }
+
+        const userId = await this._twoFactorService.getChallengeUserId(challengeToken);
+        return await this._webauthnService.startAuthentication(userId);
+    }
+
+    /**
+     * Two-factor passkey login method
+     * Completes a login started with login or loginWithSession with a passkey instead of a code.
+     * 
+     * @async
+     * @param {string} challengeToken - Challenge token from login
+     * @param {string} ceremonyToken - Ceremony token from startTwoFactorPasskey
+     * @param {Object} response - Authentication response from the browser
+     * @param {Object} [device] - Device the user logs in from (name, userAgent and ip), see getDeviceInfo
+     * @returns {Promise<Object>} - Same result as login or loginWithSession without two-factor
+     * @throws {ValidationError} If a parameter is not present
+     * @throws {AuthenticationError} If the challenge is invalid or expired or the passkey is wrong
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     */
+    async loginWithTwoFactorPasskey(challengeToken, ceremonyToken, response, device = {}) {
+        if (!challengeToken || !ceremonyToken || !response) {
+            throw new ValidationError("Challenge token, ceremony token and response are required");
+        }
+
+        const challenge = await this._completeTwoFactorChallenge(challengeToken, async userId => {
+            try {
+                return await this._webauthnService.finishAuthentication(ceremonyToken, response) === userId;
+            } catch (error) {
+                if (error instanceof AuthenticationError) {
+                    return false;
+                }
+                throw error;
             }
-            throw error;
+        }, device);
+
+        return await this._finishLogin(challenge.userId, challenge.mode, device);
+    }
+
+    /**
+     * Passkey login method
+     * Logs a user in with only a passkey (passwordless).
+     * The authenticator has to verify the user (PIN or biometric) since there is no password.
+     * 
+     * @async
+     * @param {string} ceremonyToken - Ceremony token from the passkey login options
+     * @param {Object} response - Authentication response from the browser
+     * @param {string} [mode="token"] - "token" or "session"
+     * @param {Object} [device] - Device the user logs in from (name, userAgent and ip), see getDeviceInfo
+     * @returns {Promise<Object>} - Same result as login or loginWithSession, or a note that a confirmation link was sent
+     * @throws {ValidationError} If a parameter is not present
+     * @throws {AuthenticationError} If the passkey can't be verified
+     * @throws {ForbiddenError} If user is banned
+     */
+    async loginWithPasskey(ceremonyToken, response, mode = "token", device = {}) {
+        if (!ceremonyToken || !response) {
+            throw new ValidationError("Ceremony token and response are required");
+        }
+
+        const userId = await this._webauthnService.finishAuthentication(ceremonyToken, response, {
+            requireUserVerification: true
+        });
+
+        // make sure the user still exists and is not banned
+        const { user } = await this.validateToken(userId);
+
+        // new devices are handled like on a password login, the passkey replaces the second factor
+        return await this._continueLogin(user, mode, device, true);
+    }
+
+    /**
+     * Magic link login method
+     * Logs a user in with the token from a mailed login link (passwordless).
+     * The link proves access to the verified email address, the rest is the same as
+     * after the password: logins from new devices are reported and may have to be confirmed,
+     * users with two-factor enabled still get a challenge token, see loginWithTwoFactor.
+     * 
+     * @async
+     * @param {string} token - Token from the magic link
+     * @param {string} [mode="token"] - "token" or "session"
+     * @param {Object} [device] - Device the user logs in from (name, userAgent and ip), see getDeviceInfo
+     * @returns {Promise<Object>} - Same result as login or loginWithSession
+     * @throws {ValidationError} If the token is not present, invalid, expired, replaced or already used
+     * @throws {ForbiddenError} If user is banned
+     */
+    async loginWithMagicLink(token, mode = "token", device = {}) {
+        if (!token) {
+            throw new ValidationError("Magic link token is required");
+        }
+
+        const userId = await this._magicLinkService.consume(token);
+
+        // make sure the user still exists and is not banned
+        const { user } = await this.validateToken(userId);
+
+        // same as after the password: new devices, then two-factor
+        return await this._continueLogin(user, mode, device);
+    }
+
+    /**
+     * Refresh method
+     * Rotates a refresh token and generates a new JWT for its owner.
+     * The login session of the token is marked as used and lasts as long as the new refresh token.
+     * 
+     * @async
+     * @param {string} refreshToken - The refresh token given at login or last refresh
+     * @returns {Promise<Object>} Result object with new token, new refresh token and user data
+     * @throws {ValidationError} If refresh token is not present
+     * @throws {AuthenticationError} If refresh token is invalid, expired or reused
+     * @throws {NotFoundError} If user is not found
+     * @throws {ForbiddenError} If user is banned
+     */
+    async refresh(refreshToken) {
+        if (!refreshToken) {
+            throw new ValidationError("Refresh token is required");
         }
+
+        const rotated = await this._refreshTokenService.rotate(refreshToken);
+
+        // make sure the user still exists and is not banned
+        const { user } = await this.validateToken(rotated.userId);
+
+        // logins from before sessions were tracked have no session, their tokens just don't get a sid
+        const hasSession = await this._loginSessionService.use(
+            rotated.familyId,
+            user.id,
+            new Date(Date.now() + refreshTokenConfig.duration)
+        );
+
+        return {
+            success: true,
+            message: "Token refreshed",
+            token: await this._generateAccessToken(user, hasSession ? rotated.familyId : undefined),
+            refreshToken: rotated.refreshToken,
+            user
+        };
     }
 
     /**
      * Validates a user token by checking if user exists and is not banned.
+     * If the decoded token is given it's also checked for revocation (of the token or its login session).
      * 
      * @async
      * @param {number} userId - ID of the user to validate
+     * @param {Object} [decoded] - Decoded JWT payload to check for revocation
      * @returns {Promise<Object>} Result object with user data
+     * @throws {AuthenticationError} If token is revoked
      * @throws {NotFoundError} If user is not found
      * @throws {ForbiddenError} If user is banned
      */
-    async validateToken(userId) {
+    async validateToken(userId, decoded) {
         try {
+            if (decoded && await this._tokenRevocationService.isRevoked(decoded)) {
+                throw new AuthenticationError("Token has been revoked");
+            }
+
+            if (decoded?.sid && !await this._loginSessionService.use(decoded.sid, userId)) {
+                throw new AuthenticationError("Session has been revoked");
+            }
+
             const user = await this._userService.getUserById(userId);
 
             if (!user) {
@@ -134,13 +405,13 @@ class AuthService {
     }
 
     /**
-     * Validates a JWT token and verifies the associated username
+     * Validates a JWT token and verifies the current username of its user
      * 
      * @async
      * @param {string} token - The JWT token to validate
      * @param {string} username - Username to verify against the token
      * @returns {Promise<Object>} Result object with validation status and user data
-     * @throws {AuthenticationError} If token is invalid or username mismatch
+     * @throws {AuthenticationError} If token is invalid, revoked or username mismatch
      * @throws {NotFoundError} If user is not found
      * @throws {ForbiddenError} If user is banned
      */
@@ -151,24 +422,16 @@ class AuthService {
             }
             
             // Verify the token
-            let decoded;
-            try {
-                decoded = verifyToken(token);
-            } catch (error) {
-                if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-                    throw new AuthenticationError('Invalid or expired token');
-                }
-                throw error;
-            }
+            const decoded = await verifyToken(token);
             
-            // Check if the username in the token matches the provided username
-            if (decoded.username !== username) {
+            // Validate that the token isn't revoked and the user exists and is not banned
+            const userResult = await this.validateToken(decoded.userId, decoded);
+            
+            // Check the current username, tokens issued before a username change still have the old one
+            if (userResult.user.username !== username) {
                 throw new AuthenticationError('Username mismatch');
             }
             
-            // Validate that the user exists and is not banned
-            const userResult = await this.validateToken(decoded.userId);
-            
             return {
                 success: true,
                 message: 'Token is valid',
@@ -178,6 +441,441 @@ class AuthService {
             throw error;
         }
     }
+
+    /**
+     * Introspects a token as described in RFC 7662.
+     * Invalid, expired or revoked tokens and tokens of banned or deleted users are inactive.
+     * 
+     * @async
+     * @param {string} token - The token to introspect
+     * @returns {Promise<Object>} Introspection response, only {active: false} if the token is inactive
+     */
+    async introspect(token) {
+        if (!token) {
+            return { active: false };
+        }
+
+        if (this._personalAccessTokenService.isPersonalAccessToken(token)) {
+            return await this._introspectPersonalAccessToken(token);
+        }
+
+        try {
+            const decoded = await verifyToken(token);
+            const { user } = await this.validateToken(decoded.userId, decoded);
+
+            return {
+                active: true,
+                token_type: "Bearer",
+                sub: String(user.id),
+                username: user.username,
+                // tokens of OAuth clients only carry the roles they were issued with (none), not the user's
+                roles: decoded.client_id ? decoded.roles || [] : user.roles,
+                exp: decoded.exp,
+                iat: decoded.iat,
+                jti: decoded.jti,
+                // tokens issued to OAuth clients are limited to their scopes
+                ...(decoded.client_id && { scope: decoded.scope, client_id: decoded.client_id })
+            };
+        } catch (error) {
+            if (error instanceof AuthenticationError
+                || error instanceof NotFoundError
+                || error instanceof ForbiddenError) {
+                return { active: false };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Logout method
+     * Revokes the current token (or ends the current session)
+     * and, if given, the refresh token from the same login.
+     * The login session is revoked too so the device disappears from the session list.
+     * 
+     * @async
+     * @param {Object} decoded - Decoded JWT payload of the current token, the session user or the personal access token user
+     * @param {string} [refreshToken] - Refresh token to revoke along with the token
+     * @returns {Promise<Object>} Result object
+     */
+    async logout(decoded, refreshToken) {
+        if (decoded.sessionId) {
+            await this._sessionService.destroy(decoded.sessionId);
+        } else if (decoded.tokenId) {
+            await this._personalAccessTokenService.revoke(decoded.userId, decoded.tokenId);
+        } else {
+            await this._tokenRevocationService.revokeToken(decoded);
+        }
+
+        if (refreshToken) {
+            await this._refreshTokenService.revoke(refreshToken, decoded.userId);
+        }
+
+        if (decoded.sid) {
+            await this._loginSessionService.revoke(decoded.userId, decoded.sid);
+        }
+
+        return {
+            success: true,
+            message: "Logged out successfully"
+        };
+    }
+
+    /**
+     * Logs a user out everywhere
+     * by revoking every token, refresh token and login session and ending every cookie session of the user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object>} Result object
+     */
+    async logoutAll(userId) {
+        await this._tokenRevocationService.revokeAllForUser(userId);
+        await this._refreshTokenService.revokeAllForUser(userId);
+        await this._sessionService.destroyAllForUser(userId);
+        await this._loginSessionService.revokeAllForUser(userId);
+
+        return {
+            success: true,
+            message: "Logged out of all devices successfully"
+        };
+    }
+
+    /**
+     * Changes the password of the current user.
+     * Every token, refresh token and session of the user is revoked
+     * and the current login is reissued so only this client stays logged in.
+     * Personal access tokens stay valid like with logoutAll.
+     * 
+     * @async
+     * @param {Object} decoded - Decoded JWT payload (or session info) of the current login
+     * @param {string} currentPassword - User's current password
+     * @param {string} newPassword - New password
+     * @param {Object} [device] - Device the password is changed from (name, userAgent and ip), see getDeviceInfo
+     * @returns {Promise<Object>} - Same result as login (or loginWithSession for sessions) with the new token or session
+     * @throws {ValidationError} If a password is missing
+     * @throws {AuthenticationError} If the current password is wrong
+     * @throws {PasswordPolicyError} If the new password breaks the password policy
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     * @throws {NotFoundError} If user is not found
+     */
+    async changePassword(decoded, currentPassword, newPassword, device = {}) {
+        if (!currentPassword || !newPassword) {
+            throw new ValidationError("Current password and new password are required");
+        }
+
+        const result = await this._userService.changePassword(decoded.userId, currentPassword, newPassword);
+
+        if (!result.success) {
+            if (result.message === "User not found") {
+                throw new NotFoundError("User not found");
+            }
+            throw new AuthenticationError("Current password is incorrect");
+        }
+
+        await this.logoutAll(decoded.userId);
+
+        const login = decoded.sessionId
+            ? await this._startSession(result.user, device)
+            : await this._issueTokens(result.user, device);
+
+        return {
+            ...login,
+            message: "Password changed successfully"
+        };
+    }
+
+    /**
+     * Introspects a personal access token.
+     * Roles that are also a scope (admin) are only returned if the token has that scope.
+     * 
+     * @async
+     * @private
+     * @param {string} token - The personal access token
+     * @returns {Promise<Object>} Introspection response, only {active: false} if the token is inactive
+     */
+    async _introspectPersonalAccessToken(token) {
+        const personalAccessToken = await this._personalAccessTokenService.verify(token);
+        const user = personalAccessToken ? await this._userService.getUserById(personalAccessToken.userId) : null;
+
+        if (!user || user.isBanned) {
+            return { active: false };
+        }
+
+        return {
+            active: true,
+            token_type: "Bearer",
+            sub: String(user.id),
+            username: user.username,
+            // a narrowly scoped token must not look like the admin it belongs to
+            roles: user.roles.filter(role => !personalAccessTokenConfig.scopes[role] || personalAccessToken.scopes.includes(role)),
+            scope: personalAccessToken.scopes.join(" "),
+            iat: Math.floor(personalAccessToken.createdAt.getTime() / 1000),
+            ...(personalAccessToken.expiresAt && { exp: Math.floor(personalAccessToken.expiresAt.getTime() / 1000) })
+        };
+    }
+
+    /**
+     * Completes a two-factor challenge, wrong second factors are recorded in the login history.
+     * 
+     * @async
+     * @private
+     * @param {string} challengeToken - Challenge token from login
+     * @param {function(number): Promise<boolean>} verify - Checks the second factor for the user ID of the challenge
+     * @param {Object} device - Device the user logs in from
+     * @returns {Promise<{userId: number, mode: string}>} The user and login mode of the challenge
+     * @throws {AuthenticationError} If the challenge is invalid or expired or the second factor is wrong
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     */
+    async _completeTwoFactorChallenge(challengeToken, verify, device) {
+        return await this._twoFactorService.completeChallenge(challengeToken, async userId => {
+            if (await verify(userId)) {
+                return true;
+            }
+
+            await this._loginHistoryService.record(
+                userId,
+                device,
+                LoginOutcome.FAILURE,
+                LoginFailureReason.TWO_FACTOR_FAILED
+            );
+            return false;
+        });
+    }
+
+    /**
+     * Continues a login after the first factor (password, passkey or magic link).
+     * A login from a new device or network is reported and, depending on newDeviceConfig,
+     * has to be confirmed by mail. Users with two-factor enabled always get a challenge
+     * unless the first factor already was a user verified passkey.
+     * 
+     * @async
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {string} mode - "token" or "session"
+     * @param {Object} device - Device the user logs in from
+     * @param {boolean} [multiFactor=false] - Whether the first factor counts as two (user verified passkey)
+     * @returns {Promise<Object>} Login result, two-factor challenge or a note that a confirmation link was sent
+     */
+    async _continueLogin(user, mode, device, multiFactor = false) {
+        const twoFactorEnabled = await this._twoFactorService.isEnabled(user.id);
+        const escalation = await this._deviceService.check(user, device, twoFactorEnabled);
+
+        // a two_factor escalation is met by the passkey too
+        if (twoFactorEnabled && !multiFactor) {
+            await this._loginHistoryService.record(user.id, device, LoginOutcome.TWO_FACTOR_REQUIRED);
+            return await this._createTwoFactorChallenge(user, mode);
+        }
+
+        if (escalation === LoginEscalation.EMAIL) {
+            await this._deviceService.requestConfirmation(user, mode, device);
+            await this._loginHistoryService.record(user.id, device, LoginOutcome.CONFIRMATION_SENT);
+
+            return {
+                success: true,
+                message: "Login from a new device, a confirmation link has been sent to your email address",
+                confirmationRequired: true
+            };
+        }
+
+        await this._loginHistoryService.record(user.id, device, LoginOutcome.SUCCESS);
+        await this._deviceService.remember(user.id, device);
+
+        return mode === "session"
+            ? await this._startSession(user, device)
+            : await this._issueTokens(user, device);
+    }
+
+    /**
+     * Finishes a login once every factor has been checked.
+     * 
+     * @async
+     * @private
+     * @param {number} userId - ID of the user logging in
+     * @param {string} mode - "token" or "session"
+     * @param {Object} device - Device the user logs in from
+     * @returns {Promise<Object>} Login result
+     * @throws {ForbiddenError} If user is banned
+     */
+    async _finishLogin(userId, mode, device) {
+        // make sure the user still exists and is not banned
+        const { user } = await this.validateToken(userId);
+
+        await this._loginHistoryService.record(user.id, device, LoginOutcome.SUCCESS);
+        await this._deviceService.remember(user.id, device);
+
+        return mode === "session"
+            ? await this._startSession(user, device)
+            : await this._issueTokens(user, device);
+    }
+
+    /**
+     * Starts a login session for a user and generates a JWT and a new refresh token family for it.
+     * 
+     * @async
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {Object} device - Device the user logs in from
+     * @returns {Promise<Object>} Login result with token, refresh token and user data
+     */
+    async _issueTokens(user, device) {
+        const loginSessionId = await this._loginSessionService.start(
+            user.id,
+            device,
+            new Date(Date.now() + refreshTokenConfig.duration)
+        );
+        const token = await this._generateAccessToken(user, loginSessionId);
+        const refreshToken = await this._refreshTokenService.issue(user.id, loginSessionId);
+
+        return {
+            success: true,
+            message: "Login successful",
+            token,
+            refreshToken,
+            user
+        };
+    }
+
+    /**
+     * Starts a login session and a cookie session for a user.
+     * 
+     * @async
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {Object} device - Device the user logs in from
+     * @returns {Promise<Object>} Login result with session token (for the cookie), CSRF token and user data
+     */
+    async _startSession(user, device) {
+        const loginSessionId = await this._loginSessionService.start(
+            user.id,
+            device,
+            new Date(Date.now() + sessionConfig.duration)
+        );
+        const session = await this._sessionService.create(user.id, loginSessionId);
+
+        return {
+            success: true,
+            message: "Login successful",
+            sessionToken: session.sessionToken,
+            csrfToken: session.csrfToken,
+            expiresAt: session.expiresAt,
+            user
+        };
+    }
+
+    /**
+     * Creates a two-factor challenge for a user who passed the password check.
+     * 
+     * @async
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {string} mode - Login mode to finish with ("token" or "session")
+     * @returns {Promise<Object>} Result object with the challenge token
+     */
+    async _createTwoFactorChallenge(user, mode) {
+        const challengeToken = await this._twoFactorService.createChallenge(user.id, mode);
+
+        // a passkey can be used instead of a code
+        const methods = ["totp"];
+        if (await this._webauthnService.hasCredentials(user.id)) {
+            methods.push("webauthn");
+        }
+
+        return {
+            success: true,
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken,
+            methods
+        };
+    }
+
+    /**
+     * Checks a username and password.
+     * Failed attempts on existing accounts are recorded in the login history.
+     * 
+     * @async
+     * @private
+     * @param {string} username - User's username
+     * @param {string} password - User's password
+     * @param {Object} device - Device the user logs in from
+     * @returns {Promise<Object>} Safe user object
+     * @throws {ValidationError} If username or password is not present
+     * @throws {AuthenticationError} If the password is wrong
+     * @throws {NotFoundError} If user is not found
+     * @throws {ForbiddenError} if user is banned or doesn't have access
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     */
+    async _authenticateCredentials(username, password, device) {
+        try {
+            if (!username || !password) {
+                throw new ValidationError("Username and password are required");
+            }
+
+            // auth via user service 
+            const authResult = await this._userService.authenticateUser(username, password);
+
+            if (!authResult.success) {
+                if (FAILURE_REASONS[authResult.message]) {
+                    await this._recordFailedLogin(username, device, FAILURE_REASONS[authResult.message]);
+                }
+                throw new AuthenticationError(authResult.message);
+            }
+
+            return authResult.user;
+        } catch (error) {
+            // lockout errors carry their own status and Retry-After
+            if (error instanceof LockoutError) {
+                await this._recordFailedLogin(username, device, LoginFailureReason.LOCKED);
+            }
+
+            if (error.message === "User not found") {
+                throw new NotFoundError("User not found");
+            } else if (error.message === "user has been banned") {
+                throw new ForbiddenError("Permission denied");
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Records a failed login in the history of the account it was for.
+     * Attempts on accounts that don't exist have no history to go to.
+     * 
+     * @async
+     * @private
+     * @param {string} login - Username or email address the attempt was made with
+     * @param {Object} device - Device of the attempt
+     * @param {string} reason - Why the attempt failed
+     */
+    async _recordFailedLogin(login, device, reason) {
+        try {
+            const user = await this._userService.getUserByLogin(login);
+
+            if (user) {
+                await this._loginHistoryService.record(user.id, device, LoginOutcome.FAILURE, reason);
+            }
+        } catch (error) {
+            console.error("Error recording failed login:", error);
+        }
+    }
+
+    /**
+     * Generates a short lived JWT for a user.
+     * 
+     * @async
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {string} [loginSessionId] - ID of the login session the token belongs to (the sid claim)
+     * @returns {Promise<string>} Signed JWT
+     */
+    async _generateAccessToken(user, loginSessionId) {
+        return await generateToken({
+            userId: user.id,
+            username: user.username,
+            roles: user.roles,
+            ...(loginSessionId && { sid: loginSessionId })
+        });
+    }
 }
 
 export { AuthService };
\ No newline at end of file
@@ -67,10 +67,11 @@ class DbService {
      * Saves a user to the database.
      * 
      * @param {User} user - User Object to save
+     * @param {string} usernameSkeleton - Confusable skeleton of the username
      * @returns {Promise<number>} ID generated by the database of the new user
-     * @throws {Error} If saving fails
+     * @throws {Error} If saving fails (code 23505 if the username, its skeleton or the email address is taken)
      */
-    async saveUser(user) {
+    async saveUser(user, usernameSkeleton) {
         const client = await pool.connect();
 
         try {
@@ -79,9 +80,9 @@ class DbService {
 
             // returning id means that it will return the id that the database generates
             const userResult = await client.query(
-                `INSERT INTO users (username, password, created_at, is_banned)
-                VALUES ($1, $2, $3, $4) RETURNING id`,
-                [user.getUsername(), user._password, user.getCreatedAt(), user.getIsBanned()]
+                `INSERT INTO users (username, username_skeleton, password, email, created_at, is_banned)
+                VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+                [user.getUsername(), usernameSkeleton, user._password, user.getEmail(), user.getCreatedAt(), user.getIsBanned()]
             );
 
             const userId = userResult.rows[0].id;
@@ -143,6 +144,7 @@ class DbService {
 
     /**
      * Gets a user by username from the database.
+     * Usernames are compared case insensitive.
      * 
      * @async
      * @param {string} username - Username to look up
@@ -157,7 +159,7 @@ class DbService {
                 `SELECT u.*, array_agg(r.name) AS roles FROM users u
                 LEFT JOIN user_roles AS ur ON u.id = ur.user_id
                 LEFT JOIN roles AS r On ur.role_id = r.id
-                WHERE u.username = $1
+                WHERE lower(u.username) = lower($1)
                 GROUP BY u.id`,
                 [username]
             );
@@ -175,6 +177,46 @@ class DbService {
         }
     }
 
+    /**
+     * Gets a username that is the same (case insensitive) or looks like the given one.
+     * Usernames of other users count, and so do old usernames that are still held after a change
+     * (old usernames of the user itself only if an admin took them away).
+     * 
+     * @async
+     * @param {string} username - Username to check
+     * @param {string} skeleton - Confusable skeleton of the username
+     * @param {?number} [excludeUserId=null] - ID of a user to leave out
+     * @returns {Promise<string|null>} The conflicting username or null if there is none
+     * @throws {Error} If retrieval fails
+     */
+    async getUsernameConflict(username, skeleton, excludeUserId = null) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT username FROM (
+                    SELECT username, username_skeleton FROM users
+                    WHERE $3::int IS NULL OR id <> $3
+                    UNION ALL
+                    SELECT username, username_skeleton FROM username_history
+                    WHERE (held_until IS NULL OR held_until > NOW())
+                    AND ($3::int IS NULL OR user_id <> $3 OR forced)
+                ) AS taken
+                WHERE lower(username) = lower($1) OR username_skeleton = $2
+                ORDER BY lower(username) = lower($1) DESC
+                LIMIT 1`,
+                [username, skeleton, excludeUserId]
+            );
+
+            return result.rows.length > 0 ? result.rows[0].username : null;
+        } catch (error) {
+            console.error("Error checking username", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Gets all users from the database.
      * 
@@ -260,6 +302,8 @@ class DbService {
             new Date(dbUser.created_at),
             dbUser.is_banned
         );
+        user.setEmail(dbUser.email || null);
+        user.setEmailVerified(Boolean(dbUser.email_verified));
 
         // add roles to the user
         if (dbUser.roles && Array.isArray(dbUser.roles)) {
@@ -272,6 +316,131 @@ class DbService {
         return user;
     }
 
+    /**
+     * Gets a user by email address from the database.
+     * Email addresses are compared case insensitive.
+     * Only verified addresses are unique, the user who verified the address comes first.
+     * 
+     * @async
+     * @param {string} email - Email address to look up
+     * @returns {Promise<User|null>} User object if found else null
+     * @throws {Error} If retrieval fails
+     */
+    async getUserByEmail(email) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT u.*, array_agg(r.name) AS roles FROM users u
+                LEFT JOIN user_roles AS ur ON u.id = ur.user_id
+                LEFT JOIN roles AS r ON ur.role_id = r.id
+                WHERE lower(u.email) = lower($1)
+                GROUP BY u.id
+                ORDER BY u.email_verified DESC, u.id
+                LIMIT 1`,
+                [email]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbUserToModel(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching user by email", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Sets the email address of a user and marks it as verified.
+     * 
+     * @async
+     * @param {number} id - ID of the user
+     * @param {string} email - The verified email address
+     * @returns {Promise<boolean>} Whether the user exists
+     * @throws {Error} If the update fails (code 23505 if another user has the address)
+     */
+    async setVerifiedEmail(id, email) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE users SET email = $2, email_verified = true
+                WHERE id = $1`,
+                [id, email]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error setting verified email", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Updates the password of a user.
+     * 
+     * @async
+     * @param {number} id - ID of the user
+     * @param {string} hashedPassword - The new password, already hashed
+     * @returns {Promise<boolean>} Whether the user exists
+     * @throws {Error} If the update fails
+     */
+    async updateUserPassword(id, hashedPassword) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE users SET password = $2
+                WHERE id = $1`,
+                [id, hashedPassword]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error updating password", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replaces the password hash of a user with a new hash of the same password,
+     * only if it's still the hash that was checked (compare-and-swap).
+     * A password changed or reset meanwhile is left alone.
+     * 
+     * @async
+     * @param {number} id - ID of the user
+     * @param {string} currentHash - The hash the password was checked against
+     * @param {string} newHash - The new hash
+     * @returns {Promise<boolean>} Whether the hash was replaced
+     * @throws {Error} If the update fails
+     */
+    async replacePasswordHash(id, currentHash, newHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE users SET password = $3
+                WHERE id = $1 AND password = $2`,
+                [id, currentHash, newHash]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error replacing password hash", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Bans a user by ID.
      * 
@@ -368,6 +537,2879 @@ class DbService {
             client.release();
         }
     }
+    /**
+     * Saves a new refresh token to the database.
+     * Only the hash of the token is stored.
+     * 
+     * @async
+     * @param {number} userId - ID of the user the token belongs to
+     * @param {string} familyId - ID of the token family (all rotations of one login)
+     * @param {string} tokenHash - SHA-256 hash of the refresh token
+     * @param {Date} expiresAt - When the refresh token expires
+     * @param {?string} [clientId=null] - OAuth client the token belongs to, null for a normal login
+     * @param {?string[]} [scope=null] - Scopes granted to the OAuth client
+     * @returns {Promise<number>} ID of the new refresh token
+     * @throws {Error} If saving fails
+     */
+    async saveRefreshToken(userId, familyId, tokenHash, expiresAt, clientId = null, scope = null) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, client_id, scope)
+                VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+                [userId, familyId, tokenHash, expiresAt, clientId, scope]
+            );
+
+            return result.rows[0].id;
+        } catch (error) {
+            console.error("Error saving refresh token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets a refresh token by its hash.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the refresh token
+     * @returns {Promise<Object|null>} Refresh token record or null if not found
+     * @throws {Error} If retrieval fails
+     */
+    async getRefreshTokenByHash(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM refresh_tokens
+                WHERE token_hash = $1`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbRefreshToken(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching refresh token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Marks a refresh token as used.
+     * Only succeeds if the token is unused, not revoked and not expired,
+     * so two concurrent refreshes with the same token can't both win.
+     * Tokens of an OAuth client can only be consumed by that client.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the refresh token
+     * @param {?string} [clientId=null] - OAuth client refreshing, null for a normal login
+     * @returns {Promise<Object|null>} The consumed refresh token record or null if it couldn't be consumed
+     * @throws {Error} If the update fails
+     */
+    async consumeRefreshToken(tokenHash, clientId = null) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE refresh_tokens SET used_at = NOW()
+                WHERE token_hash = $1
+                AND client_id IS NOT DISTINCT FROM $2
+                AND used_at IS NULL
+                AND revoked_at IS NULL
+                AND expires_at > NOW()
+                RETURNING *`,
+                [tokenHash, clientId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbRefreshToken(result.rows[0]);
+        } catch (error) {
+            console.error("Error consuming refresh token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Revokes every refresh token in a token family.
+     * 
+     * @async
+     * @param {string} familyId - ID of the token family to revoke
+     * @returns {Promise<number>} Amount of tokens revoked
+     * @throws {Error} If revoking fails
+     */
+    async revokeRefreshTokenFamily(familyId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE refresh_tokens SET revoked_at = NOW()
+                WHERE family_id = $1 AND revoked_at IS NULL`,
+                [familyId]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error revoking refresh token family", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+    /**
+     * Revokes every refresh token belonging to a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<number>} Amount of tokens revoked
+     * @throws {Error} If revoking fails
+     */
+    async revokeUserRefreshTokens(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE refresh_tokens SET revoked_at = NOW()
+                WHERE user_id = $1 AND revoked_at IS NULL`,
+                [userId]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error revoking refresh tokens of user", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a revoked access token by its jti.
+     * 
+     * @async
+     * @param {string} jti - Unique ID of the revoked token
+     * @param {number} userId - ID of the user the token belongs to
+     * @param {Date} expiresAt - When the token expires (it can be pruned after that)
+     * @throws {Error} If saving fails
+     */
+    async saveRevokedToken(jti, userId, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `INSERT INTO revoked_tokens (jti, user_id, expires_at)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (jti) DO NOTHING`,
+                [jti, userId, expiresAt]
+            );
+        } catch (error) {
+            console.error("Error saving revoked token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Revokes every access token of a user issued before now.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @throws {Error} If saving fails
+     */
+    async revokeUserTokensIssuedBeforeNow(userId) {
+        const client = await pool.connect();
+
+        try {
+            // jwt iat is in whole seconds so the cut off is too
+            await client.query(
+                `INSERT INTO user_token_revocations (user_id, revoked_before)
+                VALUES ($1, date_trunc('second', NOW()))
+                ON CONFLICT (user_id) DO UPDATE SET revoked_before = EXCLUDED.revoked_before`,
+                [userId]
+            );
+        } catch (error) {
+            console.error("Error revoking tokens of user", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Checks if an access token has been revoked,
+     * either on its own or by a "log out everywhere".
+     * 
+     * @async
+     * @param {string|null} jti - Unique ID of the token
+     * @param {number} userId - ID of the user the token belongs to
+     * @param {number} issuedAt - When the token was issued (iat, seconds since epoch)
+     * @returns {Promise<boolean>} Whether the token is revoked
+     * @throws {Error} If the check fails
+     */
+    async isTokenRevoked(jti, userId, issuedAt) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT EXISTS (
+                    SELECT 1 FROM revoked_tokens WHERE jti = $1
+                ) OR EXISTS (
+                    SELECT 1 FROM user_token_revocations
+                    WHERE user_id = $2 AND revoked_before > to_timestamp($3)
+                ) AS revoked`,
+                [jti, userId, issuedAt]
+            );
+
+            return result.rows[0].revoked;
+        } catch (error) {
+            console.error("Error checking token revocation", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes revoked tokens that have expired anyway.
+     * 
+     * @async
+     * @returns {Promise<number>} Amount of entries deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteExpiredRevokedTokens() {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM revoked_tokens
+                WHERE expires_at < NOW()`
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error pruning revoked tokens", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+
+    /**
+     * Maps a database refresh token record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbToken - Database refresh token record
+     * @returns {{id: number, userId: number, familyId: string, expiresAt: Date, usedAt: Date|null, revokedAt: Date|null}}
+     */
+    _mapDbRefreshToken(dbToken) {
+        return {
+            id: dbToken.id,
+            userId: dbToken.user_id,
+            familyId: dbToken.family_id,
+            clientId: dbToken.client_id,
+            scope: dbToken.scope,
+            expiresAt: new Date(dbToken.expires_at),
+            usedAt: dbToken.used_at ? new Date(dbToken.used_at) : null,
+            revokedAt: dbToken.revoked_at ? new Date(dbToken.revoked_at) : null
+        };
+    }
+
+    /**
+     * Saves a new session to the database.
+     * Only the hash of the session token is stored.
+     * Expired sessions of the user are cleaned up at the same time.
+     * 
+     * @async
+     * @param {number} userId - ID of the user the session belongs to
+     * @param {string} tokenHash - SHA-256 hash of the session token
+     * @param {string} csrfToken - CSRF token of the session
+     * @param {Date} expiresAt - When the session expires
+     * @param {?string} [loginSessionId=null] - ID of the login session the cookie session belongs to
+     * @returns {Promise<number>} ID of the new session
+     * @throws {Error} If saving fails
+     */
+    async saveSession(userId, tokenHash, csrfToken, expiresAt, loginSessionId = null) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM sessions
+                WHERE user_id = $1 AND expires_at < NOW()`,
+                [userId]
+            );
+
+            const result = await client.query(
+                `INSERT INTO sessions (user_id, token_hash, csrf_token, expires_at, login_session_id)
+                VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+                [userId, tokenHash, csrfToken, expiresAt, loginSessionId]
+            );
+
+            await client.query("COMMIT");
+            return result.rows[0].id;
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving session", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets an unexpired session by the hash of its token.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the session token
+     * @returns {Promise<Object|null>} Session record or null if not found or expired
+     * @throws {Error} If retrieval fails
+     */
+    async getSessionByHash(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM sessions
+                WHERE token_hash = $1 AND expires_at > NOW()`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbSession(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching session", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes a session by ID.
+     * 
+     * @async
+     * @param {number} id - ID of the session to delete
+     * @returns {Promise<boolean>} Whether a session was deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteSession(id) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM sessions
+                WHERE id = $1`,
+                [id]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error deleting session", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes every session of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<number>} Amount of sessions deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteUserSessions(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM sessions
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error deleting sessions of user", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database session record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbSession - Database session record
+     * @returns {{id: number, userId: number, loginSessionId: ?string, csrfToken: string, createdAt: Date, expiresAt: Date}}
+     */
+    _mapDbSession(dbSession) {
+        return {
+            id: dbSession.id,
+            userId: dbSession.user_id,
+            loginSessionId: dbSession.login_session_id,
+            csrfToken: dbSession.csrf_token,
+            createdAt: new Date(dbSession.created_at),
+            expiresAt: new Date(dbSession.expires_at)
+        };
+    }
+
+    /**
+     * Gets the two-factor settings of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object|null>} Two-factor record or null if the user never enrolled
+     * @throws {Error} If retrieval fails
+     */
+    async getTwoFactor(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM user_two_factor
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = result.rows[0];
+            return {
+                userId: row.user_id,
+                encryptedSecret: row.secret,
+                enabled: row.enabled,
+                lastUsedStep: row.last_used_step !== null ? Number(row.last_used_step) : null,
+                confirmedAt: row.confirmed_at ? new Date(row.confirmed_at) : null
+            };
+        } catch (error) {
+            console.error("Error fetching two-factor settings", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a new (not yet confirmed) TOTP secret for a user.
+     * Replaces an earlier unconfirmed enrollment.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} encryptedSecret - Encrypted TOTP secret
+     * @throws {Error} If saving fails
+     */
+    async saveTwoFactorSecret(userId, encryptedSecret) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `INSERT INTO user_two_factor (user_id, secret, enabled)
+                VALUES ($1, $2, false)
+                ON CONFLICT (user_id) DO UPDATE
+                SET secret = EXCLUDED.secret, enabled = false, last_used_step = NULL, confirmed_at = NULL`,
+                [userId, encryptedSecret]
+            );
+        } catch (error) {
+            console.error("Error saving two-factor secret", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Enables two-factor authentication for a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} usedStep - Time step of the code used to confirm
+     * @throws {Error} If the update fails
+     */
+    async enableTwoFactor(userId, usedStep) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `UPDATE user_two_factor
+                SET enabled = true, last_used_step = $2, confirmed_at = NOW()
+                WHERE user_id = $1`,
+                [userId, usedStep]
+            );
+        } catch (error) {
+            console.error("Error enabling two-factor", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Records the time step of a used TOTP code so it can't be used again.
+     * Only succeeds if the step is newer than the last used one.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} step - Time step of the used code
+     * @returns {Promise<boolean>} Whether the step was newer (the code wasn't used before)
+     * @throws {Error} If the update fails
+     */
+    async updateTwoFactorLastStep(userId, step) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE user_two_factor SET last_used_step = $2
+                WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+                [userId, step]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error updating two-factor step", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes the two-factor settings and backup codes of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @throws {Error} If deletion fails
+     */
+    async deleteTwoFactor(userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM user_backup_codes
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            await client.query(
+                `DELETE FROM user_two_factor
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error deleting two-factor", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replaces the backup codes of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string[]} codeHashes - SHA-256 hashes of the new backup codes
+     * @throws {Error} If saving fails
+     */
+    async replaceBackupCodes(userId, codeHashes) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM user_backup_codes
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            for (const codeHash of codeHashes) {
+                await client.query(
+                    `INSERT INTO user_backup_codes (user_id, code_hash)
+                    VALUES ($1, $2)`,
+                    [userId, codeHash]
+                );
+            }
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving backup codes", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Uses a backup code.
+     * Only succeeds if the code belongs to the user and hasn't been used.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} codeHash - SHA-256 hash of the backup code
+     * @returns {Promise<boolean>} Whether the code was valid and is now used
+     * @throws {Error} If the update fails
+     */
+    async useBackupCode(userId, codeHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE user_backup_codes SET used_at = NOW()
+                WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+                [userId, codeHash]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error using backup code", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a two-factor login challenge.
+     * 
+     * @async
+     * @param {number} userId - ID of the user logging in
+     * @param {string} tokenHash - SHA-256 hash of the challenge token
+     * @param {string} mode - Login mode to finish with ("token" or "session")
+     * @param {Date} expiresAt - When the challenge expires
+     * @throws {Error} If saving fails
+     */
+    async saveTwoFactorChallenge(userId, tokenHash, mode, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `INSERT INTO two_factor_challenges (user_id, token_hash, mode, expires_at)
+                VALUES ($1, $2, $3, $4)`,
+                [userId, tokenHash, mode, expiresAt]
+            );
+        } catch (error) {
+            console.error("Error saving two-factor challenge", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets an unexpired two-factor login challenge.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the challenge token
+     * @returns {Promise<Object|null>} Challenge record or null if not found or expired
+     * @throws {Error} If retrieval fails
+     */
+    async getTwoFactorChallenge(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM two_factor_challenges
+                WHERE token_hash = $1 AND expires_at > NOW()`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = result.rows[0];
+            return {
+                id: row.id,
+                userId: row.user_id,
+                mode: row.mode,
+                attempts: row.attempts,
+                expiresAt: new Date(row.expires_at)
+            };
+        } catch (error) {
+            console.error("Error fetching two-factor challenge", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Counts an attempt on an unexpired two-factor login challenge before the code is checked.
+     * Checking and counting is one update, so parallel attempts can't get past the limit.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the challenge token
+     * @param {number} maxAttempts - Attempts allowed on a challenge
+     * @returns {Promise<Object|null>} Challenge record or null if not found, expired or out of attempts
+     * @throws {Error} If the update fails
+     */
+    async claimTwoFactorChallengeAttempt(tokenHash, maxAttempts) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE two_factor_challenges SET attempts = attempts + 1
+                WHERE token_hash = $1 AND expires_at > NOW() AND attempts < $2
+                RETURNING *`,
+                [tokenHash, maxAttempts]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = result.rows[0];
+            return {
+                id: row.id,
+                userId: row.user_id,
+                mode: row.mode,
+                attempts: row.attempts,
+                expiresAt: new Date(row.expires_at)
+            };
+        } catch (error) {
+            console.error("Error updating two-factor challenge", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes a two-factor login challenge (and expired ones).
+     * 
+     * @async
+     * @param {number} id - ID of the challenge
+     * @returns {Promise<boolean>} Whether the challenge existed
+     * @throws {Error} If deletion fails
+     */
+    async deleteTwoFactorChallenge(id) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM two_factor_challenges
+                WHERE id = $1 RETURNING id`,
+                [id]
+            );
+
+            await client.query(
+                `DELETE FROM two_factor_challenges
+                WHERE expires_at < NOW()`
+            );
+
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error("Error deleting two-factor challenge", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a WebAuthn ceremony (registration or authentication) and its challenge.
+     * 
+     * @async
+     * @param {?number} userId - ID of the user or null for a login without username
+     * @param {string} tokenHash - SHA-256 hash of the ceremony token
+     * @param {string} type - "registration" or "authentication"
+     * @param {string} challenge - The challenge sent to the authenticator
+     * @param {Date} expiresAt - When the ceremony expires
+     * @throws {Error} If saving fails
+     */
+    async saveWebAuthnCeremony(userId, tokenHash, type, challenge, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `INSERT INTO webauthn_ceremonies (user_id, token_hash, type, challenge, expires_at)
+                VALUES ($1, $2, $3, $4, $5)`,
+                [userId, tokenHash, type, challenge, expiresAt]
+            );
+        } catch (error) {
+            console.error("Error saving WebAuthn ceremony", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Consumes a WebAuthn ceremony so its challenge can only be used once.
+     * Expired ceremonies are cleaned up at the same time.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the ceremony token
+     * @param {string} type - "registration" or "authentication"
+     * @returns {Promise<Object|null>} Ceremony record or null if not found or expired
+     * @throws {Error} If deletion fails
+     */
+    async consumeWebAuthnCeremony(tokenHash, type) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM webauthn_ceremonies
+                WHERE token_hash = $1 AND type = $2
+                RETURNING *`,
+                [tokenHash, type]
+            );
+
+            await client.query(
+                `DELETE FROM webauthn_ceremonies
+                WHERE expires_at < NOW()`
+            );
+
+            const row = result.rows[0];
+            if (!row || new Date(row.expires_at) < new Date()) {
+                return null;
+            }
+
+            return {
+                userId: row.user_id,
+                challenge: row.challenge
+            };
+        } catch (error) {
+            console.error("Error consuming WebAuthn ceremony", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a WebAuthn credential (passkey) of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {Object} credential - The credential
+     * @param {string} credential.credentialId - base64url credential ID
+     * @param {Buffer} credential.publicKey - COSE public key
+     * @param {number} credential.signCount - Signature counter of the authenticator
+     * @param {string[]} credential.transports - Transports the authenticator supports
+     * @param {string} credential.name - Name given by the user
+     * @param {boolean} credential.backedUp - Whether the passkey is synced between devices
+     * @returns {Promise<Object>} The saved credential
+     * @throws {Error} If saving fails
+     */
+    async saveWebAuthnCredential(userId, credential) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `INSERT INTO webauthn_credentials (user_id, credential_id, public_key, sign_count, transports, name, backed_up)
+                VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+                [
+                    userId,
+                    credential.credentialId,
+                    credential.publicKey,
+                    credential.signCount,
+                    credential.transports,
+                    credential.name,
+                    credential.backedUp
+                ]
+            );
+
+            return this._mapDbWebAuthnCredential(result.rows[0]);
+        } catch (error) {
+            console.error("Error saving WebAuthn credential", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets every WebAuthn credential of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Array of credentials
+     * @throws {Error} If retrieval fails
+     */
+    async getWebAuthnCredentialsByUserId(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM webauthn_credentials
+                WHERE user_id = $1
+                ORDER BY created_at`,
+                [userId]
+            );
+
+            return result.rows.map(row => this._mapDbWebAuthnCredential(row));
+        } catch (error) {
+            console.error("Error fetching WebAuthn credentials", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets a WebAuthn credential by its credential ID.
+     * 
+     * @async
+     * @param {string} credentialId - base64url credential ID
+     * @returns {Promise<Object|null>} The credential or null if not found
+     * @throws {Error} If retrieval fails
+     */
+    async getWebAuthnCredentialByCredentialId(credentialId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM webauthn_credentials
+                WHERE credential_id = $1`,
+                [credentialId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbWebAuthnCredential(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching WebAuthn credential", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Updates the signature counter of a credential after a login.
+     * Only moves the counter forward so concurrent logins can't roll it back.
+     * 
+     * @async
+     * @param {number} id - ID of the credential
+     * @param {number} signCount - New signature counter
+     * @returns {Promise<boolean>} Whether the counter was updated
+     * @throws {Error} If the update fails
+     */
+    async updateWebAuthnCredentialCounter(id, signCount) {
+        const client = await pool.connect();
+
+        try {
+            // authenticators that don't support counters always send 0
+            const result = await client.query(
+                `UPDATE webauthn_credentials
+                SET sign_count = $2, last_used_at = NOW()
+                WHERE id = $1 AND (sign_count < $2 OR (sign_count = 0 AND $2 = 0))`,
+                [id, signCount]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error updating WebAuthn credential", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes a WebAuthn credential of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the credential
+     * @returns {Promise<boolean>} Whether a credential was deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteWebAuthnCredential(userId, id) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM webauthn_credentials
+                WHERE id = $1 AND user_id = $2`,
+                [id, userId]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error deleting WebAuthn credential", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database WebAuthn credential record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbCredential - Database WebAuthn credential record
+     * @returns {Object} The credential
+     */
+    _mapDbWebAuthnCredential(dbCredential) {
+        return {
+            id: dbCredential.id,
+            userId: dbCredential.user_id,
+            credentialId: dbCredential.credential_id,
+            publicKey: dbCredential.public_key,
+            signCount: Number(dbCredential.sign_count),
+            transports: dbCredential.transports || [],
+            name: dbCredential.name,
+            backedUp: dbCredential.backed_up,
+            createdAt: new Date(dbCredential.created_at),
+            lastUsedAt: dbCredential.last_used_at ? new Date(dbCredential.last_used_at) : null
+        };
+    }
+
+    /**
+     * Saves a new OAuth client.
+     * Only the hash of the client secret is stored.
+     * 
+     * @async
+     * @param {string} clientId - Public ID of the client
+     * @param {?string} secretHash - SHA-256 hash of the client secret, null for public clients
+     * @param {string} name - Name shown on the consent screen
+     * @param {string[]} redirectUris - Allowed redirect URIs
+     * @param {string[]} scopes - Scopes the client may ask for
+     * @param {string[]} grantTypes - Grant types the client may use
+     * @returns {Promise<Object>} The new client
+     * @throws {Error} If saving fails
+     */
+    async saveOAuthClient(clientId, secretHash, name, redirectUris, scopes, grantTypes) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `INSERT INTO oauth_clients (client_id, client_secret_hash, name, redirect_uris, scopes, grant_types)
+                VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+                [clientId, secretHash, name, redirectUris, scopes, grantTypes]
+            );
+
+            return this._mapDbOAuthClient(result.rows[0]);
+        } catch (error) {
+            console.error("Error saving OAuth client", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets an OAuth client by its client ID.
+     * 
+     * @async
+     * @param {string} clientId - Public ID of the client
+     * @returns {Promise<Object|null>} The client or null if not found
+     * @throws {Error} If retrieval fails
+     */
+    async getOAuthClient(clientId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM oauth_clients
+                WHERE client_id = $1`,
+                [clientId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbOAuthClient(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching OAuth client", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets every OAuth client.
+     * 
+     * @async
+     * @returns {Promise<Object[]>} Array of clients
+     * @throws {Error} If retrieval fails
+     */
+    async getAllOAuthClients() {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM oauth_clients
+                ORDER BY created_at`
+            );
+
+            return result.rows.map(row => this._mapDbOAuthClient(row));
+        } catch (error) {
+            console.error("Error fetching OAuth clients", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes an OAuth client along with its codes and refresh tokens.
+     * 
+     * @async
+     * @param {string} clientId - Public ID of the client
+     * @returns {Promise<boolean>} Whether a client was deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteOAuthClient(clientId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM oauth_clients
+                WHERE client_id = $1`,
+                [clientId]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error deleting OAuth client", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a new authorization code.
+     * Only the hash of the code is stored.
+     * Expired codes are cleaned up at the same time.
+     * 
+     * @async
+     * @param {string} codeHash - SHA-256 hash of the code
+     * @param {Object} code - The code to save
+     * @param {string} code.clientId - Client the code was issued to
+     * @param {number} code.userId - User who gave consent
+     * @param {string} code.redirectUri - Redirect URI the code was sent to
+     * @param {string[]} code.scope - Granted scopes
+     * @param {string} code.codeChallenge - PKCE code challenge (S256)
+     * @param {string} code.familyId - Refresh token family the code starts
+     * @param {?string} code.nonce - OpenID Connect nonce to put in the id token
+     * @param {Date} code.expiresAt - When the code expires
+     * @throws {Error} If saving fails
+     */
+    async saveAuthorizationCode(codeHash, code) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM oauth_authorization_codes
+                WHERE expires_at < NOW()`
+            );
+
+            await client.query(
+                `INSERT INTO oauth_authorization_codes
+                (code_hash, client_id, user_id, redirect_uri, scope, code_challenge, family_id, nonce, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [codeHash, code.clientId, code.userId, code.redirectUri, code.scope, code.codeChallenge, code.familyId, code.nonce, code.expiresAt]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving authorization code", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets an authorization code by its hash.
+     * 
+     * @async
+     * @param {string} codeHash - SHA-256 hash of the code
+     * @returns {Promise<Object|null>} The code or null if not found
+     * @throws {Error} If retrieval fails
+     */
+    async getAuthorizationCode(codeHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM oauth_authorization_codes
+                WHERE code_hash = $1`,
+                [codeHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbAuthorizationCode(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching authorization code", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Marks an authorization code as used.
+     * Only succeeds if the code is unused and not expired, so a code can only be exchanged once.
+     * 
+     * @async
+     * @param {string} codeHash - SHA-256 hash of the code
+     * @returns {Promise<Object|null>} The consumed code or null if it couldn't be consumed
+     * @throws {Error} If the update fails
+     */
+    async consumeAuthorizationCode(codeHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE oauth_authorization_codes SET used_at = NOW()
+                WHERE code_hash = $1
+                AND used_at IS NULL
+                AND expires_at > NOW()
+                RETURNING *`,
+                [codeHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbAuthorizationCode(result.rows[0]);
+        } catch (error) {
+            console.error("Error consuming authorization code", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database OAuth client record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbClient - Database OAuth client record
+     * @returns {Object} The client
+     */
+    _mapDbOAuthClient(dbClient) {
+        return {
+            id: dbClient.id,
+            clientId: dbClient.client_id,
+            clientSecretHash: dbClient.client_secret_hash,
+            name: dbClient.name,
+            redirectUris: dbClient.redirect_uris || [],
+            scopes: dbClient.scopes || [],
+            grantTypes: dbClient.grant_types || [],
+            createdAt: new Date(dbClient.created_at)
+        };
+    }
+
+    /**
+     * Maps a database authorization code record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbCode - Database authorization code record
+     * @returns {Object} The authorization code
+     */
+    _mapDbAuthorizationCode(dbCode) {
+        return {
+            id: dbCode.id,
+            clientId: dbCode.client_id,
+            userId: dbCode.user_id,
+            redirectUri: dbCode.redirect_uri,
+            scope: dbCode.scope || [],
+            codeChallenge: dbCode.code_challenge,
+            familyId: dbCode.family_id,
+            nonce: dbCode.nonce,
+            expiresAt: new Date(dbCode.expires_at),
+            usedAt: dbCode.used_at ? new Date(dbCode.used_at) : null
+        };
+    }
+
+    /**
+     * Saves a new personal access token.
+     * Only the hash of the token is stored.
+     * 
+     * @async
+     * @param {number} userId - ID of the user the token belongs to
+     * @param {string} name - Name of the token
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @param {string[]} scopes - Scopes of the token
+     * @param {?Date} expiresAt - When the token expires, null for never
+     * @returns {Promise<Object>} The new token
+     * @throws {Error} If saving fails
+     */
+    async savePersonalAccessToken(userId, name, tokenHash, scopes, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `INSERT INTO personal_access_tokens (user_id, name, token_hash, scopes, expires_at)
+                VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+                [userId, name, tokenHash, scopes, expiresAt]
+            );
+
+            return this._mapDbPersonalAccessToken(result.rows[0]);
+        } catch (error) {
+            console.error("Error saving personal access token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets every personal access token of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Array of tokens
+     * @throws {Error} If retrieval fails
+     */
+    async getPersonalAccessTokensByUserId(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM personal_access_tokens
+                WHERE user_id = $1
+                ORDER BY created_at`,
+                [userId]
+            );
+
+            return result.rows.map(row => this._mapDbPersonalAccessToken(row));
+        } catch (error) {
+            console.error("Error fetching personal access tokens", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Looks up a personal access token that hasn't expired and updates when it was last used.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @returns {Promise<Object|null>} The token or null if not found or expired
+     * @throws {Error} If the update fails
+     */
+    async usePersonalAccessToken(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE personal_access_tokens SET last_used_at = NOW()
+                WHERE token_hash = $1
+                AND (expires_at IS NULL OR expires_at > NOW())
+                RETURNING *`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbPersonalAccessToken(result.rows[0]);
+        } catch (error) {
+            console.error("Error using personal access token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes a personal access token of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the token
+     * @returns {Promise<boolean>} Whether a token was deleted
+     * @throws {Error} If deletion fails
+     */
+    async deletePersonalAccessToken(userId, id) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM personal_access_tokens
+                WHERE id = $1 AND user_id = $2`,
+                [id, userId]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error deleting personal access token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database personal access token record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbToken - Database personal access token record
+     * @returns {Object} The token (without its hash)
+     */
+    _mapDbPersonalAccessToken(dbToken) {
+        return {
+            id: dbToken.id,
+            userId: dbToken.user_id,
+            name: dbToken.name,
+            scopes: dbToken.scopes || [],
+            expiresAt: dbToken.expires_at ? new Date(dbToken.expires_at) : null,
+            lastUsedAt: dbToken.last_used_at ? new Date(dbToken.last_used_at) : null,
+            createdAt: new Date(dbToken.created_at)
+        };
+    }
+
+    /**
+     * Saves a new connection ticket.
+     * Only the hash of the ticket is stored.
+     * Expired tickets are cleaned up at the same time.
+     * 
+     * @async
+     * @param {string} ticketHash - SHA-256 hash of the ticket
+     * @param {number} userId - ID of the user the ticket is for
+     * @param {string} audience - Client ID of the chat server the ticket is for
+     * @param {?string[]} scope - Scopes of the token the ticket was created with, null for a normal login
+     * @param {string[]} roles - Roles of the token the ticket was created with
+     * @param {Date} expiresAt - When the ticket expires
+     * @throws {Error} If saving fails
+     */
+    async saveConnectionTicket(ticketHash, userId, audience, scope, roles, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM connection_tickets
+                WHERE expires_at < NOW()`
+            );
+
+            await client.query(
+                `INSERT INTO connection_tickets (ticket_hash, user_id, audience, scope, roles, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6)`,
+                [ticketHash, userId, audience, scope, roles, expiresAt]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving connection ticket", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Redeems a connection ticket by deleting it,
+     * so a ticket can only be redeemed once even by concurrent requests.
+     * 
+     * @async
+     * @param {string} ticketHash - SHA-256 hash of the ticket
+     * @param {string} audience - Client ID of the chat server redeeming the ticket
+     * @returns {Promise<Object|null>} The ticket or null if not found, expired or for another chat server
+     * @throws {Error} If deletion fails
+     */
+    async redeemConnectionTicket(ticketHash, audience) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM connection_tickets
+                WHERE ticket_hash = $1
+                AND audience = $2
+                AND expires_at > NOW()
+                RETURNING *`,
+                [ticketHash, audience]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const ticket = result.rows[0];
+            return {
+                userId: ticket.user_id,
+                audience: ticket.audience,
+                scope: ticket.scope,
+                roles: ticket.roles,
+                expiresAt: new Date(ticket.expires_at)
+            };
+        } catch (error) {
+            console.error("Error redeeming connection ticket", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets the failed login attempts of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object|null>} Failed attempts, when the last one was and until when the account is locked or null if there are none
+     * @throws {Error} If retrieval fails
+     */
+    async getLoginFailures(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM user_login_failures
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbLoginFailures(result.rows[0]);
+        } catch (error) {
+            console.error("Error fetching login failures", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Counts a login attempt of a user as failed until it succeeds, if the user may try right now.
+     * The account must not be locked and the delay after the last failure must be over,
+     * checking and counting is one statement so parallel attempts can't get past the limits.
+     * If the last failure is older than the window the count starts over.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} windowSeconds - How long failures are remembered
+     * @param {number} delayAfter - Failures before attempts have to wait
+     * @param {number} baseDelaySeconds - Wait after delayAfter failures, doubling with every further failure
+     * @param {number} maxDelaySeconds - Longest wait
+     * @returns {Promise<Object|null>} The updated failed attempts or null if the user has to wait or is locked
+     * @throws {Error} If the update fails
+     */
+    async reserveLoginAttempt(userId, windowSeconds, delayAfter, baseDelaySeconds, maxDelaySeconds) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `INSERT INTO user_login_failures (user_id, failed_attempts, last_failed_at)
+                VALUES ($1, 1, NOW())
+                ON CONFLICT (user_id) DO UPDATE SET
+                    failed_attempts = CASE
+                        WHEN user_login_failures.last_failed_at < NOW() - make_interval(secs => $2) THEN 1
+                        ELSE user_login_failures.failed_attempts + 1
+                    END,
+                    previous_failed_at = user_login_failures.last_failed_at,
+                    last_failed_at = NOW()
+                WHERE (user_login_failures.locked_until IS NULL OR user_login_failures.locked_until <= NOW())
+                    AND (user_login_failures.failed_attempts < $3
+                        OR user_login_failures.last_failed_at + make_interval(secs => LEAST(
+                            $4::float8 * power(2, user_login_failures.failed_attempts - $3), $5::float8
+                        )) <= NOW())
+                RETURNING *`,
+                [userId, windowSeconds, delayAfter, baseDelaySeconds, maxDelaySeconds]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return this._mapDbLoginFailures(result.rows[0]);
+        } catch (error) {
+            console.error("Error reserving login attempt", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Takes back a reserved login attempt that succeeded without resetting the earlier failures.
+     * The time of the last failure goes back to what it was before the reservation,
+     * so the attempt doesn't make the next one wait.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @throws {Error} If the update fails
+     */
+    async releaseLoginAttempt(userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `UPDATE user_login_failures SET
+                    failed_attempts = GREATEST(failed_attempts - 1, 0),
+                    last_failed_at = COALESCE(previous_failed_at, last_failed_at),
+                    previous_failed_at = NULL
+                WHERE user_id = $1`,
+                [userId]
+            );
+        } catch (error) {
+            console.error("Error releasing login attempt", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Locks the account of a user until the given time and starts the failure count over,
+     * if the user has at least the given number of failed attempts.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {Date} lockedUntil - When the lock ends
+     * @param {number} minFailedAttempts - Failed attempts needed for the lock
+     * @returns {Promise<boolean>} Whether the account got locked
+     * @throws {Error} If the update fails
+     */
+    async lockAccount(userId, lockedUntil, minFailedAttempts) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE user_login_failures SET locked_until = $2, failed_attempts = 0
+                WHERE user_id = $1 AND failed_attempts >= $3`,
+                [userId, lockedUntil, minFailedAttempts]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error locking account", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes the failed login attempts and lock of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>} Whether there was anything to delete
+     * @throws {Error} If deletion fails
+     */
+    async deleteLoginFailures(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM user_login_failures
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error deleting login failures", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database login failures record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbFailures - Database login failures record
+     * @returns {Object} The failed attempts
+     */
+    _mapDbLoginFailures(dbFailures) {
+        return {
+            userId: dbFailures.user_id,
+            failedAttempts: dbFailures.failed_attempts,
+            lastFailedAt: new Date(dbFailures.last_failed_at),
+            lockedUntil: dbFailures.locked_until ? new Date(dbFailures.locked_until) : null
+        };
+    }
+
+    /**
+     * Counts a request in a rate limit bucket.
+     * Starts a new window if the bucket doesn't exist or its window has ended.
+     * 
+     * @async
+     * @param {string} key - Key of the bucket
+     * @param {number} windowSeconds - Length of the window
+     * @returns {Promise<{count: number, resetAt: Date}>} Requests in the current window and when it ends
+     * @throws {Error} If the update fails
+     */
+    async incrementRateLimit(key, windowSeconds) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `INSERT INTO rate_limits (key, count, reset_at)
+                VALUES ($1, 1, NOW() + make_interval(secs => $2))
+                ON CONFLICT (key) DO UPDATE SET
+                    count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+                    reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN NOW() + make_interval(secs => $2) ELSE rate_limits.reset_at END
+                RETURNING count, reset_at`,
+                [key, windowSeconds]
+            );
+
+            return {
+                count: result.rows[0].count,
+                resetAt: new Date(result.rows[0].reset_at)
+            };
+        } catch (error) {
+            console.error("Error incrementing rate limit", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes rate limit buckets whose window has ended.
+     * 
+     * @async
+     * @returns {Promise<number>} Amount of buckets deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteExpiredRateLimits() {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM rate_limits
+                WHERE reset_at <= NOW()`
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error pruning rate limits", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a password reset token.
+     * Earlier reset tokens of the user and expired ones of everybody are deleted,
+     * so only the newest reset link works.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} tokenHash - SHA-256 hash of the reset token
+     * @param {Date} expiresAt - When the token expires
+     * @throws {Error} If saving fails
+     */
+    async savePasswordResetToken(userId, tokenHash, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM password_reset_tokens
+                WHERE user_id = $1 OR expires_at < NOW()`,
+                [userId]
+            );
+
+            await client.query(
+                `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                VALUES ($1, $2, $3)`,
+                [userId, tokenHash, expiresAt]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving password reset token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets an unexpired password reset token without using it.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the reset token
+     * @returns {Promise<{userId: number, expiresAt: Date}|null>} The token or null if it doesn't exist or expired
+     * @throws {Error} If retrieval fails
+     */
+    async getPasswordResetToken(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT user_id, expires_at FROM password_reset_tokens
+                WHERE token_hash = $1 AND expires_at > NOW()`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return {
+                userId: result.rows[0].user_id,
+                expiresAt: new Date(result.rows[0].expires_at)
+            };
+        } catch (error) {
+            console.error("Error fetching password reset token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Uses a password reset token by deleting it.
+     * Only one request can delete it, so a token can only be used once.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the reset token
+     * @returns {Promise<number|null>} ID of the user the token belongs to or null if it was already used or expired
+     * @throws {Error} If deletion fails
+     */
+    async consumePasswordResetToken(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM password_reset_tokens
+                WHERE token_hash = $1 AND expires_at > NOW()
+                RETURNING user_id`,
+                [tokenHash]
+            );
+
+            return result.rows.length > 0 ? result.rows[0].user_id : null;
+        } catch (error) {
+            console.error("Error using password reset token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves an email verification token.
+     * Earlier verification tokens of the user and expired ones of everybody are deleted,
+     * so only the newest link works.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} tokenHash - SHA-256 hash of the verification token
+     * @param {string} email - Email address the token verifies
+     * @param {Date} expiresAt - When the token expires
+     * @throws {Error} If saving fails
+     */
+    async saveEmailVerificationToken(userId, tokenHash, email, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM email_verification_tokens
+                WHERE user_id = $1 OR expires_at < NOW()`,
+                [userId]
+            );
+
+            await client.query(
+                `INSERT INTO email_verification_tokens (user_id, token_hash, email, expires_at)
+                VALUES ($1, $2, $3, $4)`,
+                [userId, tokenHash, email, expiresAt]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving email verification token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Uses an email verification token by deleting it.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the verification token
+     * @returns {Promise<{userId: number, email: string}|null>} The user and address to verify or null if invalid or expired
+     * @throws {Error} If deletion fails
+     */
+    async consumeEmailVerificationToken(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM email_verification_tokens
+                WHERE token_hash = $1 AND expires_at > NOW()
+                RETURNING user_id, email`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return {
+                userId: result.rows[0].user_id,
+                email: result.rows[0].email
+            };
+        } catch (error) {
+            console.error("Error using email verification token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a new login session.
+     * Expired and revoked sessions of the user are cleaned up at the same time.
+     * 
+     * @async
+     * @param {string} id - ID of the session (UUID)
+     * @param {number} userId - ID of the user the session belongs to
+     * @param {string} deviceName - Readable name of the device
+     * @param {?string} userAgent - User agent of the client
+     * @param {?string} ip - IP address of the client
+     * @param {Date} expiresAt - When the session expires
+     * @throws {Error} If saving fails
+     */
+    async saveLoginSession(id, userId, deviceName, userAgent, ip, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM login_sessions
+                WHERE user_id = $1 AND (expires_at < NOW() OR revoked_at IS NOT NULL)`,
+                [userId]
+            );
+
+            await client.query(
+                `INSERT INTO login_sessions (id, user_id, device_name, user_agent, ip, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6)`,
+                [id, userId, deviceName, userAgent, ip, expiresAt]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving login session", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets the active login sessions of a user, the last used first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Array of sessions
+     * @throws {Error} If retrieval fails
+     */
+    async getLoginSessionsByUserId(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM login_sessions
+                WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+                ORDER BY last_used_at DESC`,
+                [userId]
+            );
+
+            return result.rows.map(row => this._mapDbLoginSession(row));
+        } catch (error) {
+            console.error("Error fetching login sessions", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Updates when an active login session was last used and optionally when it expires.
+     * 
+     * @async
+     * @param {string} id - ID of the session
+     * @param {number} userId - ID of the user the session has to belong to
+     * @param {?Date} expiresAt - New expiry, null keeps the current one
+     * @returns {Promise<boolean>} Whether the session is active
+     * @throws {Error} If the update fails
+     */
+    async useLoginSession(id, userId, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE login_sessions SET last_used_at = NOW(), expires_at = COALESCE($3, expires_at)
+                WHERE id = $1 AND user_id = $2
+                AND revoked_at IS NULL AND expires_at > NOW()`,
+                [id, userId, expiresAt]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error using login session", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Revokes an active login session of a user
+     * along with its refresh token family and cookie session.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} id - ID of the session
+     * @returns {Promise<boolean>} Whether a session was revoked
+     * @throws {Error} If revoking fails
+     */
+    async revokeLoginSession(userId, id) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            const result = await client.query(
+                `UPDATE login_sessions SET revoked_at = NOW()
+                WHERE id = $1 AND user_id = $2
+                AND revoked_at IS NULL AND expires_at > NOW()`,
+                [id, userId]
+            );
+
+            if (result.rowCount === 0) {
+                await client.query("ROLLBACK");
+                return false;
+            }
+
+            // the session ID is the family ID of its refresh tokens
+            await client.query(
+                `UPDATE refresh_tokens SET revoked_at = NOW()
+                WHERE family_id = $1 AND revoked_at IS NULL`,
+                [id]
+            );
+
+            await client.query(
+                `DELETE FROM sessions
+                WHERE login_session_id = $1`,
+                [id]
+            );
+
+            await client.query("COMMIT");
+            return true;
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error revoking login session", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Revokes every active login session of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<number>} Amount of sessions revoked
+     * @throws {Error} If revoking fails
+     */
+    async revokeUserLoginSessions(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE login_sessions SET revoked_at = NOW()
+                WHERE user_id = $1 AND revoked_at IS NULL`,
+                [userId]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error revoking login sessions of user", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database login session record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbSession - Database login session record
+     * @returns {Object} The session
+     */
+    _mapDbLoginSession(dbSession) {
+        return {
+            id: dbSession.id,
+            userId: dbSession.user_id,
+            deviceName: dbSession.device_name,
+            userAgent: dbSession.user_agent,
+            ip: dbSession.ip,
+            createdAt: new Date(dbSession.created_at),
+            lastUsedAt: new Date(dbSession.last_used_at),
+            expiresAt: new Date(dbSession.expires_at)
+        };
+    }
+
+    /**
+     * Saves a login attempt to the login history.
+     * 
+     * @async
+     * @param {number} userId - ID of the user the attempt was for
+     * @param {?string} ip - IP address of the client
+     * @param {?string} userAgent - User agent of the client
+     * @param {string} outcome - "success", "failure" or "two_factor_required"
+     * @param {?string} reason - Why the attempt failed
+     * @throws {Error} If saving fails
+     */
+    async saveLoginAttempt(userId, ip, userAgent, outcome, reason) {
+        const client = await pool.connect();
+
+        try {
+            await client.query(
+                `INSERT INTO login_attempts (user_id, ip, user_agent, outcome, reason)
+                VALUES ($1, $2, $3, $4, $5)`,
+                [userId, ip, userAgent, outcome, reason]
+            );
+        } catch (error) {
+            console.error("Error saving login attempt", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets a page of the login attempts of a user, the newest first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} limit - Amount of attempts to get
+     * @param {number} offset - Amount of attempts to skip
+     * @returns {Promise<{logins: Object[], total: number}>} The attempts and the amount of all attempts of the user
+     * @throws {Error} If retrieval fails
+     */
+    async getLoginAttemptsByUserId(userId, limit, offset) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM login_attempts
+                WHERE user_id = $1
+                ORDER BY created_at DESC, id DESC
+                LIMIT $2 OFFSET $3`,
+                [userId, limit, offset]
+            );
+
+            const count = await client.query(
+                `SELECT COUNT(*) FROM login_attempts
+                WHERE user_id = $1`,
+                [userId]
+            );
+
+            return {
+                logins: result.rows.map(row => this._mapDbLoginAttempt(row)),
+                total: parseInt(count.rows[0].count, 10)
+            };
+        } catch (error) {
+            console.error("Error fetching login attempts", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes login attempts made before a date.
+     * 
+     * @async
+     * @param {Date} before - Attempts before this date are deleted
+     * @returns {Promise<number>} Amount of attempts deleted
+     * @throws {Error} If deletion fails
+     */
+    async deleteLoginAttemptsBefore(before) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM login_attempts
+                WHERE created_at < $1`,
+                [before]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error("Error deleting old login attempts", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database login attempt record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbAttempt - Database login attempt record
+     * @returns {Object} The attempt
+     */
+    _mapDbLoginAttempt(dbAttempt) {
+        return {
+            id: dbAttempt.id,
+            userId: dbAttempt.user_id,
+            ip: dbAttempt.ip,
+            userAgent: dbAttempt.user_agent,
+            outcome: dbAttempt.outcome,
+            reason: dbAttempt.reason,
+            createdAt: new Date(dbAttempt.created_at)
+        };
+    }
+
+    /**
+     * Gets what is known about a device and network of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} fingerprint - Fingerprint of the device
+     * @param {?string} ipRange - Network of the IP address (CIDR notation), null to skip it
+     * @returns {Promise<{device: ?Object, ipRangeKnown: boolean, hasDevices: boolean}>} The device if known,
+     *  whether the network was used before and whether the user has logged in from any device yet
+     * @throws {Error} If retrieval fails
+     */
+    async getDeviceHistory(userId, fingerprint, ipRange) {
+        const client = await pool.connect();
+
+        try {
+            const deviceResult = await client.query(
+                `SELECT * FROM user_devices
+                WHERE user_id = $1 AND fingerprint = $2`,
+                [userId, fingerprint]
+            );
+
+            const historyResult = await client.query(
+                `SELECT
+                    EXISTS (SELECT 1 FROM user_ip_ranges WHERE user_id = $1 AND ip_range = $2) AS ip_range_known,
+                    EXISTS (SELECT 1 FROM user_devices WHERE user_id = $1) AS has_devices`,
+                [userId, ipRange]
+            );
+
+            return {
+                device: deviceResult.rows.length > 0 ? this._mapDbDevice(deviceResult.rows[0]) : null,
+                ipRangeKnown: historyResult.rows[0].ip_range_known,
+                hasDevices: historyResult.rows[0].has_devices
+            };
+        } catch (error) {
+            console.error("Error fetching device history", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remembers a device and network a user logged in from, or updates when they were last seen.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} fingerprint - Fingerprint of the device
+     * @param {string} name - Readable name of the device
+     * @param {boolean} identified - Whether the fingerprint comes from a device ID the client sent
+     * @param {?string} ip - IP address of the login
+     * @param {?string} ipRange - Network of the IP address (CIDR notation), null to skip it
+     * @throws {Error} If saving fails
+     */
+    async saveDevice(userId, fingerprint, name, identified, ip, ipRange) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `INSERT INTO user_devices (user_id, fingerprint, name, identified, last_ip)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (user_id, fingerprint) DO UPDATE
+                SET name = EXCLUDED.name, last_ip = EXCLUDED.last_ip, last_seen_at = NOW()`,
+                [userId, fingerprint, name, identified, ip]
+            );
+
+            if (ipRange) {
+                await client.query(
+                    `INSERT INTO user_ip_ranges (user_id, ip_range)
+                    VALUES ($1, $2)
+                    ON CONFLICT (user_id, ip_range) DO UPDATE
+                    SET last_seen_at = NOW()`,
+                    [userId, ipRange]
+                );
+            }
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving device", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets the devices a user has logged in from, the last seen first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Array of devices
+     * @throws {Error} If retrieval fails
+     */
+    async getDevicesByUserId(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM user_devices
+                WHERE user_id = $1
+                ORDER BY last_seen_at DESC`,
+                [userId]
+            );
+
+            return result.rows.map(row => this._mapDbDevice(row));
+        } catch (error) {
+            console.error("Error fetching devices", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Marks a device of a user as trusted or not trusted.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the device
+     * @param {boolean} trusted - Whether the device is trusted
+     * @returns {Promise<boolean>} Whether the user has a device with that ID
+     * @throws {Error} If the update fails
+     */
+    async setDeviceTrusted(userId, id, trusted) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE user_devices
+                SET trusted = $3
+                WHERE id = $2 AND user_id = $1`,
+                [userId, id, trusted]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error updating device", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deletes a device of a user, logins from it count as new again.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the device
+     * @returns {Promise<boolean>} Whether the user had a device with that ID
+     * @throws {Error} If deletion fails
+     */
+    async deleteDevice(userId, id) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM user_devices
+                WHERE id = $2 AND user_id = $1`,
+                [userId, id]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error deleting device", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Saves a login confirmation for a login from a new device.
+     * Earlier confirmations of the user and expired ones of everybody are deleted,
+     * so only the newest link works.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} tokenHash - SHA-256 hash of the confirmation token
+     * @param {string} mode - Login mode to finish with ("token" or "session")
+     * @param {Object} device - Device of the login (name, userAgent, ip, fingerprint and identified)
+     * @param {Date} expiresAt - When the confirmation expires
+     * @throws {Error} If saving fails
+     */
+    async saveLoginConfirmation(userId, tokenHash, mode, device, expiresAt) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            await client.query(
+                `DELETE FROM login_confirmations
+                WHERE user_id = $1 OR expires_at < NOW()`,
+                [userId]
+            );
+
+            await client.query(
+                `INSERT INTO login_confirmations
+                    (user_id, token_hash, mode, device_name, user_agent, ip, fingerprint, identified, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [
+                    userId,
+                    tokenHash,
+                    mode,
+                    device.name,
+                    device.userAgent,
+                    device.ip,
+                    device.fingerprint,
+                    device.identified,
+                    expiresAt
+                ]
+            );
+
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving login confirmation", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Uses a login confirmation by deleting it.
+     * Only one request can delete it, so a confirmation can only be used once.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the confirmation token
+     * @returns {Promise<?{userId: number, mode: string, device: Object}>} The confirmed login
+     *  or null if it was already used or expired
+     * @throws {Error} If deletion fails
+     */
+    async consumeLoginConfirmation(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `DELETE FROM login_confirmations
+                WHERE token_hash = $1 AND expires_at > NOW()
+                RETURNING *`,
+                [tokenHash]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = result.rows[0];
+            return {
+                userId: row.user_id,
+                mode: row.mode,
+                device: {
+                    name: row.device_name,
+                    userAgent: row.user_agent,
+                    ip: row.ip,
+                    fingerprint: row.fingerprint,
+                    identified: row.identified
+                }
+            };
+        } catch (error) {
+            console.error("Error using login confirmation", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Maps a database device record to a plain object.
+     * 
+     * @private
+     * @param {Object} dbDevice - Database device record
+     * @returns {Object} The device
+     */
+    _mapDbDevice(dbDevice) {
+        return {
+            id: dbDevice.id,
+            userId: dbDevice.user_id,
+            fingerprint: dbDevice.fingerprint,
+            name: dbDevice.name,
+            identified: dbDevice.identified,
+            trusted: dbDevice.trusted,
+            lastIp: dbDevice.last_ip,
+            firstSeenAt: new Date(dbDevice.first_seen_at),
+            lastSeenAt: new Date(dbDevice.last_seen_at)
+        };
+    }
+
+    /**
+     * Saves a magic link token unless the user already got too many links.
+     * Earlier links of the user stop working, entries older than the counting window are deleted
+     * once they are used, replaced or expired.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} tokenHash - SHA-256 hash of the magic link token
+     * @param {Date} expiresAt - When the token expires
+     * @param {Date} windowStart - Start of the window links are counted in
+     * @param {number} max - Most links a user gets in the window
+     * @returns {Promise<boolean>} Whether the token was saved, false if the user is over the limit
+     * @throws {Error} If saving fails
+     */
+    async saveMagicLinkToken(userId, tokenHash, expiresAt, windowStart, max) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            // lock the user so parallel requests can't both stay under the limit
+            await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+
+            await client.query(
+                `DELETE FROM magic_link_tokens
+                WHERE created_at < $1 AND (invalidated_at IS NOT NULL OR expires_at < NOW())`,
+                [windowStart]
+            );
+
+            const countResult = await client.query(
+                `SELECT COUNT(*) AS count FROM magic_link_tokens
+                WHERE user_id = $1 AND created_at >= $2`,
+                [userId, windowStart]
+            );
+
+            if (parseInt(countResult.rows[0].count, 10) >= max) {
+                await client.query("ROLLBACK");
+                return false;
+            }
+
+            await client.query(
+                `UPDATE magic_link_tokens
+                SET invalidated_at = NOW()
+                WHERE user_id = $1 AND invalidated_at IS NULL`,
+                [userId]
+            );
+
+            await client.query(
+                `INSERT INTO magic_link_tokens (user_id, token_hash, expires_at)
+                VALUES ($1, $2, $3)`,
+                [userId, tokenHash, expiresAt]
+            );
+
+            await client.query("COMMIT");
+            return true;
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error saving magic link token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Uses a magic link token.
+     * Only one request can use it, so a link only works once.
+     * 
+     * @async
+     * @param {string} tokenHash - SHA-256 hash of the magic link token
+     * @returns {Promise<number|null>} ID of the user the token belongs to or null if it was used, replaced or expired
+     * @throws {Error} If the update fails
+     */
+    async consumeMagicLinkToken(tokenHash) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE magic_link_tokens
+                SET invalidated_at = NOW()
+                WHERE token_hash = $1 AND invalidated_at IS NULL AND expires_at > NOW()
+                RETURNING user_id`,
+                [tokenHash]
+            );
+
+            return result.rows.length > 0 ? result.rows[0].user_id : null;
+        } catch (error) {
+            console.error("Error using magic link token", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets the users that have no username skeleton yet (created before the username policy).
+     * 
+     * @async
+     * @returns {Promise<{id: number, username: string}[]>} ID and username of each user
+     * @throws {Error} If retrieval fails
+     */
+    async getUsersWithoutUsernameSkeleton() {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT id, username FROM users
+                WHERE username_skeleton IS NULL
+                ORDER BY id`
+            );
+
+            return result.rows;
+        } catch (error) {
+            console.error("Error fetching users without username skeleton", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Sets the username skeleton of a user.
+     * 
+     * @async
+     * @param {number} id - ID of the user
+     * @param {string} skeleton - Confusable skeleton of the username
+     * @returns {Promise<boolean>} Whether the user exists
+     * @throws {Error} If the update fails (code 23505 if another user has the skeleton)
+     */
+    async setUsernameSkeleton(id, skeleton) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `UPDATE users SET username_skeleton = $2
+                WHERE id = $1`,
+                [id, skeleton]
+            );
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error("Error setting username skeleton", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Changes the username of a user and keeps the old one in the username history.
+     * Without forced the change is refused if the user changed their username since cooldownSince.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} username - New username
+     * @param {string} skeleton - Confusable skeleton of the new username
+     * @param {?Date} heldUntil - Until when nobody else can take the old username, null for good
+     * @param {number} changedBy - ID of the user making the change
+     * @param {boolean} forced - Whether an admin renames the user
+     * @param {?Date} [cooldownSince=null] - Start of the cooldown, changes made after it block this one
+     * @returns {Promise<{changed: boolean, previousUsername?: string, changedAt?: Date, lastChangedAt?: Date}|null>}
+     *  The old username and when it was changed, or the last change if it's too recent. Null if the user doesn't exist
+     * @throws {Error} If the change fails (code 23505 if another user has the username or its skeleton)
+     */
+    async changeUsername(userId, username, skeleton, heldUntil, changedBy, forced, cooldownSince = null) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            // lock the user so parallel changes can't both get past the cooldown
+            const userResult = await client.query(
+                "SELECT username, username_skeleton FROM users WHERE id = $1 FOR UPDATE",
+                [userId]
+            );
+
+            if (userResult.rows.length === 0) {
+                await client.query("ROLLBACK");
+                return null;
+            }
+
+            if (!forced && cooldownSince) {
+                const lastChange = await client.query(
+                    `SELECT changed_at FROM username_history
+                    WHERE user_id = $1 AND NOT forced AND changed_at > $2
+                    ORDER BY changed_at DESC
+                    LIMIT 1`,
+                    [userId, cooldownSince]
+                );
+
+                if (lastChange.rows.length > 0) {
+                    await client.query("ROLLBACK");
+                    return { changed: false, lastChangedAt: new Date(lastChange.rows[0].changed_at) };
+                }
+            }
+
+            const previous = userResult.rows[0];
+            const historyResult = await client.query(
+                `INSERT INTO username_history (user_id, username, username_skeleton, held_until, changed_by, forced)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING changed_at`,
+                [userId, previous.username, previous.username_skeleton, heldUntil, changedBy, forced]
+            );
+
+            await client.query(
+                `UPDATE users SET username = $2, username_skeleton = $3
+                WHERE id = $1`,
+                [userId, username, skeleton]
+            );
+
+            await client.query("COMMIT");
+            return {
+                changed: true,
+                previousUsername: previous.username,
+                changedAt: new Date(historyResult.rows[0].changed_at)
+            };
+        } catch (error) {
+            await client.query("ROLLBACK");
+            console.error("Error changing username", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Gets the earlier usernames of a user, the newest change first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Old username, when and by whom it was changed and until when it's held
+     * @throws {Error} If retrieval fails
+     */
+    async getUsernameHistory(userId) {
+        const client = await pool.connect();
+
+        try {
+            const result = await client.query(
+                `SELECT * FROM username_history
+                WHERE user_id = $1
+                ORDER BY changed_at DESC, id DESC`,
+                [userId]
+            );
+
+            return result.rows.map(row => ({
+                id: row.id,
+                username: row.username,
+                changedAt: new Date(row.changed_at),
+                changedBy: row.changed_by,
+                forced: row.forced,
+                heldUntil: row.held_until ? new Date(row.held_until) : null
+            }));
+        } catch (error) {
+            console.error("Error fetching username history", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Finds the user that has a username now or, if nobody has it, the user that had it last.
+     * Usernames are compared case insensitive.
+     * 
+     * @async
+     * @param {string} username - Current or old username
+     * @returns {Promise<{userId: number, username: string, current: boolean}|null>}
+     *  ID and current username of the user and whether the given username is the current one, null if nobody had it
+     * @throws {Error} If retrieval fails
+     */
+    async resolveUsername(username) {
+        const client = await pool.connect();
+
+        try {
+            const currentResult = await client.query(
+                "SELECT id, username FROM users WHERE lower(username) = lower($1)",
+                [username]
+            );
+
+            if (currentResult.rows.length > 0) {
+                return { userId: currentResult.rows[0].id, username: currentResult.rows[0].username, current: true };
+            }
+
+            const historyResult = await client.query(
+                `SELECT u.id, u.username FROM username_history AS h
+                JOIN users AS u ON u.id = h.user_id
+                WHERE lower(h.username) = lower($1)
+                ORDER BY h.changed_at DESC, h.id DESC
+                LIMIT 1`,
+                [username]
+            );
+
+            if (historyResult.rows.length === 0) {
+                return null;
+            }
+
+            return { userId: historyResult.rows[0].id, username: historyResult.rows[0].username, current: false };
+        } catch (error) {
+            console.error("Error resolving username", error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
 }
 
 export { DbService };
\ No newline at end of file
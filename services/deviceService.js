@@ -0,0 +1,264 @@
+/**
+ * Device service for Haru_chat
+ * remembers the devices and networks users log in from, reports logins from new ones
+ * through the security notifier and lets users trust their devices
+ * 
+ * @module services/deviceService
+ */
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { getIpRange } from "./../utils/deviceUtils.js";
+import { newDeviceConfig } from "./../config/auth.js";
+import { createSecurityNotifier } from "./securityNotifier.js";
+import { ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * What a login from a new device or network has to do before it's finished
+ * @enum {string}
+ */
+const LoginEscalation = {
+    NONE: "none",
+    // the usual two-factor challenge of users with two-factor enabled
+    TWO_FACTOR: "two_factor",
+    // a confirmation link sent to the verified email address
+    EMAIL: "email"
+};
+
+/**
+ * Service class for handling the devices of users
+ */
+class DeviceService {
+    /**
+     * Constructor method for DeviceService.
+     * Creates a new instance of DeviceService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} mailService - Mail service instance (for login confirmation links)
+     * @param {Object} [notifier] - Security notifier, the configured one if not given
+     */
+    constructor(db, mailService, notifier = createSecurityNotifier()) {
+        this._db = db;
+        this._mailService = mailService;
+        this._notifier = notifier;
+    }
+
+    /**
+     * Checks whether a login comes from a device or network the user hasn't used before.
+     * If so the security notifier is told and the escalation from newDeviceConfig is returned.
+     * The first login of a user has nothing to compare with and trusted devices may use any network,
+     * neither counts as new.
+     * 
+     * @async
+     * @param {Object} user - Safe user object of the user logging in
+     * @param {Object} device - Device the user logs in from, see getDeviceInfo
+     * @param {boolean} twoFactorEnabled - Whether the user has two-factor enabled
+     * @returns {Promise<LoginEscalation>} What the login has to do before it's finished
+     */
+    async check(user, device, twoFactorEnabled) {
+        if (!device.fingerprint) {
+            return LoginEscalation.NONE;
+        }
+
+        const ipRange = this._getIpRange(device.ip);
+        const history = await this._db.getDeviceHistory(user.id, device.fingerprint, ipRange);
+
+        const newDevice = !history.device;
+        const newIpRange = ipRange !== null && !history.ipRangeKnown;
+
+        if (!history.hasDevices || history.device?.trusted || (!newDevice && !newIpRange)) {
+            return LoginEscalation.NONE;
+        }
+
+        const escalation = this._chooseEscalation(user, twoFactorEnabled);
+
+        this._notifier.notify({
+            type: "new_device_login",
+            userId: user.id,
+            username: user.username,
+            email: user.emailVerified ? user.email : null,
+            device: {
+                name: device.name,
+                userAgent: device.userAgent,
+                ip: device.ip
+            },
+            newDevice,
+            newIpRange,
+            escalation,
+            createdAt: new Date().toISOString()
+        }).catch(error => {
+            console.error("Error sending security notification:", error);
+        });
+
+        return escalation;
+    }
+
+    /**
+     * Remembers the device and network of a successful login.
+     * A failing write is only logged, the login already succeeded.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {Object} device - Device the user logged in from, see getDeviceInfo
+     */
+    async remember(userId, device) {
+        if (!device.fingerprint) {
+            return;
+        }
+
+        try {
+            await this._db.saveDevice(
+                userId,
+                device.fingerprint,
+                device.name || "Unknown device",
+                Boolean(device.identified),
+                device.ip || null,
+                this._getIpRange(device.ip)
+            );
+        } catch (error) {
+            console.error(`Error remembering device of user ${userId}:`, error);
+        }
+    }
+
+    /**
+     * Mails a link the user has to open to finish a login from a new device.
+     * A newer link replaces older ones.
+     * 
+     * @async
+     * @param {Object} user - Safe user object with a verified email address
+     * @param {string} mode - Login mode to finish with ("token" or "session")
+     * @param {Object} device - Device the user logs in from, see getDeviceInfo
+     */
+    async requestConfirmation(user, mode, device) {
+        const token = generateOpaqueToken();
+        await this._db.saveLoginConfirmation(
+            user.id,
+            hashToken(token),
+            mode,
+            device,
+            new Date(Date.now() + newDeviceConfig.confirmationDuration)
+        );
+
+        const link = new URL(newDeviceConfig.confirmationUrl);
+        link.searchParams.set("token", token);
+
+        await this._mailService.sendLoginConfirmation(
+            user.email,
+            user.username,
+            link.toString(),
+            Math.round(newDeviceConfig.confirmationDuration / 60000),
+            device
+        );
+    }
+
+    /**
+     * Uses a login confirmation token, it only works once.
+     * 
+     * @async
+     * @param {string} token - Confirmation token from the link
+     * @returns {Promise<{userId: number, mode: string, device: Object}>} The user, login mode and device of the login
+     * @throws {ValidationError} If the token is invalid, expired or already used
+     */
+    async confirm(token) {
+        const confirmation = await this._db.consumeLoginConfirmation(hashToken(token));
+
+        if (!confirmation) {
+            throw new ValidationError("Invalid or expired confirmation token");
+        }
+
+        return confirmation;
+    }
+
+    /**
+     * Lists the devices of a user, the last seen first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {Object} [currentDevice] - Device of the request, it's marked as current in the list
+     * @returns {Promise<Object[]>} The devices (without their fingerprints)
+     */
+    async list(userId, currentDevice) {
+        const devices = await this._db.getDevicesByUserId(userId);
+
+        return devices.map(({ fingerprint, ...device }) => ({
+            ...device,
+            ...(currentDevice && { current: fingerprint === currentDevice.fingerprint })
+        }));
+    }
+
+    /**
+     * Marks a device of a user as trusted or not trusted.
+     * Logins from a trusted device never count as new, whatever network they come from.
+     * Only devices that send their own device ID can be trusted, a fingerprint made
+     * from the user agent is shared with every device running the same browser and OS.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the device
+     * @param {boolean} trusted - Whether the device is trusted
+     * @returns {Promise<boolean>} Whether the user has a device with that ID
+     * @throws {ValidationError} If the device can't be trusted
+     */
+    async setTrusted(userId, id, trusted) {
+        const device = (await this._db.getDevicesByUserId(userId)).find(known => known.id === id);
+
+        if (!device) {
+            return false;
+        }
+        if (trusted && !device.identified) {
+            throw new ValidationError("Only devices that send a device ID can be trusted");
+        }
+
+        return await this._db.setDeviceTrusted(userId, id, trusted);
+    }
+
+    /**
+     * Forgets a device of a user, the next login from it counts as new again.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the device
+     * @returns {Promise<boolean>} Whether the user had a device with that ID
+     */
+    async forget(userId, id) {
+        return await this._db.deleteDevice(userId, id);
+    }
+
+    /**
+     * Chooses what a login from a new device has to do.
+     * Users with two-factor get their challenge anyway, the others need a verified
+     * email address for a confirmation link and are only notified without one.
+     * 
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {boolean} twoFactorEnabled - Whether the user has two-factor enabled
+     * @returns {LoginEscalation} The escalation
+     */
+    _chooseEscalation(user, twoFactorEnabled) {
+        if (newDeviceConfig.action !== "confirm") {
+            return LoginEscalation.NONE;
+        }
+        if (twoFactorEnabled) {
+            return LoginEscalation.TWO_FACTOR;
+        }
+        if (user.email && user.emailVerified) {
+            return LoginEscalation.EMAIL;
+        }
+        return LoginEscalation.NONE;
+    }
+
+    /**
+     * Gets the network of an IP address if networks are checked.
+     * 
+     * @private
+     * @param {?string} ip - IP address
+     * @returns {?string} The network in CIDR notation or null
+     */
+    _getIpRange(ip) {
+        if (!newDeviceConfig.checkIpRange) {
+            return null;
+        }
+        return getIpRange(ip, newDeviceConfig.ipv4Prefix, newDeviceConfig.ipv6Prefix);
+    }
+}
+
+export { DeviceService, LoginEscalation };
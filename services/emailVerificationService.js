@@ -0,0 +1,160 @@
+/**
+ * Email verification service for Haru_chat
+ * verifies email addresses with single use links sent by mail,
+ * both after registration and before switching to a new address
+ * 
+ * @module services/emailVerificationService
+ */
+
+import { User } from "./../models/User.js";
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { emailConfig } from "./../config/auth.js";
+import { AuthenticationError, ConflictError, NotFoundError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling email verification
+ */
+class EmailVerificationService {
+    /**
+     * Constructor method for EmailVerificationService.
+     * Creates a new instance of EmailVerificationService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} userService - User service instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(db, userService, mailService) {
+        this._db = db;
+        this._userService = userService;
+        this._mailService = mailService;
+    }
+
+    /**
+     * Sends a verification link for an email address.
+     * A newer link replaces older ones of the same user.
+     * 
+     * @async
+     * @param {Object} user - Safe user object
+     * @param {string} email - Email address to verify (the current one or a new one)
+     */
+    async sendVerification(user, email) {
+        const token = generateOpaqueToken();
+        await this._db.saveEmailVerificationToken(
+            user.id,
+            hashToken(token),
+            email,
+            new Date(Date.now() + emailConfig.verificationDuration)
+        );
+
+        const link = new URL(emailConfig.verificationUrl);
+        link.searchParams.set("token", token);
+
+        await this._mailService.sendEmailVerification(
+            email,
+            user.username,
+            link.toString(),
+            Math.round(emailConfig.verificationDuration / (60 * 60 * 1000))
+        );
+    }
+
+    /**
+     * Verifies an email address with the token from a verification link.
+     * For an email change this is when the user switches to the new address.
+     * 
+     * @async
+     * @param {string} token - Token from the link
+     * @returns {Promise<string>} The verified email address
+     * @throws {ValidationError} If the token is invalid, expired or already used
+     * @throws {ConflictError} If another user verified the address in the meantime
+     */
+    async verify(token) {
+        const verification = await this._db.consumeEmailVerificationToken(hashToken(token));
+
+        if (!verification) {
+            throw new ValidationError("Invalid or expired verification token");
+        }
+
+        try {
+            if (!await this._db.setVerifiedEmail(verification.userId, verification.email)) {
+                throw new ValidationError("Invalid or expired verification token");
+            }
+        } catch (error) {
+            // unique violation, the address belongs to someone else by now
+            if (error.code === "23505") {
+                throw new ConflictError("Email address is already in use");
+            }
+            throw error;
+        }
+
+        return verification.email;
+    }
+
+    /**
+     * Sends a new verification link for the current email address of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @throws {NotFoundError} If user is not found
+     * @throws {ValidationError} If the user has no email address
+     * @throws {ConflictError} If the email address is already verified
+     */
+    async resend(userId) {
+        const user = await this._userService.getUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+        if (!user.email) {
+            throw new ValidationError("No email address to verify");
+        }
+        if (user.emailVerified) {
+            throw new ConflictError("Email address is already verified");
+        }
+
+        await this.sendVerification(user, user.email);
+    }
+
+    /**
+     * Starts changing the email address of a user.
+     * The new address gets a verification link and replaces the old one once it's verified.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} email - New email address
+     * @param {string} password - Current password of the user
+     * @throws {ValidationError} If the email address is invalid or the password is missing
+     * @throws {AuthenticationError} If the password is wrong
+     * @throws {ConflictError} If another user has verified the address
+     * @throws {LockoutError} If the account is locked or has to wait after failed logins
+     * @throws {NotFoundError} If user is not found
+     */
+    async requestChange(userId, email, password) {
+        if (!User.isValidEmail(email)) {
+            throw new ValidationError("Invalid email address");
+        }
+        if (!password) {
+            throw new ValidationError("Password is required");
+        }
+
+        const user = await this._userService.getUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const authResult = await this._userService.authenticateUser(user.username, password);
+        if (!authResult.success) {
+            throw new AuthenticationError("Password is incorrect");
+        }
+
+        // only verified addresses count, nobody can block an address by never verifying it
+        const userWithEmail = await this._userService.getUserByEmail(email);
+        if (userWithEmail && userWithEmail.emailVerified) {
+            throw new ConflictError("Email address is already in use");
+        }
+
+        await this.sendVerification(user, email);
+    }
+}
+
+export { EmailVerificationService };
@@ -0,0 +1,149 @@
+/**
+ * Account lockout service for Haru_chat
+ * tracks failed logins per account, makes attackers wait longer after every failure
+ * and locks the account for a while after too many
+ * 
+ * @module services/lockoutService
+ */
+
+import { lockoutConfig } from "./../config/auth.js";
+import { LockoutError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling account lockout
+ */
+class LockoutService {
+    /**
+     * Constructor method for LockoutService.
+     * Creates a new instance of LockoutService
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Checks if a user is allowed to try logging in right now and reserves the attempt.
+     * The attempt counts as failed until reset or release is called, so parallel attempts
+     * can't all get past the check before the first failure is recorded.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @throws {LockoutError} If the account is locked (423) or the user has to wait (429)
+     */
+    async reserveAttempt(userId) {
+        const reserved = await this._db.reserveLoginAttempt(
+            userId,
+            lockoutConfig.lockDuration / 1000,
+            lockoutConfig.delayAfter,
+            lockoutConfig.baseDelay / 1000,
+            lockoutConfig.maxDelay / 1000
+        );
+
+        if (reserved) {
+            return;
+        }
+
+        const failures = await this._db.getLoginFailures(userId);
+        const now = Date.now();
+
+        if (failures?.lockedUntil && failures.lockedUntil.getTime() > now) {
+            throw new LockoutError(
+                "Account is temporarily locked because of too many failed logins",
+                this._secondsUntil(failures.lockedUntil.getTime(), now),
+                true
+            );
+        }
+
+        // the failures may have been reset meanwhile, the client just tries again then
+        const nextAttemptAt = failures ? failures.lastFailedAt.getTime() + this._delayAfter(failures.failedAttempts) : now;
+        throw new LockoutError(
+            "Too many failed logins, try again later",
+            this._secondsUntil(nextAttemptAt, now)
+        );
+    }
+
+    /**
+     * Keeps a reserved attempt as failed login and locks the account once there are too many.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>} Weather the account got locked
+     */
+    async recordFailure(userId) {
+        const locked = await this._db.lockAccount(
+            userId,
+            new Date(Date.now() + lockoutConfig.lockDuration),
+            lockoutConfig.lockAfter
+        );
+
+        if (locked) {
+            console.warn(`Account of user ${userId} locked after ${lockoutConfig.lockAfter} failed logins`);
+        }
+
+        return locked;
+    }
+
+    /**
+     * Takes back a reserved attempt that succeeded but doesn't finish the login yet
+     * (password right, second factor still missing), the earlier failures stay.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     */
+    async release(userId) {
+        await this._db.releaseLoginAttempt(userId);
+    }
+
+    /**
+     * Forgets the failed logins of a user after a successful login.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     */
+    async reset(userId) {
+        await this._db.deleteLoginFailures(userId);
+    }
+
+    /**
+     * Unlocks an account and forgets its failed logins (for admins).
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>} Weather the account had failed logins or a lock
+     */
+    async unlock(userId) {
+        return await this._db.deleteLoginFailures(userId);
+    }
+
+    /**
+     * How long to wait after a number of failed attempts, doubling with every attempt.
+     * 
+     * @private
+     * @param {number} failedAttempts - Failed attempts so far
+     * @returns {number} Delay in milliseconds
+     */
+    _delayAfter(failedAttempts) {
+        if (failedAttempts < lockoutConfig.delayAfter) {
+            return 0;
+        }
+
+        const delay = lockoutConfig.baseDelay * 2 ** (failedAttempts - lockoutConfig.delayAfter);
+        return Math.min(delay, lockoutConfig.maxDelay);
+    }
+
+    /**
+     * Whole seconds until a point in time, for the Retry-After header.
+     * 
+     * @private
+     * @param {number} time - Time in milliseconds
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Seconds, at least 1
+     */
+    _secondsUntil(time, now) {
+        return Math.max(1, Math.ceil((time - now) / 1000));
+    }
+}
+
+export { LockoutService };
@@ -0,0 +1,111 @@
+/**
+ * Login history service for Haru_chat
+ * records every login attempt on an account so users (and admins) can see
+ * who logged in, from where and which attempts failed
+ * 
+ * @module services/loginHistoryService
+ */
+
+import { loginHistoryConfig } from "./../config/auth.js";
+
+/**
+ * Timer pruning entries older than the retention period.
+ * Shared between instances so only one runs per process
+ * @type {?NodeJS.Timeout}
+ */
+let pruneTimer = null;
+
+/**
+ * Outcomes of a login attempt
+ * @enum {string}
+ */
+const LoginOutcome = {
+    SUCCESS: "success",
+    FAILURE: "failure",
+    // the password was right, the second factor is still missing
+    TWO_FACTOR_REQUIRED: "two_factor_required",
+    // the password was right, the login from a new device has to be confirmed by mail
+    CONFIRMATION_SENT: "confirmation_sent"
+};
+
+/**
+ * Reasons of a failed login attempt
+ * @enum {string}
+ */
+const LoginFailureReason = {
+    BAD_PASSWORD: "bad_password",
+    BANNED: "banned",
+    LOCKED: "locked",
+    TWO_FACTOR_FAILED: "two_factor_failed"
+};
+
+/**
+ * Service class for handling the login history
+ */
+class LoginHistoryService {
+    /**
+     * Constructor method for LoginHistoryService.
+     * Creates a new instance of LoginHistoryService
+     * and starts pruning old entries if not already started.
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+
+        if (!pruneTimer) {
+            pruneTimer = setInterval(() => {
+                this.pruneExpired().catch(error => {
+                    console.error("Error pruning login history:", error);
+                });
+            }, loginHistoryConfig.pruneInterval);
+            // don't keep the process alive just for pruning
+            pruneTimer.unref();
+        }
+    }
+
+    /**
+     * Records a login attempt.
+     * A failing write is only logged, a broken history shouldn't stop anyone from logging in.
+     * 
+     * @async
+     * @param {number} userId - ID of the user the attempt was for
+     * @param {Object} device - Device of the attempt (userAgent and ip), see getDeviceInfo
+     * @param {LoginOutcome} outcome - Outcome of the attempt
+     * @param {?LoginFailureReason} [reason=null] - Why the attempt failed
+     */
+    async record(userId, device, outcome, reason = null) {
+        try {
+            await this._db.saveLoginAttempt(userId, device.ip || null, device.userAgent || null, outcome, reason);
+        } catch (error) {
+            console.error(`Error recording login attempt of user ${userId}:`, error);
+        }
+    }
+
+    /**
+     * Gets a page of the login history of a user, the newest attempts first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} page - Page to get, starting at 1
+     * @param {number} pageSize - Entries per page
+     * @returns {Promise<{logins: Object[], total: number}>} The attempts on the page and the amount of all attempts
+     */
+    async list(userId, page, pageSize) {
+        return await this._db.getLoginAttemptsByUserId(userId, pageSize, (page - 1) * pageSize);
+    }
+
+    /**
+     * Deletes entries older than the retention period.
+     * 
+     * @async
+     * @returns {Promise<number>} Amount of entries deleted
+     */
+    async pruneExpired() {
+        return await this._db.deleteLoginAttemptsBefore(
+            new Date(Date.now() - loginHistoryConfig.retentionDays * 24 * 60 * 60 * 1000)
+        );
+    }
+}
+
+export { LoginHistoryService, LoginOutcome, LoginFailureReason };
@@ -0,0 +1,118 @@
+/**
+ * Login session service for Haru_chat
+ * keeps track of where users are logged in (one session per login and device)
+ * so they can see their devices and log out single ones
+ * 
+ * @module services/loginSessionService
+ */
+
+import crypto from "crypto";
+
+/**
+ * Pattern of a session ID (a UUID)
+ * @type {RegExp}
+ */
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * A device a user logs in from
+ * @typedef {Object} Device
+ * @property {string} [name] - Readable name of the device, e.g. "Firefox on Windows"
+ * @property {?string} [userAgent] - User agent of the client
+ * @property {?string} [ip] - IP address of the client
+ */
+
+/**
+ * Service class for handling login sessions
+ */
+class LoginSessionService {
+    /**
+     * Constructor method for LoginSessionService.
+     * Creates a new instance of LoginSessionService
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Starts a login session.
+     * The ID is also used as the refresh token family ID and the sid claim of access tokens.
+     * 
+     * @async
+     * @param {number} userId - ID of the user logging in
+     * @param {Device} device - Device the user logs in from
+     * @param {Date} expiresAt - When the login ends unless it's used (refreshed) again
+     * @returns {Promise<string>} ID of the session
+     */
+    async start(userId, device, expiresAt) {
+        const id = crypto.randomUUID();
+
+        await this._db.saveLoginSession(
+            id,
+            userId,
+            device.name || "Unknown device",
+            device.userAgent || null,
+            device.ip || null,
+            expiresAt
+        );
+
+        return id;
+    }
+
+    /**
+     * Lists the active login sessions of a user, the last used first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} The sessions
+     */
+    async list(userId) {
+        return await this._db.getLoginSessionsByUserId(userId);
+    }
+
+    /**
+     * Marks a login session as used.
+     * 
+     * @async
+     * @param {string} id - ID of the session
+     * @param {number} userId - ID of the user the session has to belong to
+     * @param {?Date} [expiresAt=null] - New expiry (after a refresh), null keeps it
+     * @returns {Promise<boolean>} Whether the session is active, false if revoked, expired or unknown
+     */
+    async use(id, userId, expiresAt = null) {
+        return await this._db.useLoginSession(id, userId, expiresAt);
+    }
+
+    /**
+     * Revokes a login session of a user.
+     * Its refresh tokens and cookie session are revoked with it
+     * and its access tokens stop working right away.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} id - ID of the session
+     * @returns {Promise<boolean>} Whether an active session was revoked
+     */
+    async revoke(userId, id) {
+        if (typeof id !== "string" || !SESSION_ID_PATTERN.test(id)) {
+            return false;
+        }
+
+        return await this._db.revokeLoginSession(userId, id);
+    }
+
+    /**
+     * Revokes every login session of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<number>} Amount of sessions revoked
+     */
+    async revokeAllForUser(userId) {
+        return await this._db.revokeUserLoginSessions(userId);
+    }
+}
+
+export { LoginSessionService };
@@ -0,0 +1,103 @@
+/**
+ * Magic link service for Haru_chat
+ * handles passwordless logins with single use login links sent by mail
+ * 
+ * @module services/magicLinkService
+ */
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { magicLinkConfig } from "./../config/auth.js";
+import { ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling magic links
+ */
+class MagicLinkService {
+    /**
+     * Constructor method for MagicLinkService.
+     * Creates a new instance of MagicLinkService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} userService - User service instance
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(db, userService, mailService) {
+        this._db = db;
+        this._userService = userService;
+        this._mailService = mailService;
+    }
+
+    /**
+     * Sends a login link to the user if the account exists and has a verified email address.
+     * The work is done in the background so the response (and its timing)
+     * is the same whether or not the account exists.
+     * 
+     * @param {string} login - Username or verified email address of the account
+     */
+    requestLink(login) {
+        this._sendLink(login).catch(error => {
+            console.error("Error sending magic link:", error);
+        });
+    }
+
+    /**
+     * Uses a magic link token, it only works once and only while it's the newest link of the user.
+     * 
+     * @async
+     * @param {string} token - Token from the link
+     * @returns {Promise<number>} ID of the user the link was sent to
+     * @throws {ValidationError} If the token is invalid, expired, replaced or already used
+     */
+    async consume(token) {
+        const userId = await this._db.consumeMagicLinkToken(hashToken(token));
+
+        if (!userId) {
+            throw new ValidationError("Invalid or expired magic link");
+        }
+
+        return userId;
+    }
+
+    /**
+     * Creates a magic link token and mails the link.
+     * Accounts that already got magicLinkConfig.accountMax links in the window get none.
+     * 
+     * @async
+     * @private
+     * @param {string} login - Username or verified email address of the account
+     */
+    async _sendLink(login) {
+        const user = await this._userService.getUserByLogin(login);
+
+        // links only go to addresses the user has proven are theirs
+        if (!user || user.isBanned || !user.email || !user.emailVerified) {
+            return;
+        }
+
+        const token = generateOpaqueToken();
+        const saved = await this._db.saveMagicLinkToken(
+            user.id,
+            hashToken(token),
+            new Date(Date.now() + magicLinkConfig.duration),
+            new Date(Date.now() - magicLinkConfig.accountWindow),
+            magicLinkConfig.accountMax
+        );
+
+        if (!saved) {
+            console.warn(`Magic link for user ${user.id} not sent, too many links requested`);
+            return;
+        }
+
+        const link = new URL(magicLinkConfig.url);
+        link.searchParams.set("token", token);
+
+        await this._mailService.sendMagicLink(
+            user.email,
+            user.username,
+            link.toString(),
+            Math.round(magicLinkConfig.duration / 60000)
+        );
+    }
+}
+
+export { MagicLinkService };
@@ -0,0 +1,132 @@
+/**
+ * Mail service for Haru_chat
+ * writes the mails users get and hands them to the configured mail transport
+ * 
+ * @module services/mailService
+ */
+
+import { mailConfig } from "./../config/auth.js";
+import { createMailTransport } from "./mailTransport.js";
+
+/**
+ * Service class for sending mails
+ */
+class MailService {
+    /**
+     * Constructor method for MailService.
+     * Creates a new instance of MailService
+     * 
+     * @param {Object} [transport] - Mail transport, the configured one if not given
+     */
+    constructor(transport = createMailTransport()) {
+        this._transport = transport;
+    }
+
+    /**
+     * Sends a password reset link.
+     * 
+     * @async
+     * @param {string} to - Email address of the user
+     * @param {string} username - Username of the user
+     * @param {string} resetLink - Link to the reset page with the token
+     * @param {number} validMinutes - How long the link works
+     */
+    async sendPasswordReset(to, username, resetLink, validMinutes) {
+        await this._send(to, "Reset your Haru_Chat password", [
+            `Hi ${username},`,
+            "",
+            "Somebody asked to reset the password of your Haru_Chat account.",
+            `Use this link within ${validMinutes} minutes to choose a new password:`,
+            "",
+            resetLink,
+            "",
+            "If this wasn't you, you can ignore this mail, your password stays the same."
+        ].join("\n"));
+    }
+
+    /**
+     * Sends an email verification link.
+     * 
+     * @async
+     * @param {string} to - Email address to verify
+     * @param {string} username - Username of the user
+     * @param {string} verificationLink - Link to the verification page with the token
+     * @param {number} validHours - How long the link works
+     */
+    async sendEmailVerification(to, username, verificationLink, validHours) {
+        await this._send(to, "Verify your Haru_Chat email address", [
+            `Hi ${username},`,
+            "",
+            "Please confirm that this is your email address for your Haru_Chat account.",
+            `Use this link within ${validHours} hours:`,
+            "",
+            verificationLink,
+            "",
+            "If you didn't ask for this, you can ignore this mail."
+        ].join("\n"));
+    }
+
+    /**
+     * Sends a magic login link.
+     * 
+     * @async
+     * @param {string} to - Verified email address of the user
+     * @param {string} username - Username of the user
+     * @param {string} loginLink - Link to the login page with the token
+     * @param {number} validMinutes - How long the link works
+     */
+    async sendMagicLink(to, username, loginLink, validMinutes) {
+        await this._send(to, "Your Haru_Chat login link", [
+            `Hi ${username},`,
+            "",
+            "Somebody asked for a link to log in to your Haru_Chat account without a password.",
+            `Use this link within ${validMinutes} minutes, it works once:`,
+            "",
+            loginLink,
+            "",
+            "If this wasn't you, you can ignore this mail, nobody can log in without the link."
+        ].join("\n"));
+    }
+
+    /**
+     * Sends a link to confirm a login from a new device.
+     * 
+     * @async
+     * @param {string} to - Verified email address of the user
+     * @param {string} username - Username of the user
+     * @param {string} confirmationLink - Link to the confirmation page with the token
+     * @param {number} validMinutes - How long the link works
+     * @param {Object} device - Device of the login (name and ip)
+     */
+    async sendLoginConfirmation(to, username, confirmationLink, validMinutes, device) {
+        await this._send(to, "Confirm your Haru_Chat login", [
+            `Hi ${username},`,
+            "",
+            "Somebody logged in to your Haru_Chat account from a new device:",
+            "",
+            `Device: ${device.name || "Unknown device"}`,
+            `IP address: ${device.ip || "unknown"}`,
+            "",
+            `If this was you, use this link within ${validMinutes} minutes to finish the login:`,
+            "",
+            confirmationLink,
+            "",
+            "If this wasn't you, don't open the link and change your password, somebody knows it."
+        ].join("\n"));
+    }
+
+    /**
+     * Sends a mail from the configured sender.
+     * 
+     * @async
+     * @private
+     * @param {string} to - Recipient address
+     * @param {string} subject - Subject line
+     * @param {string} text - Plain text body
+     */
+    async _send(to, subject, text) {
+        await this._transport.send({ from: mailConfig.from, to, subject, text });
+    }
+}
+
+export { MailService };
@@ -0,0 +1,350 @@
+/**
+ * Mail transports for Haru_chat
+ * deliver mails for the mail service. Every transport has the same interface so they can be swapped:
+ * send({from, to, subject, text}) resolves once the mail has been handed over
+ * 
+ * @module services/mailTransport
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import tls from "tls";
+
+import { mailConfig } from "./../config/auth.js";
+
+/**
+ * A mail to send
+ * @typedef {Object} Mail
+ * @property {string} from - Sender, e.g. "Haru_Chat <no-reply@example.com>"
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain text body
+ */
+
+/**
+ * How long the SMTP server gets to answer (ms)
+ * @type {number}
+ */
+const SMTP_TIMEOUT = 30 * 1000;
+
+/**
+ * Mail transport logging mails to the console (the default for development)
+ */
+class ConsoleMailTransport {
+    /**
+     * Logs a mail.
+     * 
+     * @async
+     * @param {Mail} mail - Mail to send
+     */
+    async send(mail) {
+        console.log(`[MAIL] To: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}`);
+    }
+}
+
+/**
+ * Mail transport writing every mail as a JSON file to a directory,
+ * so tests can read the mails (and the links in them) without a mail server
+ */
+class FileMailTransport {
+    /**
+     * Constructor method for FileMailTransport.
+     * Creates a new instance of FileMailTransport
+     * 
+     * @param {string} outboxDir - Directory to write the mails to
+     */
+    constructor(outboxDir) {
+        this._outboxDir = outboxDir;
+    }
+
+    /**
+     * Writes a mail to the outbox directory.
+     * 
+     * @async
+     * @param {Mail} mail - Mail to send
+     */
+    async send(mail) {
+        await fs.mkdir(this._outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+        await fs.writeFile(
+            path.join(this._outboxDir, fileName),
+            JSON.stringify({ ...mail, date: new Date().toISOString() }, null, 2),
+            { mode: 0o600 }
+        );
+    }
+}
+
+/**
+ * Mail transport sending mails to an SMTP server.
+ * Supports implicit TLS, STARTTLS and AUTH PLAIN, one connection per mail.
+ * Credentials are never sent over a connection without TLS
+ */
+class SmtpMailTransport {
+    /**
+     * Constructor method for SmtpMailTransport.
+     * Creates a new instance of SmtpMailTransport
+     * 
+     * @param {Object} options - SMTP options, see mailConfig.smtp
+     * @param {string} options.host - Host of the SMTP server
+     * @param {number} options.port - Port of the SMTP server
+     * @param {boolean} options.secure - Use TLS from the start instead of STARTTLS
+     * @param {boolean} [options.requireTls=true] - Refuse to send if the server doesn't offer STARTTLS
+     * @param {string} [options.user] - User to log in with
+     * @param {string} [options.password] - Password to log in with
+     */
+    constructor(options) {
+        this._options = { requireTls: true, ...options };
+    }
+
+    /**
+     * Sends a mail through the SMTP server.
+     * 
+     * @async
+     * @param {Mail} mail - Mail to send
+     * @throws {Error} If the server rejects the mail, can't be reached or the connection can't be encrypted
+     */
+    async send(mail) {
+        if ([mail.from, mail.to, mail.subject].some(value => /[\r\n]/.test(value))) {
+            throw new Error("Mail headers must not contain line breaks");
+        }
+
+        const { host, port, secure, requireTls, user, password } = this._options;
+        // we greet the server with the domain we send from
+        const domain = senderDomain(mail.from);
+        const connection = new SmtpConnection(secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port }));
+
+        try {
+            await connection.expect(220);
+            let features = await connection.command(`EHLO ${domain}`, 250);
+            let encrypted = secure;
+
+            if (!secure && features.some(line => /^STARTTLS/i.test(line))) {
+                await connection.command("STARTTLS", 220);
+                connection.upgrade(tls.connect({ socket: connection.socket, servername: host }));
+                features = await connection.command(`EHLO ${domain}`, 250);
+                encrypted = true;
+            }
+
+            // somebody on the way can remove STARTTLS from the EHLO response
+            if (!encrypted && requireTls) {
+                throw new Error("SMTP server doesn't offer STARTTLS, set SMTP_REQUIRE_TLS=false to send without TLS");
+            }
+            if (!encrypted && user) {
+                throw new Error("SMTP credentials are only sent over TLS, the SMTP server doesn't offer STARTTLS");
+            }
+
+            if (user) {
+                const credentials = Buffer.from(`\0${user}\0${password || ""}`).toString("base64");
+                await connection.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await connection.command(`MAIL FROM:<${extractAddress(mail.from)}>`, 250);
+            await connection.command(`RCPT TO:<${extractAddress(mail.to)}>`, [250, 251]);
+            await connection.command("DATA", 354);
+            await connection.command(`${buildMessage(mail)}\r\n.`, 250);
+            await connection.command("QUIT", 221);
+        } finally {
+            connection.close();
+        }
+    }
+}
+
+/**
+ * A connection to an SMTP server reading one response per command
+ * 
+ * @private
+ */
+class SmtpConnection {
+    /**
+     * @param {net.Socket} socket - Connecting socket
+     */
+    constructor(socket) {
+        this._buffer = "";
+        this._waiting = null;
+        this._error = null;
+        this.upgrade(socket);
+    }
+
+    /**
+     * Switches to another socket, e.g. the TLS socket after STARTTLS.
+     * Nothing read before the switch is kept, plaintext lines injected after the 220
+     * would otherwise be taken as answers of the server inside TLS.
+     * 
+     * @param {net.Socket} socket - Socket to read and write from now on
+     * @throws {Error} If the server sent more than the 220 before the switch
+     */
+    upgrade(socket) {
+        if (this.socket) {
+            this.socket.removeAllListeners("data");
+
+            if (this._buffer) {
+                socket.destroy();
+                throw new Error("SMTP server sent data after the STARTTLS response, refusing to continue");
+            }
+        }
+
+        this._buffer = "";
+        this.socket = socket;
+        socket.setEncoding("utf8");
+        socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new Error("SMTP server timed out")));
+        socket.on("data", chunk => {
+            this._buffer += chunk;
+            this._flush();
+        });
+        socket.on("error", error => {
+            this._error = error;
+            this._flush();
+        });
+    }
+
+    /**
+     * Waits for a response with one of the expected codes.
+     * 
+     * @async
+     * @param {number|number[]} expected - Expected response code(s)
+     * @returns {Promise<string[]>} Text of the response lines without the code
+     * @throws {Error} If the server answers with another code or the connection fails
+     */
+    async expect(expected) {
+        const { code, lines } = await new Promise((resolve, reject) => {
+            this._waiting = { resolve, reject };
+            this._flush();
+        });
+
+        if (![].concat(expected).includes(code)) {
+            throw new Error(`SMTP server answered ${code}: ${lines.join(" ")}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Sends a command and waits for the response.
+     * 
+     * @async
+     * @param {string} command - Command without the line break
+     * @param {number|number[]} expected - Expected response code(s)
+     * @returns {Promise<string[]>} Text of the response lines without the code
+     */
+    async command(command, expected) {
+        this.socket.write(`${command}\r\n`);
+        return await this.expect(expected);
+    }
+
+    /**
+     * Closes the connection.
+     */
+    close() {
+        this.socket.destroy();
+    }
+
+    /**
+     * Hands a complete response (or an error) to whoever is waiting.
+     * Multi line responses have a dash after the code on every line but the last
+     * 
+     * @private
+     */
+    _flush() {
+        if (!this._waiting) {
+            return;
+        }
+
+        if (this._error) {
+            this._waiting.reject(this._error);
+            this._waiting = null;
+            return;
+        }
+
+        const lines = this._buffer.split("\r\n");
+        const last = lines.findIndex((line, index) => index < lines.length - 1 && /^\d{3}(?: |$)/.test(line));
+        if (last === -1) {
+            return;
+        }
+
+        this._buffer = lines.slice(last + 1).join("\r\n");
+        const { resolve } = this._waiting;
+        this._waiting = null;
+        resolve({
+            code: parseInt(lines[last].slice(0, 3), 10),
+            lines: lines.slice(0, last + 1).map(line => line.slice(4))
+        });
+    }
+}
+
+/**
+ * Gets the address out of "Name <address>".
+ * 
+ * @param {string} value - Address with or without a display name
+ * @returns {string} The address
+ */
+const extractAddress = (value) => {
+    const match = /<([^>]+)>/.exec(value);
+    return match ? match[1] : value.trim();
+};
+
+/**
+ * Gets the domain of the sender address.
+ * 
+ * @param {string} from - Sender with or without a display name
+ * @returns {string} The domain or "localhost"
+ */
+const senderDomain = (from) => extractAddress(from).split("@")[1] || "localhost";
+
+/**
+ * Encodes a header value that might not be ASCII (RFC 2047).
+ * 
+ * @param {string} value - Header value
+ * @returns {string} The value as is or base64 encoded
+ */
+const encodeHeader = (value) => {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+};
+
+/**
+ * Builds the message for the DATA command.
+ * The body is base64 encoded so no line can start with a dot or be too long.
+ * 
+ * @param {Mail} mail - Mail to build
+ * @returns {string} Headers and body
+ */
+const buildMessage = (mail) => {
+    const body = Buffer.from(mail.text).toString("base64").replace(/.{76}/g, "$&\r\n");
+
+    return [
+        `From: ${mail.from}`,
+        `To: ${mail.to}`,
+        `Subject: ${encodeHeader(mail.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${senderDomain(mail.from)}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        body
+    ].join("\r\n");
+};
+
+/**
+ * Creates the transport configured in mailConfig.
+ * 
+ * @returns {ConsoleMailTransport|FileMailTransport|SmtpMailTransport} The mail transport
+ * @throws {Error} If the transport is unknown
+ */
+const createMailTransport = () => {
+    switch (mailConfig.transport) {
+        case "smtp":
+            return new SmtpMailTransport(mailConfig.smtp);
+        case "file":
+            return new FileMailTransport(mailConfig.outboxDir);
+        case "console":
+            return new ConsoleMailTransport();
+        default:
+            throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+};
+
+export { ConsoleMailTransport, FileMailTransport, SmtpMailTransport, createMailTransport };
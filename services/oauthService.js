@@ -0,0 +1,580 @@
+/**
+ * OAuth 2.0 service for Haru_chat
+ * handles the OAuth clients (third-party bots and tools),
+ * the authorization code flow with PKCE (RFC 6749 and RFC 7636)
+ * the token endpoint grants, service clients (client credentials grant)
+ * and the OpenID Connect id tokens and user info
+ * 
+ * @module services/oauthService
+ */
+
+import crypto from "crypto";
+import { decodeJwt } from "jose";
+
+import { generateToken, generateIdToken, generateServiceToken } from "./../utils/jwtUtils.js";
+import { generateOpaqueToken, hashToken, safeCompare } from "./../utils/tokenUtils.js";
+import { oauthConfig } from "./../config/auth.js";
+import { AuthenticationError, ConflictError, NotFoundError, OAuthError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Allowed characters and length of a PKCE code verifier (RFC 7636 4.1)
+ * @type {RegExp}
+ */
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Allowed client IDs of service clients, they are chosen by the admin
+ * so internal endpoints can refer to them by name
+ * @type {RegExp}
+ */
+const SERVICE_CLIENT_ID_PATTERN = /^[a-z0-9_.-]{3,64}$/;
+
+/**
+ * Grant types of clients acting for users
+ * @type {string[]}
+ */
+const USER_GRANT_TYPES = ["authorization_code", "refresh_token"];
+
+/**
+ * Service class for handling OAuth 2.0
+ */
+class OAuthService {
+    /**
+     * Constructor method for OAuthService.
+     * Creates a new instance of OAuthService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} userService - User service instance
+     * @param {Object} refreshTokenService - Refresh token service instance
+     */
+    constructor(db, userService, refreshTokenService) {
+        this._db = db;
+        this._userService = userService;
+        this._refreshTokenService = refreshTokenService;
+    }
+
+    /**
+     * Registers a new OAuth client.
+     * Confidential clients (e.g. bots with a server) get a secret,
+     * public clients (e.g. browser or desktop tools) only rely on PKCE.
+     * 
+     * @async
+     * @param {string} name - Name shown on the consent screen
+     * @param {string[]} redirectUris - Allowed redirect URIs
+     * @param {string[]} scopes - Scopes the client may ask for
+     * @param {boolean} [confidential=true] - Whether the client gets a secret
+     * @returns {Promise<{client: Object, clientSecret: ?string}>} The client and its secret (only shown once)
+     * @throws {ValidationError} If the name, redirect URIs or scopes are invalid
+     */
+    async createClient(name, redirectUris, scopes, confidential = true) {
+        if (!name || typeof name !== "string") {
+            throw new ValidationError("Client name is required");
+        }
+        if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(uri => this._isValidRedirectUri(uri))) {
+            throw new ValidationError("At least one redirect URI is required, redirect URIs must be absolute https (or http://localhost) URLs");
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => oauthConfig.scopes[scope])) {
+            throw new ValidationError(`Scopes must be some of: ${Object.keys(oauthConfig.scopes).join(", ")}`);
+        }
+
+        const clientId = generateOpaqueToken(16);
+        const clientSecret = confidential ? generateOpaqueToken() : null;
+
+        const client = await this._db.saveOAuthClient(
+            clientId,
+            clientSecret ? hashToken(clientSecret) : null,
+            name,
+            redirectUris,
+            [...new Set(scopes)],
+            USER_GRANT_TYPES
+        );
+
+        return { client: this._toSafeClient(client), clientSecret };
+    }
+
+    /**
+     * Registers a new service client (e.g. haru_chat_server).
+     * Service clients only use the client credentials grant to get service tokens
+     * and always have a secret.
+     * 
+     * @async
+     * @param {string} clientId - Client ID chosen by the admin, e.g. "haru_chat_server"
+     * @param {string} name - Name of the service
+     * @returns {Promise<{client: Object, clientSecret: string}>} The client and its secret (only shown once)
+     * @throws {ValidationError} If the client ID or name is invalid
+     * @throws {ConflictError} If the client ID is taken
+     */
+    async createServiceClient(clientId, name) {
+        if (typeof clientId !== "string" || !SERVICE_CLIENT_ID_PATTERN.test(clientId)) {
+            throw new ValidationError("Client ID must be 3 to 64 lowercase letters, digits, dots, dashes or underscores");
+        }
+        if (!name || typeof name !== "string") {
+            throw new ValidationError("Client name is required");
+        }
+        if (await this._db.getOAuthClient(clientId)) {
+            throw new ConflictError("Client ID is already taken");
+        }
+
+        const clientSecret = generateOpaqueToken();
+        const client = await this._db.saveOAuthClient(clientId, hashToken(clientSecret), name, [], [], ["client_credentials"]);
+
+        return { client: this._toSafeClient(client), clientSecret };
+    }
+
+    /**
+     * Checks that a service client still exists, so deleting a client stops its service tokens right away.
+     * 
+     * @async
+     * @param {string} clientId - Client ID of the service
+     * @returns {Promise<boolean>} Weather the service client exists
+     */
+    async isServiceClient(clientId) {
+        const client = await this._db.getOAuthClient(clientId);
+        return Boolean(client && client.grantTypes.includes("client_credentials"));
+    }
+
+    /**
+     * Lists every OAuth client.
+     * 
+     * @async
+     * @returns {Promise<Object[]>} Clients without their secret hashes
+     */
+    async listClients() {
+        const clients = await this._db.getAllOAuthClients();
+        return clients.map(client => this._toSafeClient(client));
+    }
+
+    /**
+     * Deletes an OAuth client, its refresh tokens stop working right away.
+     * 
+     * @async
+     * @param {string} clientId - Public ID of the client
+     * @throws {NotFoundError} If the client doesn't exist
+     */
+    async deleteClient(clientId) {
+        if (!await this._db.deleteOAuthClient(clientId)) {
+            throw new NotFoundError("Client not found");
+        }
+    }
+
+    /**
+     * Validates an authorization request (the query of /oauth/authorize).
+     * 
+     * @async
+     * @param {Object} params - Authorization request parameters
+     * @param {string} params.response_type - Must be "code"
+     * @param {string} params.client_id - Public ID of the client
+     * @param {string} [params.redirect_uri] - Redirect URI, optional if the client only has one
+     * @param {string} [params.scope] - Space separated scopes, defaults to every scope of the client
+     * @param {string} [params.state] - Opaque value sent back to the client
+     * @param {string} params.code_challenge - PKCE code challenge
+     * @param {string} params.code_challenge_method - Must be "S256"
+     * @param {string} [params.nonce] - OpenID Connect nonce, sent back in the id token
+     * @returns {Promise<Object>} The validated request with the client, redirect URI, scopes, state, nonce and code challenge
+     * @throws {ValidationError} If the client or redirect URI is invalid
+     * @throws {OAuthError} If another parameter is invalid
+     */
+    async validateAuthorizationRequest(params = {}) {
+        const client = params.client_id ? await this._db.getOAuthClient(params.client_id) : null;
+
+        if (!client || !client.grantTypes.includes("authorization_code")) {
+            throw new ValidationError("Unknown client");
+        }
+
+        const redirectUri = params.redirect_uri
+            || (client.redirectUris.length === 1 ? client.redirectUris[0] : null);
+
+        // redirect URIs must match exactly so codes can't be sent anywhere else
+        if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+            throw new ValidationError("Invalid redirect URI");
+        }
+
+        if (params.response_type !== "code") {
+            throw new OAuthError("unsupported_response_type", "Only the authorization code flow is supported");
+        }
+
+        if (!params.code_challenge || params.code_challenge_method !== "S256") {
+            throw new OAuthError("invalid_request", "PKCE with code_challenge_method S256 is required");
+        }
+
+        const scope = params.scope
+            ? [...new Set(String(params.scope).split(" ").filter(Boolean))]
+            : client.scopes;
+
+        // scopes no longer offered (openid with HS256) are rejected even if the client has them
+        if (scope.length === 0 || !scope.every(requested => client.scopes.includes(requested) && oauthConfig.scopes[requested])) {
+            throw new OAuthError("invalid_scope", "Requested scope is not allowed for this client");
+        }
+
+        return {
+            client: this._toSafeClient(client),
+            redirectUri,
+            scope,
+            state: params.state || null,
+            nonce: params.nonce || null,
+            codeChallenge: params.code_challenge
+        };
+    }
+
+    /**
+     * Describes an authorization request for the consent screen.
+     * 
+     * @async
+     * @param {Object} params - Authorization request parameters, see validateAuthorizationRequest
+     * @returns {Promise<Object>} The client and a description of each requested scope
+     * @throws {ValidationError} If the client or redirect URI is invalid
+     * @throws {OAuthError} If another parameter is invalid
+     */
+    async getConsentDetails(params) {
+        const request = await this.validateAuthorizationRequest(params);
+
+        return {
+            client: { clientId: request.client.clientId, name: request.client.name },
+            redirectUri: request.redirectUri,
+            scopes: request.scope.map(scope => ({ scope, description: oauthConfig.scopes[scope] }))
+        };
+    }
+
+    /**
+     * Handles the users answer on the consent screen.
+     * If approved an authorization code is issued, otherwise the client gets access_denied.
+     * 
+     * @async
+     * @param {number} userId - ID of the user giving consent
+     * @param {Object} params - Authorization request parameters, see validateAuthorizationRequest
+     * @param {boolean} approved - Whether the user approved the request
+     * @returns {Promise<string>} URL to send the user back to the client with
+     * @throws {ValidationError} If the client or redirect URI is invalid
+     * @throws {OAuthError} If another parameter is invalid
+     */
+    async authorize(userId, params, approved) {
+        const request = await this.validateAuthorizationRequest(params);
+        const redirect = new URL(request.redirectUri);
+
+        if (approved) {
+            const code = generateOpaqueToken();
+
+            await this._db.saveAuthorizationCode(hashToken(code), {
+                clientId: request.client.clientId,
+                userId,
+                redirectUri: request.redirectUri,
+                scope: request.scope,
+                codeChallenge: request.codeChallenge,
+                familyId: crypto.randomUUID(),
+                nonce: request.nonce,
+                expiresAt: new Date(Date.now() + oauthConfig.authorizationCodeDuration)
+            });
+
+            redirect.searchParams.set("code", code);
+        } else {
+            redirect.searchParams.set("error", "access_denied");
+        }
+
+        if (request.state) {
+            redirect.searchParams.set("state", request.state);
+        }
+
+        return redirect.toString();
+    }
+
+    /**
+     * Handles a token request (/oauth/token).
+     * Supports the authorization_code, refresh_token and client_credentials grants.
+     * 
+     * @async
+     * @param {{clientId: ?string, clientSecret: ?string}} credentials - Client credentials of the request
+     * @param {Object} params - Token request parameters
+     * @returns {Promise<Object>} Token response as described in RFC 6749 5.1
+     * @throws {OAuthError} If the client or the grant is invalid
+     */
+    async token(credentials, params = {}) {
+        const client = await this._authenticateClient(credentials);
+
+        if (params.grant_type && !client.grantTypes.includes(params.grant_type)) {
+            throw new OAuthError("unauthorized_client", "Client is not allowed to use this grant type");
+        }
+
+        if (params.grant_type === "authorization_code") {
+            return await this._exchangeAuthorizationCode(client, params);
+        }
+        if (params.grant_type === "refresh_token") {
+            return await this._refresh(client, params);
+        }
+        if (params.grant_type === "client_credentials") {
+            return await this._clientCredentials(client);
+        }
+
+        throw new OAuthError("unsupported_grant_type", "Unsupported grant type");
+    }
+
+    /**
+     * Gets the OpenID Connect claims of a user (the userinfo response).
+     * Claims other than sub are only included if their scope was granted.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {?string[]} scope - Granted scopes, null for a normal login (every claim)
+     * @returns {Promise<Object>} The claims
+     * @throws {NotFoundError} If the user is not found
+     */
+    async getUserInfo(userId, scope) {
+        const user = await this._userService.getUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        return this._toOidcClaims(user, scope);
+    }
+
+    /**
+     * Exchanges an authorization code for tokens.
+     * A code that is used twice was most likely stolen,
+     * so the tokens issued for it the first time are revoked.
+     * 
+     * @async
+     * @private
+     * @param {Object} client - Authenticated client
+     * @param {Object} params - Token request parameters
+     * @returns {Promise<Object>} Token response
+     * @throws {OAuthError} If the code, redirect URI or code verifier is invalid
+     */
+    async _exchangeAuthorizationCode(client, params) {
+        if (!params.code || !params.code_verifier) {
+            throw new OAuthError("invalid_request", "code and code_verifier are required");
+        }
+
+        const codeHash = hashToken(params.code);
+        const code = await this._db.consumeAuthorizationCode(codeHash);
+
+        if (!code) {
+            const existing = await this._db.getAuthorizationCode(codeHash);
+
+            if (existing && existing.usedAt) {
+                await this._refreshTokenService.revokeFamily(existing.familyId);
+                console.warn(`Authorization code reuse detected for user ${existing.userId}, tokens revoked`);
+            }
+
+            throw new OAuthError("invalid_grant", "Invalid or expired authorization code");
+        }
+
+        if (code.clientId !== client.clientId
+            || (params.redirect_uri || code.redirectUri) !== code.redirectUri
+            || !this._verifyCodeChallenge(params.code_verifier, code.codeChallenge)) {
+            throw new OAuthError("invalid_grant", "Invalid or expired authorization code");
+        }
+
+        const user = await this._getActiveUser(code.userId);
+        const refreshToken = await this._refreshTokenService.issue(user.id, code.familyId, client.clientId, code.scope);
+
+        return await this._tokenResponse(user, client.clientId, code.scope, refreshToken, code.nonce);
+    }
+
+    /**
+     * Rotates a refresh token issued to the client.
+     * 
+     * @async
+     * @private
+     * @param {Object} client - Authenticated client
+     * @param {Object} params - Token request parameters
+     * @returns {Promise<Object>} Token response
+     * @throws {OAuthError} If the refresh token is invalid, expired, revoked or reused
+     */
+    async _refresh(client, params) {
+        if (!params.refresh_token) {
+            throw new OAuthError("invalid_request", "refresh_token is required");
+        }
+
+        let rotated;
+        try {
+            rotated = await this._refreshTokenService.rotate(params.refresh_token, client.clientId);
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                throw new OAuthError("invalid_grant", error.message);
+            }
+            throw error;
+        }
+
+        const user = await this._getActiveUser(rotated.userId);
+
+        return await this._tokenResponse(user, client.clientId, rotated.scope, rotated.refreshToken);
+    }
+
+    /**
+     * Issues a service token to a service client.
+     * No refresh token is issued, the service just asks again.
+     * 
+     * @async
+     * @private
+     * @param {Object} client - Authenticated service client
+     * @returns {Promise<Object>} Token response
+     */
+    async _clientCredentials(client) {
+        const accessToken = await generateServiceToken(client.clientId);
+        const { iat, exp } = decodeJwt(accessToken);
+
+        return {
+            access_token: accessToken,
+            token_type: "Bearer",
+            expires_in: exp - iat
+        };
+    }
+
+    /**
+     * Authenticates the client of a token request.
+     * Confidential clients need their secret, public clients only their ID.
+     * 
+     * @async
+     * @private
+     * @param {{clientId: ?string, clientSecret: ?string}} credentials - Client credentials of the request
+     * @returns {Promise<Object>} The client
+     * @throws {OAuthError} If the client is unknown or the secret is wrong
+     */
+    async _authenticateClient({ clientId, clientSecret }) {
+        const client = clientId ? await this._db.getOAuthClient(clientId) : null;
+
+        if (!client || (client.clientSecretHash && !safeCompare(hashToken(clientSecret || ""), client.clientSecretHash))) {
+            throw new OAuthError("invalid_client", "Invalid client credentials");
+        }
+
+        return client;
+    }
+
+    /**
+     * Gets the user a grant was issued for and makes sure they can still log in.
+     * 
+     * @async
+     * @private
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object>} Safe user object
+     * @throws {OAuthError} If the user no longer exists or is banned
+     */
+    async _getActiveUser(userId) {
+        const user = await this._userService.getUserById(userId);
+
+        if (!user || user.isBanned) {
+            throw new OAuthError("invalid_grant", "User is not allowed to log in");
+        }
+
+        return user;
+    }
+
+    /**
+     * Builds a token response with a new access token
+     * and an id token if the openid scope was granted.
+     * Access tokens of clients carry the granted scopes and no roles,
+     * so a client never gets the admin rights of a user.
+     * 
+     * @async
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {string} clientId - Public ID of the client
+     * @param {string[]} scope - Granted scopes
+     * @param {string} refreshToken - New refresh token
+     * @param {?string} [nonce=null] - Nonce from the authorization request
+     * @returns {Promise<Object>} Token response
+     */
+    async _tokenResponse(user, clientId, scope, refreshToken, nonce = null) {
+        const accessToken = await generateToken({
+            userId: user.id,
+            username: user.username,
+            roles: [],
+            scope: scope.join(" "),
+            client_id: clientId
+        });
+        const { iat, exp } = decodeJwt(accessToken);
+
+        const response = {
+            access_token: accessToken,
+            token_type: "Bearer",
+            expires_in: exp - iat,
+            refresh_token: refreshToken,
+            scope: scope.join(" ")
+        };
+
+        if (scope.includes("openid") && oauthConfig.oidcEnabled) {
+            response.id_token = await generateIdToken({
+                ...this._toOidcClaims(user, scope),
+                ...(nonce && { nonce })
+            }, clientId);
+        }
+
+        return response;
+    }
+
+    /**
+     * Maps a safe user object to OpenID Connect claims.
+     * 
+     * @private
+     * @param {Object} user - Safe user object
+     * @param {?string[]} scope - Granted scopes, null for every claim
+     * @returns {Object} The claims
+     */
+    _toOidcClaims(user, scope) {
+        const claims = { sub: String(user.id) };
+
+        if (!scope || scope.includes("profile")) {
+            claims.name = user.username;
+            claims.preferred_username = user.username;
+        }
+
+        return claims;
+    }
+
+    /**
+     * Checks a PKCE code verifier against the code challenge (S256).
+     * 
+     * @private
+     * @param {string} codeVerifier - Code verifier from the token request
+     * @param {string} codeChallenge - Code challenge from the authorization request
+     * @returns {boolean} Weather the verifier matches
+     */
+    _verifyCodeChallenge(codeVerifier, codeChallenge) {
+        if (typeof codeVerifier !== "string" || !CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+            return false;
+        }
+
+        const expected = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+        return safeCompare(expected, codeChallenge);
+    }
+
+    /**
+     * Checks that a redirect URI is an absolute https URL (http is only allowed for localhost)
+     * and has no fragment.
+     * 
+     * @private
+     * @param {string} uri - Redirect URI to check
+     * @returns {boolean} Weather the redirect URI is allowed
+     */
+    _isValidRedirectUri(uri) {
+        try {
+            const url = new URL(uri);
+            const isLocalhost = ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+
+            return !url.hash && (url.protocol === "https:" || (url.protocol === "http:" && isLocalhost));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns a client without its secret hash.
+     * 
+     * @private
+     * @param {Object} client - Stored client
+     * @returns {{clientId: string, name: string, confidential: boolean, redirectUris: string[], scopes: string[], grantTypes: string[], createdAt: Date}}
+     */
+    _toSafeClient(client) {
+        return {
+            clientId: client.clientId,
+            name: client.name,
+            confidential: Boolean(client.clientSecretHash),
+            redirectUris: client.redirectUris,
+            scopes: client.scopes,
+            grantTypes: client.grantTypes,
+            createdAt: client.createdAt
+        };
+    }
+}
+
+export { OAuthService };
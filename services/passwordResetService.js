@@ -0,0 +1,109 @@
+/**
+ * Password reset service for Haru_chat
+ * handles forgotten passwords with single use reset links sent by mail
+ * 
+ * @module services/passwordResetService
+ */
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { passwordResetConfig } from "./../config/auth.js";
+import { ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling password resets
+ */
+class PasswordResetService {
+    /**
+     * Constructor method for PasswordResetService.
+     * Creates a new instance of PasswordResetService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} userService - User service instance
+     * @param {Object} authService - Auth service instance (to log the user out everywhere after a reset)
+     * @param {Object} mailService - Mail service instance
+     */
+    constructor(db, userService, authService, mailService) {
+        this._db = db;
+        this._userService = userService;
+        this._authService = authService;
+        this._mailService = mailService;
+    }
+
+    /**
+     * Sends a reset link to the user if the account exists and has a verified email address.
+     * The work is done in the background so the response (and its timing)
+     * is the same whether or not the account exists.
+     * 
+     * @param {string} login - Username or verified email address of the account
+     */
+    requestReset(login) {
+        this._sendResetLink(login).catch(error => {
+            console.error("Error sending password reset link:", error);
+        });
+    }
+
+    /**
+     * Sets a new password with a reset token.
+     * The token can only be used once and every login of the user is ended.
+     * 
+     * @async
+     * @param {string} token - Reset token from the link
+     * @param {string} newPassword - New password
+     * @throws {ValidationError} If the token is invalid, expired or already used
+     * @throws {PasswordPolicyError} If the new password breaks the password policy
+     */
+    async resetPassword(token, newPassword) {
+        const tokenHash = hashToken(token);
+        const resetToken = await this._db.getPasswordResetToken(tokenHash);
+        const user = resetToken ? await this._userService.getUserById(resetToken.userId) : null;
+
+        if (!user || user.isBanned) {
+            throw new ValidationError("Invalid or expired reset token");
+        }
+
+        // checked before the token is used so a rejected password doesn't waste the link
+        await this._userService.assertPasswordPolicy(newPassword, user.username);
+
+        if (await this._db.consumePasswordResetToken(tokenHash) !== user.id) {
+            throw new ValidationError("Invalid or expired reset token");
+        }
+
+        await this._userService.setPassword(user.id, newPassword);
+        await this._authService.logoutAll(user.id);
+    }
+
+    /**
+     * Creates a reset token and mails the link.
+     * 
+     * @async
+     * @private
+     * @param {string} login - Username or verified email address of the account
+     */
+    async _sendResetLink(login) {
+        const user = await this._userService.getUserByLogin(login);
+
+        // links only go to addresses the user has proven are theirs
+        if (!user || user.isBanned || !user.email || !user.emailVerified) {
+            return;
+        }
+
+        const token = generateOpaqueToken();
+        await this._db.savePasswordResetToken(
+            user.id,
+            hashToken(token),
+            new Date(Date.now() + passwordResetConfig.duration)
+        );
+
+        const link = new URL(passwordResetConfig.url);
+        link.searchParams.set("token", token);
+
+        await this._mailService.sendPasswordReset(
+            user.email,
+            user.username,
+            link.toString(),
+            Math.round(passwordResetConfig.duration / 60000)
+        );
+    }
+}
+
+export { PasswordResetService };
@@ -0,0 +1,122 @@
+/**
+ * Personal access token service for Haru_chat
+ * handles the long lived, scoped tokens users create for their bots and scripts
+ * 
+ * @module services/personalAccessTokenService
+ */
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { personalAccessTokenConfig } from "./../config/auth.js";
+import { ForbiddenError, NotFoundError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling personal access tokens
+ */
+class PersonalAccessTokenService {
+    /**
+     * Constructor method for PersonalAccessTokenService.
+     * Creates a new instance of PersonalAccessTokenService
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Checks if a token looks like a personal access token (instead of a JWT).
+     * 
+     * @param {string} token - Token to check
+     * @returns {boolean} Weather the token has the personal access token prefix
+     */
+    isPersonalAccessToken(token) {
+        return typeof token === "string" && token.startsWith(personalAccessTokenConfig.prefix);
+    }
+
+    /**
+     * Creates a personal access token for a user.
+     * 
+     * @async
+     * @param {{id: number, roles: string[]}} user - The owner
+     * @param {string} name - Name of the token, e.g. "My bot"
+     * @param {string[]} scopes - Scopes of the token
+     * @param {?number} [expiresInDays=null] - Days until the token expires, null for never
+     * @returns {Promise<{token: string, personalAccessToken: Object}>} The plain text token (only shown once) and its details
+     * @throws {ValidationError} If the name, scopes or expiry are invalid or the user has too many tokens
+     * @throws {ForbiddenError} If a non admin asks for the admin scope
+     */
+    async create(user, name, scopes, expiresInDays = null) {
+        if (!name || typeof name !== "string" || name.length > 100) {
+            throw new ValidationError("Token name is required and can be at most 100 characters");
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => personalAccessTokenConfig.scopes[scope])) {
+            throw new ValidationError(`Scopes must be some of: ${Object.keys(personalAccessTokenConfig.scopes).join(", ")}`);
+        }
+        if (scopes.includes("admin") && !user.roles.includes("admin")) {
+            throw new ForbiddenError("Only admins can create tokens with the admin scope");
+        }
+        if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+            throw new ValidationError("expiresInDays must be a positive whole number");
+        }
+
+        const existing = await this._db.getPersonalAccessTokensByUserId(user.id);
+        if (existing.length >= personalAccessTokenConfig.maxPerUser) {
+            throw new ValidationError(`A user can have at most ${personalAccessTokenConfig.maxPerUser} tokens`);
+        }
+
+        const token = personalAccessTokenConfig.prefix + generateOpaqueToken();
+        const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+        const personalAccessToken = await this._db.savePersonalAccessToken(
+            user.id,
+            name,
+            hashToken(token),
+            [...new Set(scopes)],
+            expiresAt
+        );
+
+        return { token, personalAccessToken };
+    }
+
+    /**
+     * Lists the personal access tokens of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} The tokens (never the tokens themselves)
+     */
+    async list(userId) {
+        return await this._db.getPersonalAccessTokensByUserId(userId);
+    }
+
+    /**
+     * Revokes a personal access token of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the token
+     * @throws {NotFoundError} If the user has no token with that ID
+     */
+    async revoke(userId, id) {
+        if (!await this._db.deletePersonalAccessToken(userId, id)) {
+            throw new NotFoundError("Token not found");
+        }
+    }
+
+    /**
+     * Looks up a personal access token and marks it as used.
+     * 
+     * @async
+     * @param {string} token - The plain text token
+     * @returns {Promise<Object|null>} The token details or null if unknown or expired
+     */
+    async verify(token) {
+        if (!this.isPersonalAccessToken(token)) {
+            return null;
+        }
+
+        return await this._db.usePersonalAccessToken(hashToken(token));
+    }
+}
+
+export { PersonalAccessTokenService };
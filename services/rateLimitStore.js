@@ -0,0 +1,112 @@
+/**
+ * Rate limit stores for Haru_chat
+ * count requests per key in fixed windows for the rate limiting middleware.
+ * Every store has the same interface so they can be swapped:
+ * increment(key, windowMs) resolves to the count in the current window and when it resets
+ * 
+ * @module services/rateLimitStore
+ */
+
+import { rateLimitConfig } from "./../config/auth.js";
+
+/**
+ * Result of counting a request
+ * @typedef {Object} RateLimitResult
+ * @property {number} count - Requests in the current window including this one
+ * @property {Date} resetAt - When the window ends
+ */
+
+/**
+ * Rate limit store keeping the counts in memory.
+ * Only works for a single instance, every instance has its own counts
+ */
+class MemoryRateLimitStore {
+    /**
+     * Constructor method for MemoryRateLimitStore.
+     * Creates a new instance of MemoryRateLimitStore
+     * and starts pruning ended windows.
+     */
+    constructor() {
+        this._buckets = new Map();
+
+        this._pruneTimer = setInterval(() => this._pruneExpired(), rateLimitConfig.pruneInterval);
+        // don't keep the process alive just for pruning
+        this._pruneTimer.unref();
+    }
+
+    /**
+     * Counts a request for a key.
+     * 
+     * @async
+     * @param {string} key - Key of the bucket
+     * @param {number} windowMs - Length of the window in milliseconds
+     * @returns {Promise<RateLimitResult>} The count and when the window ends
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let bucket = this._buckets.get(key);
+
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + windowMs };
+            this._buckets.set(key, bucket);
+        }
+
+        bucket.count++;
+
+        return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    }
+
+    /**
+     * Removes buckets whose window has ended.
+     * 
+     * @private
+     */
+    _pruneExpired() {
+        const now = Date.now();
+
+        for (const [key, bucket] of this._buckets) {
+            if (bucket.resetAt <= now) {
+                this._buckets.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Rate limit store keeping the counts in PostgreSQL
+ * so the limits hold across several instances
+ */
+class PostgresRateLimitStore {
+    /**
+     * Constructor method for PostgresRateLimitStore.
+     * Creates a new instance of PostgresRateLimitStore
+     * and starts pruning ended windows.
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+
+        this._pruneTimer = setInterval(() => {
+            this._db.deleteExpiredRateLimits().catch(error => {
+                console.error("Error pruning rate limits:", error);
+            });
+        }, rateLimitConfig.pruneInterval);
+        // don't keep the process alive just for pruning
+        this._pruneTimer.unref();
+    }
+
+    /**
+     * Counts a request for a key.
+     * 
+     * @async
+     * @param {string} key - Key of the bucket
+     * @param {number} windowMs - Length of the window in milliseconds
+     * @returns {Promise<RateLimitResult>} The count and when the window ends
+     */
+    async increment(key, windowMs) {
+        return await this._db.incrementRateLimit(key, windowMs / 1000);
+    }
+}
+
+export { MemoryRateLimitStore, PostgresRateLimitStore };
@@ -0,0 +1,131 @@
+/**
+ * Refresh token service for Haru_chat
+ * handles issuing and rotating opaque refresh tokens
+ * including reuse detection of already used tokens
+ * 
+ * @module services/refreshTokenService
+ */
+
+import crypto from "crypto";
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { refreshTokenConfig } from "./../config/auth.js";
+import { AuthenticationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling refresh tokens
+ */
+class RefreshTokenService {
+    /**
+     * Constructor method for RefreshTokenService.
+     * Creates a new instance of RefreshTokenService
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Issues a new refresh token for a user.
+     * If no family ID is given a new token family is started (a new login)
+     * 
+     * @async
+     * @param {number} userId - ID of the user to issue the token to
+     * @param {string} [familyId] - ID of the token family the new token belongs to
+     * @param {?string} [clientId=null] - OAuth client the token is issued to, null for a normal login
+     * @param {?string[]} [scope=null] - Scopes granted to the OAuth client
+     * @returns {Promise<string>} The plain text refresh token (only the hash is stored)
+     */
+    async issue(userId, familyId = crypto.randomUUID(), clientId = null, scope = null) {
+        const refreshToken = generateOpaqueToken();
+        const expiresAt = new Date(Date.now() + refreshTokenConfig.duration);
+
+        await this._db.saveRefreshToken(userId, familyId, hashToken(refreshToken), expiresAt, clientId, scope);
+
+        return refreshToken;
+    }
+
+    /**
+     * Rotates a refresh token.
+     * The given token is consumed and a new token in the same family is issued.
+     * If the token has already been used the whole family is revoked,
+     * since that means the token has most likely been stolen.
+     * Tokens issued to an OAuth client can only be rotated by that client.
+     * 
+     * @async
+     * @param {string} refreshToken - The plain text refresh token to rotate
+     * @param {?string} [clientId=null] - OAuth client rotating the token, null for a normal login
+     * @returns {Promise<{userId: number, familyId: string, refreshToken: string, scope: ?string[]}>} The owner of the token, its family, the new refresh token and the granted scopes
+     * @throws {AuthenticationError} If the token is invalid, expired, revoked or reused
+     */
+    async rotate(refreshToken, clientId = null) {
+        const tokenHash = hashToken(refreshToken);
+        const consumed = await this._db.consumeRefreshToken(tokenHash, clientId);
+
+        if (!consumed) {
+            const existing = await this._db.getRefreshTokenByHash(tokenHash);
+
+            // a used token being replayed means the family is compromised
+            if (existing && existing.usedAt && !existing.revokedAt) {
+                await this._db.revokeRefreshTokenFamily(existing.familyId);
+                console.warn(`Refresh token reuse detected for user ${existing.userId}, family revoked`);
+            }
+
+            throw new AuthenticationError("Invalid or expired refresh token");
+        }
+
+        const newRefreshToken = await this.issue(consumed.userId, consumed.familyId, consumed.clientId, consumed.scope);
+
+        return {
+            userId: consumed.userId,
+            familyId: consumed.familyId,
+            refreshToken: newRefreshToken,
+            scope: consumed.scope
+        };
+    }
+    /**
+     * Revokes the token family a refresh token belongs to.
+     * Tokens belonging to another user are ignored.
+     * 
+     * @async
+     * @param {string} refreshToken - The plain text refresh token
+     * @param {number} userId - ID of the user revoking the token
+     * @returns {Promise<boolean>} Whether a token family was revoked
+     */
+    async revoke(refreshToken, userId) {
+        const existing = await this._db.getRefreshTokenByHash(hashToken(refreshToken));
+
+        if (!existing || existing.userId !== userId) {
+            return false;
+        }
+
+        await this._db.revokeRefreshTokenFamily(existing.familyId);
+        return true;
+    }
+
+    /**
+     * Revokes a token family by its ID.
+     * 
+     * @async
+     * @param {string} familyId - ID of the token family
+     * @returns {Promise<number>} Amount of tokens revoked
+     */
+    async revokeFamily(familyId) {
+        return await this._db.revokeRefreshTokenFamily(familyId);
+    }
+
+    /**
+     * Revokes every refresh token of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<number>} Amount of tokens revoked
+     */
+    async revokeAllForUser(userId) {
+        return await this._db.revokeUserRefreshTokens(userId);
+    }
+
+}
+
+export { RefreshTokenService };
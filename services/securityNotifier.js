@@ -0,0 +1,145 @@
+/**
+ * Security notifiers for Haru_chat
+ * deliver security events (like a login from a new device) to whatever tells the user about them.
+ * Every notifier has the same interface so they can be swapped:
+ * notify(event) resolves once the event has been handed over
+ * 
+ * @module services/securityNotifier
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+import { securityNotifierConfig } from "./../config/auth.js";
+
+/**
+ * A security event
+ * @typedef {Object} SecurityEvent
+ * @property {string} type - Type of the event, e.g. "new_device_login"
+ * @property {number} userId - ID of the user the event is about
+ * @property {string} username - Username of the user
+ * @property {?string} email - Verified email address of the user, if any
+ * @property {string} createdAt - When the event happened (ISO 8601)
+ */
+
+/**
+ * How long the webhook gets to answer (ms)
+ * @type {number}
+ */
+const WEBHOOK_TIMEOUT = 10 * 1000;
+
+/**
+ * Security notifier logging events to the console (the default for development)
+ */
+class ConsoleSecurityNotifier {
+    /**
+     * Logs an event.
+     * 
+     * @async
+     * @param {SecurityEvent} event - Event to deliver
+     */
+    async notify(event) {
+        console.log(`[SECURITY] ${JSON.stringify(event)}`);
+    }
+}
+
+/**
+ * Security notifier appending every event as a line of JSON to a file,
+ * so tests can read the events without a webhook receiver
+ */
+class FileSecurityNotifier {
+    /**
+     * Constructor method for FileSecurityNotifier.
+     * Creates a new instance of FileSecurityNotifier
+     * 
+     * @param {string} file - File to append the events to
+     */
+    constructor(file) {
+        this._file = file;
+    }
+
+    /**
+     * Appends an event to the file.
+     * 
+     * @async
+     * @param {SecurityEvent} event - Event to deliver
+     */
+    async notify(event) {
+        await fs.mkdir(path.dirname(this._file), { recursive: true });
+        await fs.appendFile(this._file, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+    }
+}
+
+/**
+ * Security notifier POSTing every event as JSON to a webhook.
+ * With a secret the body is signed with HMAC-SHA256 in the X-Haru-Signature header
+ * ("sha256=" and the hex digest) so the receiver can check it came from this server
+ */
+class WebhookSecurityNotifier {
+    /**
+     * Constructor method for WebhookSecurityNotifier.
+     * Creates a new instance of WebhookSecurityNotifier
+     * 
+     * @param {string} url - URL of the webhook
+     * @param {string} [secret] - Secret to sign the body with
+     * @throws {Error} If the URL is missing
+     */
+    constructor(url, secret) {
+        if (!url) {
+            throw new Error("SECURITY_WEBHOOK_URL is required for the webhook security notifier");
+        }
+
+        this._url = url;
+        this._secret = secret;
+    }
+
+    /**
+     * Sends an event to the webhook.
+     * 
+     * @async
+     * @param {SecurityEvent} event - Event to deliver
+     * @throws {Error} If the webhook doesn't answer with a 2xx status
+     */
+    async notify(event) {
+        const body = JSON.stringify(event);
+        const headers = { "Content-Type": "application/json" };
+
+        if (this._secret) {
+            const signature = crypto.createHmac("sha256", this._secret).update(body).digest("hex");
+            headers["X-Haru-Signature"] = `sha256=${signature}`;
+        }
+
+        const response = await fetch(this._url, {
+            method: "POST",
+            headers,
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Security webhook answered with status ${response.status}`);
+        }
+    }
+}
+
+/**
+ * Creates the notifier configured in securityNotifierConfig.
+ * 
+ * @returns {ConsoleSecurityNotifier|FileSecurityNotifier|WebhookSecurityNotifier} The security notifier
+ * @throws {Error} If the notifier is unknown
+ */
+const createSecurityNotifier = () => {
+    switch (securityNotifierConfig.notifier) {
+        case "webhook":
+            return new WebhookSecurityNotifier(securityNotifierConfig.webhookUrl, securityNotifierConfig.webhookSecret);
+        case "file":
+            return new FileSecurityNotifier(securityNotifierConfig.file);
+        case "console":
+            return new ConsoleSecurityNotifier();
+        default:
+            throw new Error(`Unknown security notifier: ${securityNotifierConfig.notifier}`);
+    }
+};
+
+export { ConsoleSecurityNotifier, FileSecurityNotifier, WebhookSecurityNotifier, createSecurityNotifier };
@@ -0,0 +1,81 @@
+/**
+ * Session service for Haru_chat
+ * handles server side sessions for browser clients using cookies
+ * 
+ * @module services/sessionService
+ */
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { sessionConfig } from "./../config/auth.js";
+
+/**
+ * Service class for handling cookie sessions
+ */
+class SessionService {
+    /**
+     * Constructor method for SessionService.
+     * Creates a new instance of SessionService
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Starts a new session for a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {?string} [loginSessionId=null] - ID of the login session the cookie session belongs to
+     * @returns {Promise<{sessionToken: string, csrfToken: string, expiresAt: Date}>} The plain text session token for the cookie and the CSRF token
+     */
+    async create(userId, loginSessionId = null) {
+        const sessionToken = generateOpaqueToken();
+        const csrfToken = generateOpaqueToken();
+        const expiresAt = new Date(Date.now() + sessionConfig.duration);
+
+        await this._db.saveSession(userId, hashToken(sessionToken), csrfToken, expiresAt, loginSessionId);
+
+        return { sessionToken, csrfToken, expiresAt };
+    }
+
+    /**
+     * Gets an active session by its token.
+     * 
+     * @async
+     * @param {string} sessionToken - The plain text session token from the cookie
+     * @returns {Promise<Object|null>} The session or null if not found or expired
+     */
+    async get(sessionToken) {
+        if (!sessionToken) {
+            return null;
+        }
+
+        return await this._db.getSessionByHash(hashToken(sessionToken));
+    }
+
+    /**
+     * Ends a session.
+     * 
+     * @async
+     * @param {number} sessionId - ID of the session
+     * @returns {Promise<boolean>} Whether a session was ended
+     */
+    async destroy(sessionId) {
+        return await this._db.deleteSession(sessionId);
+    }
+
+    /**
+     * Ends every session of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<number>} Amount of sessions ended
+     */
+    async destroyAllForUser(userId) {
+        return await this._db.deleteUserSessions(userId);
+    }
+}
+
+export { SessionService };
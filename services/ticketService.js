@@ -0,0 +1,100 @@
+/**
+ * Connection ticket service for Haru_chat
+ * handles the short lived, single use tickets the chat client hands to the chat server
+ * instead of its JWT, the chat server exchanges a ticket for the user's identity
+ * 
+ * @module services/ticketService
+ */
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { ticketConfig } from "./../config/auth.js";
+import { AuthenticationError, ForbiddenError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling connection tickets
+ */
+class TicketService {
+    /**
+     * Constructor method for TicketService.
+     * Creates a new instance of TicketService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} userService - User service instance
+     * @param {Object} oauthService - OAuth service instance (chat servers are service clients)
+     */
+    constructor(db, userService, oauthService) {
+        this._db = db;
+        this._userService = userService;
+        this._oauthService = oauthService;
+    }
+
+    /**
+     * Creates a ticket for a user to connect to a chat server.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} audience - Client ID of the chat server to connect to
+     * @param {?string[]} [scope=null] - Scopes of the token the user is authenticated with, null for a normal login
+     * @param {string[]} [roles=[]] - Roles of the token the user is authenticated with, handed to the chat server as they are
+     * @returns {Promise<{ticket: string, expiresAt: Date}>} The plain text ticket and when it expires
+     * @throws {ValidationError} If the chat server is unknown
+     */
+    async issue(userId, audience, scope = null, roles = []) {
+        if (!audience || typeof audience !== "string" || !await this._oauthService.isServiceClient(audience)) {
+            throw new ValidationError("Unknown chat server");
+        }
+
+        const ticket = generateOpaqueToken();
+        const expiresAt = new Date(Date.now() + ticketConfig.duration);
+
+        await this._db.saveConnectionTicket(hashToken(ticket), userId, audience, scope, roles, expiresAt);
+
+        return { ticket, expiresAt };
+    }
+
+    /**
+     * Redeems a ticket for the identity of its user.
+     * A ticket can only be redeemed once and only by the chat server it was created for.
+     * The roles are the ones of the token the ticket was created with, not the current roles of the user.
+     * 
+     * @async
+     * @param {string} ticket - The plain text ticket
+     * @param {string} clientId - Client ID of the chat server redeeming the ticket
+     * @returns {Promise<{user: {id: number, username: string, roles: string[]}, scope: ?string[]}>} The user and the scopes the ticket was created with
+     * @throws {ValidationError} If the ticket is missing
+     * @throws {AuthenticationError} If the ticket is invalid, expired, already redeemed or for another chat server
+     * @throws {ForbiddenError} If the user is banned
+     */
+    async redeem(ticket, clientId) {
+        if (!ticket || typeof ticket !== "string") {
+            throw new ValidationError("Ticket is required");
+        }
+
+        const redeemed = await this._db.redeemConnectionTicket(hashToken(ticket), clientId);
+
+        if (!redeemed) {
+            throw new AuthenticationError("Invalid or expired ticket");
+        }
+
+        // the user might have been banned or deleted since the ticket was created
+        const user = await this._userService.getUserById(redeemed.userId);
+
+        if (!user) {
+            throw new AuthenticationError("Invalid or expired ticket");
+        }
+        if (user.isBanned) {
+            throw new ForbiddenError("User is banned");
+        }
+
+        return {
+            user: {
+                id: user.id,
+                username: user.username,
+                roles: redeemed.roles
+            },
+            scope: redeemed.scope
+        };
+    }
+}
+
+export { TicketService };
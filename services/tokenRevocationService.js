@@ -0,0 +1,91 @@
+/**
+ * Token revocation service for Haru_chat
+ * handles revoking access tokens before they expire
+ * and pruning revocations of tokens that have expired anyway
+ * 
+ * @module services/tokenRevocationService
+ */
+
+import { revocationConfig } from "./../config/auth.js";
+
+/**
+ * Timer pruning expired revocations.
+ * Shared between instances so only one runs per process
+ * @type {?NodeJS.Timeout}
+ */
+let pruneTimer = null;
+
+/**
+ * Service class for handling access token revocation
+ */
+class TokenRevocationService {
+    /**
+     * Constructor method for TokenRevocationService.
+     * Creates a new instance of TokenRevocationService
+     * and starts pruning expired revocations if not already started.
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+
+        if (!pruneTimer) {
+            pruneTimer = setInterval(() => {
+                this.pruneExpired().catch(error => {
+                    console.error("Error pruning revoked tokens:", error);
+                });
+            }, revocationConfig.pruneInterval);
+            // don't keep the process alive just for pruning
+            pruneTimer.unref();
+        }
+    }
+
+    /**
+     * Revokes a single access token.
+     * 
+     * @async
+     * @param {Object} decoded - Decoded JWT payload
+     * @returns {Promise<boolean>} Whether the token could be revoked (tokens without a jti can't)
+     */
+    async revokeToken(decoded) {
+        if (!decoded.jti) {
+            return false;
+        }
+
+        await this._db.saveRevokedToken(decoded.jti, decoded.userId, new Date(decoded.exp * 1000));
+        return true;
+    }
+
+    /**
+     * Revokes every access token of a user issued until now.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     */
+    async revokeAllForUser(userId) {
+        await this._db.revokeUserTokensIssuedBeforeNow(userId);
+    }
+
+    /**
+     * Checks if an access token has been revoked.
+     * 
+     * @async
+     * @param {Object} decoded - Decoded JWT payload
+     * @returns {Promise<boolean>} Whether the token is revoked
+     */
+    async isRevoked(decoded) {
+        return await this._db.isTokenRevoked(decoded.jti || null, decoded.userId, decoded.iat);
+    }
+
+    /**
+     * Deletes revocations of tokens that have expired.
+     * 
+     * @async
+     * @returns {Promise<number>} Amount of revocations deleted
+     */
+    async pruneExpired() {
+        return await this._db.deleteExpiredRevokedTokens();
+    }
+}
+
+export { TokenRevocationService };
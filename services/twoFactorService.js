@@ -0,0 +1,296 @@
+/**
+ * Two-factor authentication service for Haru_chat
+ * handles TOTP enrollment, backup codes and the login challenge
+ * users with two-factor enabled have to pass after their password
+ * 
+ * @module services/twoFactorService
+ */
+
+import crypto from "crypto";
+
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "./../utils/totpUtils.js";
+import { encrypt, decrypt } from "./../utils/encryptionUtils.js";
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { twoFactorConfig } from "./../config/auth.js";
+import { LockoutService } from "./lockoutService.js";
+import { AuthenticationError, ConflictError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling two-factor authentication
+ */
+class TwoFactorService {
+    /**
+     * Constructor method for TwoFactorService.
+     * Creates a new instance of TwoFactorService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {LockoutService} [lockoutService] - Tracks failed logins, created from db if not given
+     */
+    constructor(db, lockoutService = new LockoutService(db)) {
+        this._db = db;
+        this._lockoutService = lockoutService;
+    }
+
+    /**
+     * Checks if a user has two-factor authentication enabled.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>} Weather two-factor is enabled
+     */
+    async isEnabled(userId) {
+        const twoFactor = await this._db.getTwoFactor(userId);
+        return Boolean(twoFactor && twoFactor.enabled);
+    }
+
+    /**
+     * Starts two-factor enrollment by creating a new TOTP secret.
+     * Two-factor isn't enabled until the secret is confirmed with a code.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} username - Username shown in the authenticator app
+     * @returns {Promise<{secret: string, otpauthUri: string}>} The secret and an otpauth URI for a QR code
+     * @throws {ConflictError} If two-factor is already enabled
+     */
+    async enroll(userId, username) {
+        if (await this.isEnabled(userId)) {
+            throw new ConflictError("Two-factor authentication is already enabled");
+        }
+
+        const secret = generateTotpSecret();
+        await this._db.saveTwoFactorSecret(userId, encrypt(secret, twoFactorConfig.encryptionKey));
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri(secret, username, twoFactorConfig.issuer)
+        };
+    }
+
+    /**
+     * Confirms enrollment with a code from the authenticator app and enables two-factor.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} code - Code from the authenticator app
+     * @returns {Promise<string[]>} New backup codes (only shown once)
+     * @throws {ValidationError} If enrollment hasn't been started
+     * @throws {ConflictError} If two-factor is already enabled
+     * @throws {AuthenticationError} If the code is wrong
+     */
+    async confirm(userId, code) {
+        const twoFactor = await this._db.getTwoFactor(userId);
+
+        if (!twoFactor) {
+            throw new ValidationError("Two-factor enrollment has not been started");
+        }
+        if (twoFactor.enabled) {
+            throw new ConflictError("Two-factor authentication is already enabled");
+        }
+
+        const step = verifyTotp(decrypt(twoFactor.encryptedSecret, twoFactorConfig.encryptionKey), code);
+        if (step === null) {
+            throw new AuthenticationError("Invalid two-factor code");
+        }
+
+        await this._db.enableTwoFactor(userId, step);
+        return await this._replaceBackupCodes(userId);
+    }
+
+    /**
+     * Disables two-factor authentication.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} code - Code from the authenticator app or a backup code
+     * @throws {ValidationError} If two-factor is not enabled
+     * @throws {AuthenticationError} If the code is wrong
+     * @throws {LockoutError} If the account is locked or the user has to wait after failed logins
+     */
+    async disable(userId, code) {
+        await this._requireValidCode(userId, code);
+        await this._db.deleteTwoFactor(userId);
+    }
+
+    /**
+     * Replaces the backup codes with new ones.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} code - Code from the authenticator app or a backup code
+     * @returns {Promise<string[]>} New backup codes (only shown once)
+     * @throws {ValidationError} If two-factor is not enabled
+     * @throws {AuthenticationError} If the code is wrong
+     * @throws {LockoutError} If the account is locked or the user has to wait after failed logins
+     */
+    async regenerateBackupCodes(userId, code) {
+        await this._requireValidCode(userId, code);
+        return await this._replaceBackupCodes(userId);
+    }
+
+    /**
+     * Checks a code from the authenticator app or a backup code.
+     * Used codes can't be used again.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} code - Code to check
+     * @returns {Promise<boolean>} Weather the code is valid
+     */
+    async verifyCode(userId, code) {
+        const twoFactor = await this._db.getTwoFactor(userId);
+
+        if (!twoFactor || !twoFactor.enabled || typeof code !== "string") {
+            return false;
+        }
+
+        const step = verifyTotp(decrypt(twoFactor.encryptedSecret, twoFactorConfig.encryptionKey), code.trim());
+        if (step !== null) {
+            // a code can only be used once
+            return await this._db.updateTwoFactorLastStep(userId, step);
+        }
+
+        return await this._db.useBackupCode(userId, hashToken(this._normalizeBackupCode(code)));
+    }
+
+    /**
+     * Creates a login challenge for a user who passed the password check.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} mode - Login mode to finish with ("token" or "session")
+     * @returns {Promise<string>} The plain text challenge token
+     */
+    async createChallenge(userId, mode) {
+        const challengeToken = generateOpaqueToken();
+        const expiresAt = new Date(Date.now() + twoFactorConfig.challengeDuration);
+
+        await this._db.saveTwoFactorChallenge(userId, hashToken(challengeToken), mode, expiresAt);
+
+        return challengeToken;
+    }
+
+    /**
+     * Gets the user of an active login challenge without completing it.
+     * 
+     * @async
+     * @param {string} challengeToken - The challenge token from login
+     * @returns {Promise<number>} ID of the user logging in
+     * @throws {AuthenticationError} If the challenge is invalid or expired
+     */
+    async getChallengeUserId(challengeToken) {
+        const challenge = await this._db.getTwoFactorChallenge(hashToken(challengeToken));
+
+        if (!challenge || challenge.attempts >= twoFactorConfig.maxChallengeAttempts) {
+            throw new AuthenticationError("Invalid or expired challenge");
+        }
+
+        return challenge.userId;
+    }
+
+    /**
+     * Completes a login challenge with a second factor.
+     * The challenge can only be completed once and is dropped after too many failed attempts,
+     * wrong codes count as failed logins for the account lockout.
+     * 
+     * @async
+     * @param {string} challengeToken - The challenge token from login
+     * @param {function(number): Promise<boolean>} verify - Checks the second factor for the user ID of the challenge
+     * @returns {Promise<{userId: number, mode: string}>} The user and login mode of the challenge
+     * @throws {AuthenticationError} If the challenge is invalid or expired or the second factor is wrong
+     * @throws {LockoutError} If the account is locked or the user has to wait after failed logins
+     */
+    async completeChallenge(challengeToken, verify) {
+        const tokenHash = hashToken(challengeToken);
+        const pending = await this._db.getTwoFactorChallenge(tokenHash);
+
+        if (!pending) {
+            throw new AuthenticationError("Invalid or expired challenge");
+        }
+
+        // the lockout comes first so waiting doesn't use up the attempts of the challenge
+        await this._lockoutService.reserveAttempt(pending.userId);
+
+        // the attempt is counted before the code is checked so parallel guesses share the limit
+        const challenge = await this._db.claimTwoFactorChallengeAttempt(tokenHash, twoFactorConfig.maxChallengeAttempts);
+
+        if (!challenge) {
+            await this._lockoutService.release(pending.userId);
+            throw new AuthenticationError("Invalid or expired challenge");
+        }
+
+        if (!await verify(challenge.userId)) {
+            await this._lockoutService.recordFailure(challenge.userId);
+            throw new AuthenticationError("Invalid two-factor code");
+        }
+
+        // deleting the challenge makes sure it's only completed once
+        if (!await this._db.deleteTwoFactorChallenge(challenge.id)) {
+            throw new AuthenticationError("Invalid or expired challenge");
+        }
+
+        await this._lockoutService.reset(challenge.userId);
+
+        return { userId: challenge.userId, mode: challenge.mode };
+    }
+
+    /**
+     * Throws if two-factor isn't enabled or the code is wrong.
+     * Wrong codes count as failed logins for the account lockout like on the login challenge,
+     * so a stolen access token can't be used to guess codes.
+     * 
+     * @async
+     * @private
+     * @param {number} userId - ID of the user
+     * @param {string} code - Code to check
+     * @throws {ValidationError} If two-factor is not enabled
+     * @throws {AuthenticationError} If the code is wrong
+     * @throws {LockoutError} If the account is locked or the user has to wait after failed logins
+     */
+    async _requireValidCode(userId, code) {
+        if (!await this.isEnabled(userId)) {
+            throw new ValidationError("Two-factor authentication is not enabled");
+        }
+
+        await this._lockoutService.reserveAttempt(userId);
+
+        if (!await this.verifyCode(userId, code)) {
+            await this._lockoutService.recordFailure(userId);
+            throw new AuthenticationError("Invalid two-factor code");
+        }
+
+        await this._lockoutService.reset(userId);
+    }
+
+    /**
+     * Generates and stores a new set of backup codes.
+     * 
+     * @async
+     * @private
+     * @param {number} userId - ID of the user
+     * @returns {Promise<string[]>} The new backup codes in plain text
+     */
+    async _replaceBackupCodes(userId) {
+        const codes = Array.from({ length: twoFactorConfig.backupCodeCount }, () => {
+            const hex = crypto.randomBytes(5).toString("hex");
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+
+        await this._db.replaceBackupCodes(userId, codes.map(code => hashToken(this._normalizeBackupCode(code))));
+
+        return codes;
+    }
+
+    /**
+     * Normalizes a backup code so dashes, spaces and case don't matter.
+     * 
+     * @private
+     * @param {string} code - Backup code
+     * @returns {string} Normalized backup code
+     */
+    _normalizeBackupCode(code) {
+        return code.toLowerCase().replace(/[\s-]/g, "");
+    }
+}
+
+export { TwoFactorService };
@@ -6,10 +6,12 @@
  * @module services/userService
  */
 
-import bcrypt from "bcrypt";
-
 import { User } from "./../models/User.js";
-import { passwordConfig } from "./../config/auth.js";
+import { LockoutService } from "./lockoutService.js";
+import { validatePassword } from "./../utils/passwordPolicy.js";
+import { normalizeUsername, getUsernameSkeleton, validateUsername } from "./../utils/usernamePolicy.js";
+import { hashPassword, verifyPassword, needsRehash } from "./../utils/passwordHashing.js";
+import { ConflictError, LockoutError, PasswordPolicyError, UsernamePolicyError } from "../middleware/errorMiddleware.js";
 
 /**
  * Service class for handling user-related stuff
@@ -20,14 +22,15 @@ class UserService {
      * Creates a new instance of UserService
      * 
      * @param {Object} db - DB service instance
+     * @param {LockoutService} [lockoutService] - Tracks failed logins, created from db if not given
      */
-    constructor(db) {
+    constructor(db, lockoutService = new LockoutService(db)) {
         this._db = db;
-        this._saltRounds = parseInt(passwordConfig.saltRounds, 10);
+        this._lockoutService = lockoutService;
     }
 
     /**
-     * Method for hashing passwords using bcrypt
+     * Method for hashing passwords with the configured algorithm (bcrypt or Argon2id)
      * 
      * @async 
      * @param {string} password - password in plaintext to hash
@@ -39,14 +42,15 @@ class UserService {
             throw new Error("username and password must be of type string");
         }
         try {
-            return await bcrypt.hash(password, this._saltRounds);
+            return await hashPassword(password);
         } catch (error) {
             throw new Error(`Error hashing password: ${error}`);
         }
     }
 
     /**
-     * Method for verifying passwords
+     * Method for verifying passwords,
+     * works with hashes of every supported algorithm
      * 
      * @async
      * @param {string} password - plain text password you want to verify
@@ -56,31 +60,96 @@ class UserService {
      */
     async verifyPassword(password, hashedPassword) {
         try {
-            return await bcrypt.compare(password, hashedPassword);
+            return await verifyPassword(password, hashedPassword);
         } catch (error) {
             throw new Error(`Error verifying password: ${error}`);
         }
     }
 
+    /**
+     * Checks a new password against the password policy
+     * 
+     * @async
+     * @param {string} password - plain text password to check
+     * @param {string} username - username the password is for
+     * @throws {PasswordPolicyError} If the password breaks any rule, with every rule it breaks
+     */
+    async assertPasswordPolicy(password, username) {
+        const violations = await validatePassword(password, username);
+
+        if (violations.length > 0) {
+            throw new PasswordPolicyError("Password does not meet the password policy", violations);
+        }
+    }
+
+    /**
+     * Checks a normalized username against the username policy
+     * 
+     * @param {string} username - username to check, normalized with normalizeUsername
+     * @throws {UsernamePolicyError} If the username breaks any rule, with every rule it breaks
+     */
+    assertUsernamePolicy(username) {
+        const violations = validateUsername(username);
+
+        if (violations.length > 0) {
+            throw new UsernamePolicyError("Username does not meet the username policy", violations);
+        }
+    }
+
+    /**
+     * Checks that no other user has the username or one looking like it.
+     * Usernames are compared case insensitive and by their confusable skeleton
+     * 
+     * @async
+     * @param {string} username - normalized username
+     * @param {string} skeleton - confusable skeleton of the username
+     * @param {?number} [excludeUserId=null] - ID of a user whose own username doesn't count
+     * @throws {ConflictError} If the username or a lookalike is taken
+     */
+    async assertUsernameAvailable(username, skeleton, excludeUserId = null) {
+        const conflict = await this._db.getUsernameConflict(username, skeleton, excludeUserId);
+
+        if (!conflict) {
+            return;
+        }
+        if (conflict.toLowerCase() === username.toLowerCase()) {
+            throw new ConflictError("User already exists");
+        }
+        throw new ConflictError("Username is too similar to an existing username");
+    }
+
     /**
      * Create a new user.
+     * The username is normalized (NFKC) and has to meet the username policy
      * 
      * @async
      * @param {string} username - username for the new user
      * @param {string} password - Plain text password of a new user (this will be hashed)
+     * @param {?string} [email=null] - Email address of the new user (used for password resets)
      * @returns {Promise<Object>} - Returns a Safe user object without the password
-     * @throws {Error} If validation fails or user already exists
+     * @throws {UsernamePolicyError} If the username breaks the username policy
+     * @throws {PasswordPolicyError} If the password breaks the password policy
+     * @throws {ConflictError} If the username, a lookalike of it or another user verified the email address
+     * @throws {Error} If validation fails
      */
-    async createUser(username, password) {
+    async createUser(username, password, email = null) {
         try {
             if (typeof username !== "string" || typeof password !== "string") {
                 throw new Error("username and password must be of type string");
             }
 
-            // check if user exists
-            const existingUser = await this.getUserByUsername(username);
-            if (existingUser) {
-                throw new Error(`Error user already exists:`);
+            username = normalizeUsername(username);
+            this.assertUsernamePolicy(username);
+            await this.assertPasswordPolicy(password, username);
+
+            // check if the username or one looking like it exists
+            const skeleton = getUsernameSkeleton(username);
+            await this.assertUsernameAvailable(username, skeleton);
+
+            // verified email addresses are unique too, unverified ones don't block the owner
+            const userWithEmail = email ? await this._db.getUserByEmail(email) : null;
+            if (userWithEmail && userWithEmail.getEmailVerified()) {
+                throw new ConflictError("Email address is already in use");
             }
 
             // hash password
@@ -94,8 +163,9 @@ class UserService {
                 new Date(),
                 false
             );
+            user.setEmail(email);
 
-            const userId = await this._db.saveUser(user);
+            const userId = await this._saveNewUser(user, skeleton);
 
             // set the ID given by the db
             user.setId(userId);
@@ -103,10 +173,108 @@ class UserService {
             // return the newly created user
             return user.getSafeObject();
         } catch (error) {
+            if (error instanceof PasswordPolicyError || error instanceof UsernamePolicyError || error instanceof ConflictError) {
+                throw error;
+            }
             throw new Error(`Error creating new user: ${error}`);
         }
     }
 
+    /**
+     * Changes the password of a user after checking the current one.
+     * Wrong current passwords count as failed logins for the lockout
+     * 
+     * @async
+     * @param {number} id - ID of the user
+     * @param {string} currentPassword - plain text current password
+     * @param {string} newPassword - plain text new password (this will be hashed)
+     * @returns {Promise<Object>} Result with a success flag and the user data
+     * @throws {LockoutError} If the account is locked or the user has to wait after failed logins
+     * @throws {PasswordPolicyError} If the new password breaks the password policy
+     * @throws {Error} If input validation fails or the password couldn't be changed
+     */
+    async changePassword(id, currentPassword, newPassword) {
+        try {
+            if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+                throw new Error("passwords must be of type string");
+            }
+
+            const user = await this._db.getUserById(id);
+
+            if (!user) {
+                return {
+                    success: false,
+                    message: "User not found"
+                };
+            }
+
+            await this._lockoutService.reserveAttempt(id);
+
+            if (!await this.verifyPassword(currentPassword, user._password)) {
+                await this._lockoutService.recordFailure(id);
+                return {
+                    success: false,
+                    message: "invalid password"
+                };
+            }
+
+            await this._lockoutService.reset(id);
+            await this.assertPasswordPolicy(newPassword, user.getUsername());
+
+            user.setPassword(await this.hashPassword(newPassword));
+            await this._db.updateUserPassword(id, user._password);
+
+            return {
+                success: true,
+                message: "Password changed successfully",
+                user: user.getSafeObject()
+            };
+        } catch (error) {
+            if (error instanceof LockoutError || error instanceof PasswordPolicyError) {
+                throw error;
+            }
+            throw new Error(`Error trying to change password of user with ID ${id}: ${error}`);
+        }
+    }
+
+    /**
+     * Sets a new password without checking the current one (e.g. after a password reset)
+     * and forgets the user's failed logins
+     * 
+     * @async
+     * @param {number} id - ID of the user
+     * @param {string} newPassword - plain text new password (this will be hashed)
+     * @returns {Promise<boolean>} weather the user exists
+     * @throws {PasswordPolicyError} If the new password breaks the password policy
+     * @throws {Error} If input validation fails or the password couldn't be set
+     */
+    async setPassword(id, newPassword) {
+        try {
+            if (typeof newPassword !== "string") {
+                throw new Error("password must be of type string");
+            }
+
+            const user = await this._db.getUserById(id);
+
+            if (!user) {
+                return false;
+            }
+
+            await this.assertPasswordPolicy(newPassword, user.getUsername());
+
+            user.setPassword(await this.hashPassword(newPassword));
+            await this._db.updateUserPassword(id, user._password);
+            await this._lockoutService.reset(id);
+
+            return true;
+        } catch (error) {
+            if (error instanceof PasswordPolicyError) {
+                throw error;
+            }
+            throw new Error(`Error trying to set password of user with ID ${id}: ${error}`);
+        }
+    }
+
     /**
      * Gets a user by ID 
      * 
@@ -167,6 +335,49 @@ class UserService {
         }
     }
 
+    /**
+     * Gets a user by email address (case insensitive, verified or not).
+     * If several users have the address the one who verified it is returned
+     * 
+     * @async
+     * @param {string} email - email address of the user you want to get
+     * @returns {Promise<Object|null>} Safe User object without password or null if not found
+     * @throws {Error} If user couldn't be retrieved or email is not of type string
+     */
+    async getUserByEmail(email) {
+        try {
+            if (typeof email !== "string") {
+                throw new Error("email must be of type string");
+            }
+
+            const user = await this._db.getUserByEmail(email);
+            return user ? user.getSafeObject() : null;
+        } catch (error) {
+            throw new Error(`Error getting user by email: ${error}`);
+        }
+    }
+
+    /**
+     * Gets a user by username or verified email address
+     * 
+     * @async
+     * @param {string} login - username or email address
+     * @returns {Promise<Object|null>} Safe User object without password or null if not found
+     * @throws {Error} If user couldn't be retrieved or login is not of type string
+     */
+    async getUserByLogin(login) {
+        try {
+            if (typeof login !== "string") {
+                throw new Error("login must be of type string");
+            }
+
+            const user = await this._findUserByLogin(login);
+            return user ? user.getSafeObject() : null;
+        } catch (error) {
+            throw new Error(`Error getting user by login: ${error}`);
+        }
+    }
+
     /**
      * Deletes a user by ID
      * 
@@ -227,6 +438,32 @@ class UserService {
         }
     }
 
+    /**
+     * Unlocks a user locked out after too many failed logins
+     * and forgets their failed logins
+     * 
+     * @async
+     * @param {number} id - ID of the user to unlock
+     * @returns {Promise<boolean>} weather the user exists
+     * @throws {Error} if unlock fails or id is not of type number
+     */
+    async unlockUser(id) {
+        try {
+            if (typeof id !== "number") {
+                throw new Error("id must be of type number");
+            }
+
+            if (!await this._db.getUserById(id)) {
+                return false;
+            }
+
+            await this._lockoutService.unlock(id);
+            return true;
+        } catch (error) {
+            throw new Error(`Error trying to unlock user with ID ${id}: ${error}`);
+        }
+    }
+
     /**
      * Gets a user's ban status by ID
      * 
@@ -247,12 +484,13 @@ class UserService {
     }
 
     /**
-     * Authenticate a user by username and password.
+     * Authenticate a user by username (or verified email address) and password.
      * 
      * @async
-     * @param {string} username - username to authenticate
+     * @param {string} username - username or email address to authenticate
      * @param {string} password - plain text password to verify
      * @returns {Promise<Object>} Authenticate result with a success flag and user data
+     * @throws {LockoutError} If the account is locked or the user has to wait after failed logins
      * @throws {Error} If input validation fails or authentication errors happens
      */
     async authenticateUser(username, password) {
@@ -261,7 +499,7 @@ class UserService {
                 throw new Error("username and password must be of type string");
             }
 
-            const user = await this._db.getUserByUsername(username);
+            const user = await this._findUserByLogin(username);
 
             if (!user) {
                 return {
@@ -277,25 +515,113 @@ class UserService {
                 };
             }
 
+            // checked before the password so a locked account gives nothing away
+            await this._lockoutService.reserveAttempt(user.getId());
+
             const isPasswordValid = await this.verifyPassword(password, user._password);
 
             if (!isPasswordValid) {
+                await this._lockoutService.recordFailure(user.getId());
                 return {
                     success: false,
                     message: "invalid password"
                 };
             }
 
+            // with two-factor the count is reset once the second factor passes,
+            // otherwise the password alone would clear the failed codes
+            const twoFactor = await this._db.getTwoFactor(user.getId());
+            if (twoFactor?.enabled) {
+                await this._lockoutService.release(user.getId());
+            } else {
+                await this._lockoutService.reset(user.getId());
+            }
+            await this._upgradePasswordHash(user, password);
+
             return {
                 success: true,
                 message: "Authentication successful",
                 user: user.getSafeObject()
             };
         } catch (error) {
+            if (error instanceof LockoutError) {
+                throw error;
+            }
             throw new Error(`Error trying to Authenticate user ${username}: ${error}`);
 
         }
     }
+
+    /**
+     * Hashes the password again if the stored hash is older or weaker than the current settings.
+     * Only possible right after a login because we need the plain text password.
+     * A failed upgrade doesn't fail the login, the old hash still works
+     * 
+     * @async
+     * @private
+     * @param {User} user - User that just logged in
+     * @param {string} password - plain text password the user logged in with
+     */
+    async _upgradePasswordHash(user, password) {
+        try {
+            if (!needsRehash(user._password)) {
+                return;
+            }
+
+            // only replaces the checked hash, a password changed since the login stays
+            const checkedHash = user._password;
+            user.setPassword(await this.hashPassword(password));
+            await this._db.replacePasswordHash(user.getId(), checkedHash, user._password);
+        } catch (error) {
+            console.error(`Error upgrading password hash of user ${user.getId()}:`, error);
+        }
+    }
+
+    /**
+     * Saves a new user.
+     * Turns unique violations (two registrations at the same time) into conflicts
+     * 
+     * @async
+     * @private
+     * @param {User} user - the new user
+     * @param {string} skeleton - confusable skeleton of the username
+     * @returns {Promise<number>} ID of the new user
+     * @throws {ConflictError} If the username or a lookalike of it got taken meanwhile
+     */
+    async _saveNewUser(user, skeleton) {
+        try {
+            return await this._db.saveUser(user, skeleton);
+        } catch (error) {
+            if (error.code !== "23505") {
+                throw error;
+            }
+            if (error.constraint === "users_username_skeleton_idx") {
+                throw new ConflictError("Username is too similar to an existing username");
+            }
+            throw new ConflictError("User already exists");
+        }
+    }
+
+    /**
+     * Finds a user by username or, if there is no such username, by verified email address.
+     * Unverified addresses can't be used so nobody can log in with an address that isn't theirs
+     * 
+     * @async
+     * @private
+     * @param {string} login - username or email address
+     * @returns {Promise<User|null>} The user or null if not found
+     */
+    async _findUserByLogin(login) {
+        login = normalizeUsername(login);
+        const user = await this._db.getUserByUsername(login);
+
+        if (user || !login.includes("@")) {
+            return user;
+        }
+
+        const userByEmail = await this._db.getUserByEmail(login);
+        return userByEmail && userByEmail.getEmailVerified() ? userByEmail : null;
+    }
 }
 
 export { UserService };
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Username service for Haru_chat
+ * handles username changes by users and admins, the username history
+ * and resolving old usernames for the chat server
+ * 
+ * @module services/usernameService
+ */
+
+import { usernameChangeConfig } from "./../config/auth.js";
+import { normalizeUsername, getUsernameSkeleton } from "./../utils/usernamePolicy.js";
+import { ConflictError, NotFoundError, RateLimitError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling username changes
+ */
+class UsernameService {
+    /**
+     * Constructor method for UsernameService.
+     * Creates a new instance of UsernameService
+     * 
+     * @param {Object} db - DB service instance
+     * @param {Object} userService - User service instance, checks the username policy
+     */
+    constructor(db, userService) {
+        this._db = db;
+        this._userService = userService;
+    }
+
+    /**
+     * Changes the username of a user.
+     * Users have to wait usernameChangeConfig.cooldown between changes,
+     * the old username is held for usernameChangeConfig.holdPeriod before somebody else can take it.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} username - New username
+     * @returns {Promise<Object>} The new and old username and when the next change is possible
+     * @throws {UsernamePolicyError} If the username breaks the username policy
+     * @throws {ValidationError} If the username is the current one
+     * @throws {ConflictError} If the username or a lookalike of it is taken or held
+     * @throws {RateLimitError} If the user changed their username too recently
+     * @throws {NotFoundError} If the user is not found
+     */
+    async change(userId, username) {
+        const result = await this._rename(userId, username, userId, false);
+
+        return {
+            ...result,
+            nextChangeAt: new Date(result.changedAt.getTime() + usernameChangeConfig.cooldown)
+        };
+    }
+
+    /**
+     * Renames a user as an admin, e.g. because the username is abusive.
+     * There is no cooldown and the old username is held for good,
+     * the user can't take it back either.
+     * 
+     * @async
+     * @param {number} userId - ID of the user to rename
+     * @param {string} username - New username
+     * @param {number} adminId - ID of the admin
+     * @returns {Promise<Object>} The new and old username
+     * @throws {UsernamePolicyError} If the username breaks the username policy
+     * @throws {ValidationError} If the username is the current one
+     * @throws {ConflictError} If the username or a lookalike of it is taken or held
+     * @throws {NotFoundError} If the user is not found
+     */
+    async forceRename(userId, username, adminId) {
+        return await this._rename(userId, username, adminId, true);
+    }
+
+    /**
+     * Gets the earlier usernames of a user, the newest change first.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Old usernames with when and by whom they were changed
+     * @throws {NotFoundError} If the user is not found
+     */
+    async getHistory(userId) {
+        if (!await this._db.getUserById(userId)) {
+            throw new NotFoundError("User not found");
+        }
+
+        return await this._db.getUsernameHistory(userId);
+    }
+
+    /**
+     * Finds the user with a current or old username.
+     * A current username always wins over an old one,
+     * an old username belongs to whoever had it last.
+     * 
+     * @async
+     * @param {string} username - Current or old username
+     * @returns {Promise<{userId: number, username: string, current: boolean}>} ID and current username of the user
+     * @throws {NotFoundError} If nobody has or had the username
+     */
+    async resolve(username) {
+        const result = await this._db.resolveUsername(normalizeUsername(username));
+
+        if (!result) {
+            throw new NotFoundError("Username not found");
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks the new username and changes it.
+     * 
+     * @async
+     * @private
+     * @param {number} userId - ID of the user
+     * @param {string} username - New username
+     * @param {number} changedBy - ID of the user making the change
+     * @param {boolean} forced - Whether an admin renames the user
+     * @returns {Promise<{username: string, previousUsername: string, changedAt: Date}>} The change
+     */
+    async _rename(userId, username, changedBy, forced) {
+        username = normalizeUsername(username);
+        this._userService.assertUsernamePolicy(username);
+
+        const user = await this._db.getUserById(userId);
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+        if (user.getUsername() === username) {
+            throw new ValidationError("New username is the same as the current one");
+        }
+
+        // the user's own username and old usernames don't count, so changing the case works
+        const skeleton = getUsernameSkeleton(username);
+        await this._userService.assertUsernameAvailable(username, skeleton, userId);
+
+        const now = Date.now();
+        let result;
+        try {
+            result = await this._db.changeUsername(
+                userId,
+                username,
+                skeleton,
+                forced ? null : new Date(now + usernameChangeConfig.holdPeriod),
+                changedBy,
+                forced,
+                forced ? null : new Date(now - usernameChangeConfig.cooldown)
+            );
+        } catch (error) {
+            // unique violation, somebody took the username meanwhile
+            if (error.code === "23505") {
+                throw new ConflictError(error.constraint === "users_username_skeleton_idx"
+                    ? "Username is too similar to an existing username"
+                    : "User already exists");
+            }
+            throw error;
+        }
+
+        if (!result) {
+            throw new NotFoundError("User not found");
+        }
+        if (!result.changed) {
+            const nextChangeAt = result.lastChangedAt.getTime() + usernameChangeConfig.cooldown;
+            throw new RateLimitError(
+                `Username was changed recently, it can be changed again after ${new Date(nextChangeAt).toISOString()}`,
+                Math.ceil((nextChangeAt - now) / 1000)
+            );
+        }
+
+        return {
+            username,
+            previousUsername: result.previousUsername,
+            changedAt: result.changedAt
+        };
+    }
+}
+
+export { UsernameService };
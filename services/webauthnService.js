@@ -0,0 +1,283 @@
+/**
+ * WebAuthn service for Haru_chat
+ * handles passkey registration and authentication ceremonies
+ * and the passkeys (credentials) of each user
+ * 
+ * @module services/webauthnService
+ */
+
+import {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} from "@simplewebauthn/server";
+
+import { generateOpaqueToken, hashToken } from "./../utils/tokenUtils.js";
+import { webauthnConfig } from "./../config/auth.js";
+import { AuthenticationError, ConflictError, NotFoundError, ValidationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Service class for handling passkeys
+ */
+class WebAuthnService {
+    /**
+     * Constructor method for WebAuthnService.
+     * Creates a new instance of WebAuthnService
+     * 
+     * @param {Object} db - DB service instance
+     */
+    constructor(db) {
+        this._db = db;
+    }
+
+    /**
+     * Starts a passkey registration for a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {string} username - Username shown by the authenticator
+     * @returns {Promise<{options: Object, ceremonyToken: string}>} Options for navigator.credentials.create and the token to finish with
+     */
+    async startRegistration(userId, username) {
+        const existing = await this._db.getWebAuthnCredentialsByUserId(userId);
+
+        const options = await generateRegistrationOptions({
+            rpName: webauthnConfig.rpName,
+            rpID: webauthnConfig.rpID,
+            userName: username,
+            userID: new TextEncoder().encode(String(userId)),
+            attestationType: "none",
+            // don't register the same authenticator twice
+            excludeCredentials: existing.map(credential => ({
+                id: credential.credentialId,
+                transports: credential.transports
+            })),
+            authenticatorSelection: {
+                residentKey: "preferred",
+                userVerification: "preferred"
+            }
+        });
+
+        const ceremonyToken = await this._saveCeremony(userId, "registration", options.challenge);
+
+        return { options, ceremonyToken };
+    }
+
+    /**
+     * Finishes a passkey registration and stores the new passkey.
+     * 
+     * @async
+     * @param {number} userId - ID of the user registering
+     * @param {string} ceremonyToken - Token from startRegistration
+     * @param {Object} response - Registration response from the browser
+     * @param {string} [name] - Name of the passkey, e.g. "Laptop"
+     * @returns {Promise<Object>} The new passkey
+     * @throws {ValidationError} If the ceremony is invalid or the response can't be verified
+     * @throws {ConflictError} If the passkey is already registered
+     */
+    async finishRegistration(userId, ceremonyToken, response, name) {
+        const ceremony = await this._db.consumeWebAuthnCeremony(hashToken(ceremonyToken), "registration");
+
+        if (!ceremony || ceremony.userId !== userId) {
+            throw new ValidationError("Invalid or expired registration");
+        }
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: ceremony.challenge,
+                expectedOrigin: webauthnConfig.origin,
+                expectedRPID: webauthnConfig.rpID
+            });
+        } catch (error) {
+            throw new ValidationError(`Passkey registration could not be verified: ${error.message}`);
+        }
+
+        if (!verification.verified) {
+            throw new ValidationError("Passkey registration could not be verified");
+        }
+
+        const { credential, credentialBackedUp } = verification.registrationInfo;
+
+        if (await this._db.getWebAuthnCredentialByCredentialId(credential.id)) {
+            throw new ConflictError("Passkey is already registered");
+        }
+
+        const saved = await this._db.saveWebAuthnCredential(userId, {
+            credentialId: credential.id,
+            publicKey: Buffer.from(credential.publicKey),
+            signCount: credential.counter,
+            transports: credential.transports || [],
+            name: name || "Passkey",
+            backedUp: credentialBackedUp
+        });
+
+        return this._toSafeCredential(saved);
+    }
+
+    /**
+     * Starts a passkey authentication.
+     * Without a user any discoverable passkey can be used (passwordless login),
+     * with a user only that user's passkeys are allowed (e.g. as a second factor).
+     * 
+     * @async
+     * @param {?number} [userId=null] - ID of the user or null
+     * @returns {Promise<{options: Object, ceremonyToken: string}>} Options for navigator.credentials.get and the token to finish with
+     */
+    async startAuthentication(userId = null) {
+        const allowCredentials = userId
+            ? (await this._db.getWebAuthnCredentialsByUserId(userId)).map(credential => ({
+                id: credential.credentialId,
+                transports: credential.transports
+            }))
+            : [];
+
+        const options = await generateAuthenticationOptions({
+            rpID: webauthnConfig.rpID,
+            allowCredentials,
+            userVerification: "preferred"
+        });
+
+        const ceremonyToken = await this._saveCeremony(userId, "authentication", options.challenge);
+
+        return { options, ceremonyToken };
+    }
+
+    /**
+     * Finishes a passkey authentication.
+     * The signature counter is checked to detect cloned authenticators.
+     * 
+     * @async
+     * @param {string} ceremonyToken - Token from startAuthentication
+     * @param {Object} response - Authentication response from the browser
+     * @param {Object} [options] - Verification options
+     * @param {boolean} [options.requireUserVerification=false] - Require a PIN or biometric (when used as the only factor)
+     * @returns {Promise<number>} ID of the user the passkey belongs to
+     * @throws {AuthenticationError} If the ceremony is invalid or the passkey can't be verified
+     */
+    async finishAuthentication(ceremonyToken, response, { requireUserVerification = false } = {}) {
+        const ceremony = await this._db.consumeWebAuthnCeremony(hashToken(ceremonyToken), "authentication");
+
+        if (!ceremony || !response || !response.id) {
+            throw new AuthenticationError("Invalid or expired passkey login");
+        }
+
+        const credential = await this._db.getWebAuthnCredentialByCredentialId(response.id);
+
+        if (!credential || (ceremony.userId && credential.userId !== ceremony.userId)) {
+            throw new AuthenticationError("Unknown passkey");
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: ceremony.challenge,
+                expectedOrigin: webauthnConfig.origin,
+                expectedRPID: webauthnConfig.rpID,
+                credential: {
+                    id: credential.credentialId,
+                    publicKey: new Uint8Array(credential.publicKey),
+                    counter: credential.signCount,
+                    transports: credential.transports
+                },
+                requireUserVerification
+            });
+        } catch (error) {
+            if (error.message.includes("counter")) {
+                console.warn(`Passkey ${credential.id} of user ${credential.userId} sent a lower signature counter, it might be cloned`);
+            }
+            throw new AuthenticationError("Passkey could not be verified");
+        }
+
+        if (!verification.verified) {
+            throw new AuthenticationError("Passkey could not be verified");
+        }
+
+        // a concurrent login with the same counter means the response was replayed or cloned
+        if (!await this._db.updateWebAuthnCredentialCounter(credential.id, verification.authenticationInfo.newCounter)) {
+            console.warn(`Passkey ${credential.id} of user ${credential.userId} reused a signature counter, it might be cloned`);
+            throw new AuthenticationError("Passkey could not be verified");
+        }
+
+        return credential.userId;
+    }
+
+    /**
+     * Checks if a user has any passkeys.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<boolean>} Weather the user has passkeys
+     */
+    async hasCredentials(userId) {
+        const credentials = await this._db.getWebAuthnCredentialsByUserId(userId);
+        return credentials.length > 0;
+    }
+
+    /**
+     * Lists the passkeys of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @returns {Promise<Object[]>} Passkeys without their public keys
+     */
+    async listCredentials(userId) {
+        const credentials = await this._db.getWebAuthnCredentialsByUserId(userId);
+        return credentials.map(credential => this._toSafeCredential(credential));
+    }
+
+    /**
+     * Removes a passkey of a user.
+     * 
+     * @async
+     * @param {number} userId - ID of the user
+     * @param {number} id - ID of the passkey
+     * @throws {NotFoundError} If the user has no passkey with that ID
+     */
+    async removeCredential(userId, id) {
+        if (!await this._db.deleteWebAuthnCredential(userId, id)) {
+            throw new NotFoundError("Passkey not found");
+        }
+    }
+
+    /**
+     * Saves a ceremony and returns the token the client finishes it with.
+     * 
+     * @async
+     * @private
+     * @param {?number} userId - ID of the user or null
+     * @param {string} type - "registration" or "authentication"
+     * @param {string} challenge - The challenge from the options
+     * @returns {Promise<string>} The plain text ceremony token
+     */
+    async _saveCeremony(userId, type, challenge) {
+        const ceremonyToken = generateOpaqueToken();
+        const expiresAt = new Date(Date.now() + webauthnConfig.ceremonyDuration);
+
+        await this._db.saveWebAuthnCeremony(userId, hashToken(ceremonyToken), type, challenge, expiresAt);
+
+        return ceremonyToken;
+    }
+
+    /**
+     * Returns a passkey without its public key.
+     * 
+     * @private
+     * @param {Object} credential - Stored credential
+     * @returns {{id: number, name: string, backedUp: boolean, createdAt: Date, lastUsedAt: Date|null}}
+     */
+    _toSafeCredential(credential) {
+        return {
+            id: credential.id,
+            name: credential.name,
+            backedUp: credential.backedUp,
+            createdAt: credential.createdAt,
+            lastUsedAt: credential.lastUsedAt
+        };
+    }
+}
+
+export { WebAuthnService };
@@ -0,0 +1,62 @@
+/**
+ * Session cookie utilities for Haru_chat
+ * provides functions for setting and clearing the signed session cookie
+ * so every login flow uses the same cookie options
+ * 
+ * @module utils/cookieUtils
+ */
+
+import { sessionConfig } from "../config/auth.js";
+
+/**
+ * Cookie options for the session cookie
+ * @type {Object}
+ */
+const sessionCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: sessionConfig.sameSite,
+    signed: true,
+    path: "/"
+};
+
+/**
+ * Sets the session cookie.
+ * 
+ * @param {Object} res - Express response object
+ * @param {string} sessionToken - Plain text session token
+ */
+const setSessionCookie = (res, sessionToken) => {
+    res.cookie(sessionConfig.cookieName, sessionToken, {
+        ...sessionCookieOptions,
+        maxAge: sessionConfig.duration
+    });
+};
+
+/**
+ * Clears the session cookie.
+ * 
+ * @param {Object} res - Express response object
+ */
+const clearSessionCookie = (res) => {
+    res.clearCookie(sessionConfig.cookieName, sessionCookieOptions);
+};
+
+/**
+ * Sends a login result.
+ * Session logins get the session token as a signed cookie instead of in the body.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result from one of the AuthService login methods
+ */
+const sendLoginResult = (res, result) => {
+    const { sessionToken, ...body } = result;
+
+    if (sessionToken) {
+        setSessionCookie(res, sessionToken);
+    }
+
+    res.status(200).json(body);
+};
+
+export { setSessionCookie, clearSessionCookie, sendLoginResult };
@@ -0,0 +1,173 @@
+/**
+ * Device utilities for Haru_chat
+ * describe the device a login comes from so users can recognize their sessions
+ * and new devices and networks can be spotted
+ * 
+ * @module utils/deviceUtils
+ */
+
+import crypto from "crypto";
+import net from "net";
+
+/**
+ * Longest user agent stored, longer ones are cut off
+ * @type {number}
+ */
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Longest device name a client can set
+ * @type {number}
+ */
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+/**
+ * Longest device ID a client can send, longer ones are cut off
+ * @type {number}
+ */
+const MAX_DEVICE_ID_LENGTH = 128;
+
+/**
+ * Browsers recognized in user agents, the first match wins
+ * (Edge and Opera also claim to be Chrome, Chrome also claims to be Safari)
+ * @type {Array<[string, RegExp]>}
+ */
+const BROWSERS = [
+    ["Edge", /Edg(?:e|A|iOS)?\//],
+    ["Opera", /OPR\//],
+    ["Firefox", /Firefox\/|FxiOS\//],
+    ["Chrome", /Chrome\/|CriOS\//],
+    ["Safari", /Version\/[\d.]+.*Safari\//]
+];
+
+/**
+ * Operating systems recognized in user agents, the first match wins
+ * (Android also claims to be Linux, iOS also claims to be Mac OS X)
+ * @type {Array<[string, RegExp]>}
+ */
+const OPERATING_SYSTEMS = [
+    ["Windows", /Windows/],
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["macOS", /Macintosh|Mac OS X/],
+    ["Linux", /Linux|X11/]
+];
+
+/**
+ * Makes a readable device name from a user agent, e.g. "Firefox on Windows".
+ * Other clients are named after their first product token, e.g. "curl".
+ * 
+ * @param {?string} userAgent - User agent of the client
+ * @returns {string} Device name
+ */
+const describeUserAgent = (userAgent) => {
+    if (!userAgent) {
+        return "Unknown device";
+    }
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && os) {
+        return `${browser[0]} on ${os[0]}`;
+    }
+    if (browser || os) {
+        return (browser || os)[0];
+    }
+    return userAgent.split(/[\/\s]/)[0] || "Unknown device";
+};
+
+/**
+ * Gets the device a request comes from.
+ * Clients can name themselves with deviceName in the body (e.g. "Haru_Chat Desktop"),
+ * otherwise the name is made from the user agent.
+ * Clients can also send a random ID they keep (deviceId in the body or the X-Device-Id header)
+ * so they are recognized as the same device later. Without one the fingerprint is made
+ * from the browser and OS in the user agent, which is shared by many devices.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {{name: string, userAgent: ?string, ip: ?string, fingerprint: string, identified: boolean}} The device
+ */
+const getDeviceInfo = (req) => {
+    const userAgent = (req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH) || null;
+    const deviceName = typeof req.body?.deviceName === "string"
+        ? req.body.deviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH)
+        : "";
+    const deviceId = (typeof req.body?.deviceId === "string" ? req.body.deviceId : req.get("x-device-id") || "")
+        .trim()
+        .slice(0, MAX_DEVICE_ID_LENGTH);
+
+    return {
+        name: deviceName || describeUserAgent(userAgent),
+        userAgent,
+        ip: req.ip || null,
+        fingerprint: crypto.createHash("sha256")
+            .update(deviceId ? `id:${deviceId}` : `ua:${describeUserAgent(userAgent)}`)
+            .digest("hex"),
+        identified: Boolean(deviceId)
+    };
+};
+
+/**
+ * Splits an IPv6 address into its eight 16 bit groups.
+ * 
+ * @param {string} address - Valid IPv6 address
+ * @returns {number[]} The groups
+ */
+const expandIPv6 = (address) => {
+    const toGroups = (part) => part
+        ? part.split(":").flatMap(group => {
+            // an IPv4 address at the end (e.g. ::ffff:192.0.2.1) is two groups
+            if (group.includes(".")) {
+                const [a, b, c, d] = group.split(".").map(Number);
+                return [a * 256 + b, c * 256 + d];
+            }
+            return [parseInt(group, 16)];
+        })
+        : [];
+
+    const [head, tail] = address.split("%")[0].split("::");
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+
+    return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+};
+
+/**
+ * Gets the network an IP address belongs to, e.g. "203.0.113.0/24" or "2001:db8:1:0:0:0:0:0/48".
+ * IPv4 addresses written as IPv6 (::ffff:203.0.113.7) are treated as IPv4.
+ * 
+ * @param {?string} ip - IP address
+ * @param {number} [ipv4Prefix=24] - Prefix length of IPv4 networks
+ * @param {number} [ipv6Prefix=48] - Prefix length of IPv6 networks
+ * @returns {?string} The network in CIDR notation, null if the address isn't valid
+ */
+const getIpRange = (ip, ipv4Prefix = 24, ipv6Prefix = 48) => {
+    if (!ip) {
+        return null;
+    }
+
+    const address = ip.toLowerCase().startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+
+    if (net.isIPv4(address)) {
+        const value = address.split(".").reduce((result, octet) => result * 256 + Number(octet), 0);
+        const size = 2 ** (32 - ipv4Prefix);
+        const network = Math.floor(value / size) * size;
+        const octets = [3, 2, 1, 0].map(index => Math.floor(network / 256 ** index) % 256);
+
+        return `${octets.join(".")}/${ipv4Prefix}`;
+    }
+
+    if (net.isIPv6(address)) {
+        const groups = expandIPv6(address).map((group, index) => {
+            const bits = Math.min(Math.max(ipv6Prefix - index * 16, 0), 16);
+            return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+        });
+
+        return `${groups.map(group => group.toString(16)).join(":")}/${ipv6Prefix}`;
+    }
+
+    return null;
+};
+
+export { describeUserAgent, getDeviceInfo, getIpRange };
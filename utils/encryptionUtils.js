@@ -0,0 +1,56 @@
+/**
+ * Encryption utilities for secrets stored in the database
+ * that have to be read back in plain text, e.g. TOTP secrets.
+ * Uses AES-256-GCM with a key derived from the given key material.
+ * 
+ * @module utils/encryptionUtils
+ */
+
+import crypto from "crypto";
+
+/**
+ * Derives a 256 bit key from the key material.
+ * 
+ * @param {string} keyMaterial - Secret from the config
+ * @returns {Buffer} 256 bit key
+ * @throws {Error} If no key material is configured
+ */
+const deriveKey = (keyMaterial) => {
+    if (!keyMaterial) {
+        throw new Error("Encryption key is not configured");
+    }
+    return crypto.createHash("sha256").update(keyMaterial).digest();
+};
+
+/**
+ * Encrypts a string.
+ * 
+ * @param {string} plaintext - String to encrypt
+ * @param {string} keyMaterial - Secret to derive the key from
+ * @returns {string} iv, auth tag and ciphertext as base64 separated by ":"
+ */
+const encrypt = (plaintext, keyMaterial) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(keyMaterial), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString("base64")).join(":");
+};
+
+/**
+ * Decrypts a string encrypted with encrypt.
+ * 
+ * @param {string} encrypted - Output of encrypt
+ * @param {string} keyMaterial - Secret to derive the key from
+ * @returns {string} The plaintext
+ * @throws {Error} If the data was tampered with or the key is wrong
+ */
+const decrypt = (encrypted, keyMaterial) => {
+    const [iv, authTag, ciphertext] = encrypted.split(":").map(part => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(keyMaterial), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+export { encrypt, decrypt };
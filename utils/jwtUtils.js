@@ -1,61 +1,206 @@
 /**
  * JSON Web Token (JWT) utilities for authentication
  * provides functions for generating, verifying and extracting JWT's
+ * Tokens (access tokens and OpenID Connect id tokens) are signed with HS256 and the shared JWT_SECRET
+ * or with RS256/EdDSA key pairs from the key store depending on JWT_ALGORITHM
  * 
  * @module utils/jwtUtils
  */
 
-import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
+import crypto from "crypto";
+import { SignJWT, jwtVerify, errors } from "jose";
 
-dotenv.config();
+import { jwtConfig, oauthConfig } from "../config/auth.js";
+import { getSigningKey, getVerificationKey } from "./keyStore.js";
+import { AuthenticationError } from "../middleware/errorMiddleware.js";
+
+/**
+ * Shared secret for HS256 as bytes
+ * @type {Uint8Array}
+ */
+const secretKey = new TextEncoder().encode(jwtConfig.secret);
+
+/**
+ * Algorithms accepted when verifying.
+ * Both asymmetric algorithms are accepted so switching between them
+ * doesn't invalidate tokens signed with retired keys
+ * @type {string[]}
+ */
+const allowedAlgorithms = jwtConfig.algorithm === "HS256" ? ["HS256"] : ["RS256", "EdDSA"];
+
+/**
+ * Signs a JWT with the shared secret or the current signing key.
+ * 
+ * @async
+ * @param {SignJWT} token - Token to sign
+ * @returns {Promise<string>} Signed JWT
+ */
+const sign = async (token) => {
+    if (jwtConfig.algorithm === "HS256") {
+        return await token.setProtectedHeader({ alg: "HS256" }).sign(secretKey);
+    }
+
+    const { kid, alg, privateKey } = getSigningKey();
+    return await token.setProtectedHeader({ alg, kid }).sign(privateKey);
+};
 
 /**
  * Generates a JWT with the provided payload.
+ * Every token gets a unique ID (jti) so it can be revoked on its own.
  * 
+ * @async
  * @param {Object} payload - Data to be encoded in the JWT
  * @param {number} payload.userId - User ID
  * @param {string} payload.username - Username
  * @param {string[]} payload.roles - User roles
- * @returns {string} Signed JWT
- */
-const generateToken = (payload) => {
-    return jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        {
-            expiresIn: process.env.JWT_EXPIRES_IN
+ * @returns {Promise<string>} Signed JWT
+ */
+const generateToken = async (payload) => {
+    const token = new SignJWT(payload)
+        .setIssuedAt()
+        .setExpirationTime(jwtConfig.expiresIn)
+        .setJti(crypto.randomUUID());
+
+    return await sign(token);
+};
+
+/**
+ * Generates an OpenID Connect id token.
+ * Id tokens tell a client who logged in, they are not access tokens
+ * and are rejected by verifyToken.
+ * 
+ * @async
+ * @param {Object} claims - Claims about the user, sub is required
+ * @param {string} audience - Client ID of the client the token is for
+ * @returns {Promise<string>} Signed id token
+ * @throws {Error} If JWT_ALGORITHM is HS256
+ */
+const generateIdToken = async (claims, audience) => {
+    if (!oauthConfig.oidcEnabled) {
+        throw new Error("Id tokens need JWT_ALGORITHM RS256 or EdDSA");
+    }
+
+    const token = new SignJWT(claims)
+        .setIssuer(oauthConfig.issuer)
+        .setAudience(audience)
+        .setIssuedAt()
+        .setExpirationTime(jwtConfig.expiresIn);
+
+    return await sign(token);
+};
+
+/**
+ * Looks up the key to verify a token with from its header.
+ * 
+ * @param {Object} header - Protected header of the token
+ * @returns {Uint8Array|crypto.KeyObject} Key to verify with
+ * @throws {AuthenticationError} If the token uses an unexpected algorithm or unknown key
+ */
+const resolveVerificationKey = (header) => {
+    if (jwtConfig.algorithm === "HS256") {
+        if (header.alg !== "HS256") {
+            throw new AuthenticationError("Invalid or expired token");
         }
-    );
+        return secretKey;
+    }
+
+    const key = header.kid ? getVerificationKey(header.kid) : null;
+    if (!key || key.alg !== header.alg) {
+        throw new AuthenticationError("Invalid or expired token");
+    }
+    return key.publicKey;
+};
+
+/**
+ * Generates a service token for a service client (client credentials grant).
+ * Service tokens identify a client, not a user.
+ * 
+ * @async
+ * @param {string} clientId - Client ID of the service
+ * @returns {Promise<string>} Signed JWT
+ */
+const generateServiceToken = async (clientId) => {
+    return await generateToken({
+        sub: clientId,
+        client_id: clientId,
+        token_use: "service"
+    });
 };
 
 /**
  * Verifies a JWT's signature and expiration.
+ * Only user access tokens are accepted,
+ * id tokens and service tokens are signed with the same keys but rejected here.
  * 
+ * @async
  * @param {string} token - JWT to verify
- * @returns {Object} Decoded token payload
- * @throws {Error} If token is invalid or expired
+ * @returns {Promise<Object>} Decoded token payload
+ * @throws {AuthenticationError} If token is invalid or expired
  */
-const verifyToken = (token) => {
+const verifyToken = async (token) => {
+    const payload = await verifyJwt(token);
+
+    if (payload.userId === undefined) {
+        throw new AuthenticationError("Invalid or expired token");
+    }
+    return payload;
+};
+
+/**
+ * Verifies a service token's signature and expiration.
+ * 
+ * @async
+ * @param {string} token - JWT to verify
+ * @returns {Promise<Object>} Decoded token payload
+ * @throws {AuthenticationError} If the token is invalid, expired or not a service token
+ */
+const verifyServiceToken = async (token) => {
+    const payload = await verifyJwt(token);
+
+    if (payload.token_use !== "service" || !payload.client_id) {
+        throw new AuthenticationError("Invalid or expired token");
+    }
+    return payload;
+};
+
+/**
+ * Verifies the signature and expiration of any JWT signed by us.
+ * 
+ * @async
+ * @param {string} token - JWT to verify
+ * @returns {Promise<Object>} Decoded token payload
+ * @throws {AuthenticationError} If token is invalid or expired
+ */
+const verifyJwt = async (token) => {
     try {
-        return jwt.verify(token, process.env.JWT_SECRET);
+        const { payload } = await jwtVerify(token, resolveVerificationKey, {
+            algorithms: allowedAlgorithms
+        });
+        return payload;
     } catch (error) {
-        console.error("Error verifying token", error);
+        if (error instanceof errors.JOSEError || error instanceof AuthenticationError) {
+            console.error("Error verifying token", error.message);
+            throw new AuthenticationError("Invalid or expired token");
+        }
         throw error;
     }
 };
 
 /**
- * Extracts JWT from the Authorization header.
+ * Extracts the token from the Authorization header
+ * or a personal access token from the X-API-Key header.
  * 
  * @param {Object} req - Express request object
- * @returns {string|null} the extracted JWT if not found null is returned
+ * @returns {string|null} the extracted token if not found null is returned
  */
 const extractToken = (req) => {
     if (req.headers.authorization && req.headers.authorization.startsWith("Bearer ")) {
         return req.headers.authorization.split(" ")[1];
     }
+    if (req.headers["x-api-key"]) {
+        return req.headers["x-api-key"];
+    }
     return null;
 };
 
-export { generateToken, verifyToken, extractToken };
\ No newline at end of file
+export { generateToken, generateIdToken, generateServiceToken, verifyToken, verifyServiceToken, extractToken };
@@ -0,0 +1,452 @@
+/**
+ * Signing key store for asymmetric JWTs (RS256 and EdDSA)
+ * Keeps the key pairs in a JSON file in the keys directory,
+ * handles key rotation and publishes the public keys as a JWKS.
+ * Retired keys stay published until every token signed with them has expired.
+ * 
+ * @module utils/keyStore
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import { setTimeout as sleep } from "timers/promises";
+import { exportJWK } from "jose";
+
+import { jwtConfig } from "../config/auth.js";
+
+/**
+ * How often the key file is checked for changes made by other instances (ms)
+ * @type {number}
+ */
+const RELOAD_INTERVAL = 30 * 1000;
+
+/**
+ * How often the signing key is checked for rotation in the background (ms)
+ * @type {number}
+ */
+const ROTATION_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * How long an instance waits for the key file lock before giving up (ms)
+ * @type {number}
+ */
+const LOCK_TIMEOUT = 10 * 1000;
+
+/**
+ * Age after which a lock is treated as left behind by a crashed instance (ms),
+ * below LOCK_TIMEOUT so waiting instances get to take it over
+ * @type {number}
+ */
+const STALE_LOCK_AGE = 5 * 1000;
+
+/**
+ * Timer checking the signing key for rotation
+ * @type {?NodeJS.Timeout}
+ */
+let rotationTimer = null;
+
+/**
+ * Loaded keys, newest first
+ * @type {Object[]}
+ */
+let keys = [];
+
+/**
+ * Modification time of the key file when it was last loaded
+ * @type {number}
+ */
+let loadedMtime = 0;
+
+/**
+ * When the key file was last checked for changes
+ * @type {number}
+ */
+let lastChecked = 0;
+
+/**
+ * Path to the key file
+ * 
+ * @returns {string} path of keys.json in the keys directory
+ */
+const keyFilePath = () => path.join(jwtConfig.keysDir, "keys.json");
+
+/**
+ * Path to the lock file, only the instance holding it may rotate the keys
+ * 
+ * @returns {string} path of keys.json.lock in the keys directory
+ */
+const lockFilePath = () => `${keyFilePath()}.lock`;
+
+/**
+ * Converts a duration like "15m", "24h", "7d" or a number of seconds to milliseconds.
+ * 
+ * @param {string|number} duration - Duration to convert
+ * @returns {number} Duration in milliseconds (24 hours if it can't be parsed)
+ */
+const durationToMs = (duration) => {
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    const match = /^(\d+)\s*(s|m|h|d)?$/.exec(String(duration).trim());
+
+    if (!match) {
+        console.warn(`Could not parse token lifetime "${duration}", keeping retired keys for 24h`);
+        return units.d;
+    }
+
+    return parseInt(match[1], 10) * units[match[2] || "s"];
+};
+
+/**
+ * Generates a new key pair for the given algorithm, off the event loop.
+ * 
+ * @async
+ * @param {string} algorithm - "RS256" or "EdDSA"
+ * @returns {Promise<{privateKey: string, publicKey: string}>} PEM encoded key pair
+ * @throws {Error} If the algorithm is not supported
+ */
+const generateKeyPair = async (algorithm) => {
+    const encoding = {
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem" }
+    };
+
+    if (algorithm === "RS256") {
+        return await promisify(crypto.generateKeyPair)("rsa", { modulusLength: 2048, ...encoding });
+    }
+    if (algorithm === "EdDSA") {
+        return await promisify(crypto.generateKeyPair)("ed25519", encoding);
+    }
+
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+};
+
+/**
+ * Loads the keys from the key file if it changed since the last load.
+ * 
+ * @param {boolean} [force=false] - Check the file even if it was checked recently
+ */
+const reloadKeys = (force = false) => {
+    if (!force && Date.now() - lastChecked < RELOAD_INTERVAL) {
+        return;
+    }
+    lastChecked = Date.now();
+
+    if (!fs.existsSync(keyFilePath()) || fs.statSync(keyFilePath()).mtimeMs !== loadedMtime) {
+        loadKeys();
+    }
+};
+
+/**
+ * Loads the keys from the key file, whether or not it changed.
+ */
+const loadKeys = () => {
+    if (!fs.existsSync(keyFilePath())) {
+        keys = [];
+        loadedMtime = 0;
+        return;
+    }
+
+    const mtime = fs.statSync(keyFilePath()).mtimeMs;
+    const stored = JSON.parse(fs.readFileSync(keyFilePath(), "utf8"));
+    keys = stored.map(key => ({
+        ...key,
+        privateKeyObject: crypto.createPrivateKey(key.privateKey),
+        publicKeyObject: crypto.createPublicKey(key.publicKey)
+    }));
+    loadedMtime = mtime;
+};
+
+/**
+ * Writes the keys to the key file.
+ * Writes to a temporary file first so other instances never read a half written file.
+ */
+const saveKeys = () => {
+    fs.mkdirSync(jwtConfig.keysDir, { recursive: true });
+
+    const stored = keys.map(({ kid, alg, privateKey, publicKey, createdAt, retiredAt, publishUntil }) => ({
+        kid, alg, privateKey, publicKey, createdAt, retiredAt, publishUntil
+    }));
+
+    const tempPath = `${keyFilePath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, keyFilePath());
+
+    loadedMtime = fs.statSync(keyFilePath()).mtimeMs;
+};
+
+/**
+ * Runs a function while holding the key file lock,
+ * so instances rotating at the same time don't overwrite each other's keys.
+ * The lock is a file created exclusively with a random token in it,
+ * locks older than STALE_LOCK_AGE are taken over.
+ * 
+ * @async
+ * @param {Function} fn - Function to run, may be async
+ * @returns {Promise<*>} What the function returns
+ * @throws {Error} If the lock can't be taken within LOCK_TIMEOUT
+ */
+const withKeyLock = async (fn) => {
+    await fs.promises.mkdir(jwtConfig.keysDir, { recursive: true });
+
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_TIMEOUT;
+
+    while (true) {
+        try {
+            await fs.promises.writeFile(lockFilePath(), token, { flag: "wx", mode: 0o600 });
+            break;
+        } catch (error) {
+            if (error.code !== "EEXIST") {
+                throw error;
+            }
+        }
+
+        if (await removeStaleLock()) {
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for the key file lock ${lockFilePath()}`);
+        }
+        await sleep(50);
+    }
+
+    try {
+        return await fn();
+    } finally {
+        // only remove the lock if it's still ours and wasn't taken over meanwhile
+        const holder = await fs.promises.readFile(lockFilePath(), "utf8").catch(() => null);
+        if (holder === token) {
+            await fs.promises.unlink(lockFilePath());
+        }
+    }
+};
+
+/**
+ * Takes over the lock if it's older than STALE_LOCK_AGE.
+ * The lock is renamed first, which only one instance can do, so a fresh lock
+ * another instance took meanwhile is put back instead of removed.
+ * 
+ * @async
+ * @returns {Promise<boolean>} Whether the lock is gone and can be tried again
+ */
+const removeStaleLock = async () => {
+    const stat = await fs.promises.stat(lockFilePath()).catch(() => null);
+
+    if (!stat) {
+        // released meanwhile
+        return true;
+    }
+    if (Date.now() - stat.mtimeMs <= STALE_LOCK_AGE) {
+        return false;
+    }
+
+    const stalePath = `${lockFilePath()}.${crypto.randomUUID()}.stale`;
+    try {
+        await fs.promises.rename(lockFilePath(), stalePath);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return true;
+        }
+        throw error;
+    }
+
+    const taken = await fs.promises.stat(stalePath);
+    if (Date.now() - taken.mtimeMs <= STALE_LOCK_AGE) {
+        // another instance replaced the stale lock between the stat and the rename
+        await fs.promises.link(stalePath, lockFilePath()).catch(() => {});
+    }
+    await fs.promises.unlink(stalePath);
+
+    return true;
+};
+
+/**
+ * Checks if the active key has to be replaced:
+ * there is none, the algorithm changed or it's due for rotation.
+ * 
+ * @returns {boolean} Whether a new signing key is needed
+ */
+const needsRotation = () => {
+    const active = keys.find(key => !key.retiredAt);
+    const maxAge = jwtConfig.keyRotationDays * 24 * 60 * 60 * 1000;
+
+    return !active
+        || active.alg !== jwtConfig.algorithm
+        || (maxAge > 0 && Date.now() - new Date(active.createdAt).getTime() > maxAge);
+};
+
+/**
+ * Checks if a key is still published (active or retired but possibly still in use)
+ * 
+ * @param {Object} key - Stored key
+ * @returns {boolean} Weather the key is still published
+ */
+const isPublished = (key) => !key.publishUntil || new Date(key.publishUntil).getTime() > Date.now();
+
+/**
+ * Rotates the signing key.
+ * Creates a new active key, retires the current one
+ * and removes retired keys that no token can be signed with anymore.
+ * 
+ * @async
+ * @returns {Promise<string>} kid of the new signing key
+ */
+const rotateKeys = async () => {
+    return await withKeyLock(async () => {
+        loadKeys();
+        return await createKey();
+    });
+};
+
+/**
+ * Creates a signing key if there is none, the algorithm changed or the key is due for rotation.
+ * Only one instance rotates, the others wait for the lock and use the key it created.
+ * 
+ * @async
+ */
+const ensureSigningKey = async () => {
+    reloadKeys(true);
+
+    if (!needsRotation()) {
+        return;
+    }
+
+    await withKeyLock(async () => {
+        // another instance might have rotated while we waited for the lock
+        loadKeys();
+        if (needsRotation()) {
+            await createKey();
+        }
+    });
+};
+
+/**
+ * Prepares the key store at startup, before the first token is signed:
+ * creates or rotates the signing key and then checks it for rotation
+ * every ROTATION_CHECK_INTERVAL, so requests never have to generate keys.
+ * Does nothing with HS256.
+ * 
+ * @async
+ */
+const initKeyStore = async () => {
+    if (jwtConfig.algorithm === "HS256" || rotationTimer) {
+        return;
+    }
+
+    await ensureSigningKey();
+
+    rotationTimer = setInterval(() => {
+        ensureSigningKey().catch(error => {
+            console.error("Error rotating the signing key:", error);
+        });
+    }, ROTATION_CHECK_INTERVAL);
+    // don't keep the process alive just for the rotation
+    rotationTimer.unref();
+};
+
+/**
+ * Creates a new active key and retires the current one, the key file lock must be held.
+ * 
+ * @async
+ * @returns {Promise<string>} kid of the new signing key
+ */
+const createKey = async () => {
+    const now = new Date();
+    const publishUntil = new Date(now.getTime() + durationToMs(jwtConfig.expiresIn));
+
+    keys.forEach(key => {
+        if (!key.retiredAt) {
+            key.retiredAt = now.toISOString();
+            key.publishUntil = publishUntil.toISOString();
+        }
+    });
+    keys = keys.filter(isPublished);
+
+    const { privateKey, publicKey } = await generateKeyPair(jwtConfig.algorithm);
+    const newKey = {
+        kid: crypto.randomUUID(),
+        alg: jwtConfig.algorithm,
+        privateKey,
+        publicKey,
+        createdAt: now.toISOString(),
+        retiredAt: null,
+        publishUntil: null,
+        privateKeyObject: crypto.createPrivateKey(privateKey),
+        publicKeyObject: crypto.createPublicKey(publicKey)
+    };
+    keys.unshift(newKey);
+
+    saveKeys();
+    console.log(`New ${newKey.alg} signing key created with kid ${newKey.kid}`);
+
+    return newKey.kid;
+};
+
+/**
+ * Gets the current signing key.
+ * Keys are created and rotated by initKeyStore and its background check, never here,
+ * a key due for rotation is used until the check replaced it.
+ * 
+ * @returns {{kid: string, alg: string, privateKey: crypto.KeyObject}} The active signing key
+ * @throws {Error} If there is no key for the configured algorithm (initKeyStore wasn't run)
+ */
+const getSigningKey = () => {
+    reloadKeys();
+
+    const active = keys.find(key => !key.retiredAt);
+    if (!active || active.alg !== jwtConfig.algorithm) {
+        throw new Error(`No ${jwtConfig.algorithm} signing key, initKeyStore has to run at startup`);
+    }
+
+    return { kid: active.kid, alg: active.alg, privateKey: active.privateKeyObject };
+};
+
+/**
+ * Gets the public key a token was signed with.
+ * 
+ * @param {string} kid - Key ID from the token header
+ * @returns {?{alg: string, publicKey: crypto.KeyObject}} The public key or null if unknown or no longer published
+ */
+const getVerificationKey = (kid) => {
+    reloadKeys();
+
+    let key = keys.find(key => key.kid === kid);
+    if (!key) {
+        // another instance might have rotated the key
+        reloadKeys(true);
+        key = keys.find(key => key.kid === kid);
+    }
+
+    if (!key || !isPublished(key)) {
+        return null;
+    }
+
+    return { alg: key.alg, publicKey: key.publicKeyObject };
+};
+
+/**
+ * Gets every published public key as a JSON Web Key Set.
+ * 
+ * @async
+ * @returns {Promise<{keys: Object[]}>} JWKS
+ */
+const getJwks = async () => {
+    if (jwtConfig.algorithm === "HS256") {
+        // the shared secret must never be published
+        return { keys: [] };
+    }
+
+    reloadKeys();
+
+    const published = await Promise.all(keys.filter(isPublished).map(async key => ({
+        ...(await exportJWK(key.publicKeyObject)),
+        kid: key.kid,
+        alg: key.alg,
+        use: "sig"
+    })));
+
+    return { keys: published };
+};
+
+export { initKeyStore, getSigningKey, getVerificationKey, getJwks, rotateKeys };
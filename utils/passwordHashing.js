@@ -0,0 +1,116 @@
+/**
+ * Password hashing for Haru_chat
+ * hashes passwords with the configured algorithm and verifies hashes of every supported algorithm.
+ * Every hash starts with a prefix naming its algorithm ($2b$ for bcrypt, $argon2id$ for Argon2id)
+ * so old hashes keep working when the algorithm or its cost changes and can be upgraded on the next login
+ * 
+ * @module utils/passwordHashing
+ */
+
+import argon2 from "argon2";
+import bcrypt from "bcrypt";
+
+import { passwordConfig } from "../config/auth.js";
+
+/**
+ * Current Argon2 version (1.3), hashes with an older one get upgraded
+ * @type {number}
+ */
+const ARGON2_VERSION = 0x13;
+
+/**
+ * A password hashing algorithm
+ * @typedef {Object} Hasher
+ * @property {string[]} prefixes - Prefixes of the hashes made by this algorithm
+ * @property {function(string): Promise<string>} hash - Hashes a password with the current settings
+ * @property {function(string, string): Promise<boolean>} verify - Checks a password against a hash
+ * @property {function(string): boolean} isWeaker - Weather a hash was made with weaker settings than the current ones
+ */
+
+/**
+ * Supported algorithms by name, to support another one add it here
+ * @type {Object<string, Hasher>}
+ */
+const hashers = {
+    bcrypt: {
+        prefixes: ["$2a$", "$2b$", "$2y$"],
+        hash: (password) => bcrypt.hash(password, parseInt(passwordConfig.saltRounds, 10)),
+        verify: (password, hash) => bcrypt.compare(password, hash),
+        isWeaker: (hash) => bcrypt.getRounds(hash) < parseInt(passwordConfig.saltRounds, 10)
+    },
+    argon2id: {
+        prefixes: ["$argon2id$"],
+        hash: (password) => argon2.hash(password, { type: argon2.argon2id, ...passwordConfig.argon2 }),
+        verify: (password, hash) => argon2.verify(hash, password),
+        isWeaker: (hash) => {
+            // $argon2id$v=19$m=19456,t=2,p=1$salt$hash
+            const [, , version, params] = hash.split("$");
+            const values = Object.fromEntries(params.split(",").map(param => param.split("=")));
+
+            return parseInt(version.slice(2), 10) < ARGON2_VERSION
+                || parseInt(values.m, 10) < passwordConfig.argon2.memoryCost
+                || parseInt(values.t, 10) < passwordConfig.argon2.timeCost
+                || parseInt(values.p, 10) < passwordConfig.argon2.parallelism;
+        }
+    }
+};
+
+/**
+ * Gets the name of the algorithm a hash was made with.
+ * 
+ * @param {string} hash - Stored password hash
+ * @returns {string} Name of the algorithm
+ * @throws {Error} If the hash doesn't belong to a supported algorithm
+ */
+const detectAlgorithm = (hash) => {
+    const name = Object.keys(hashers).find(key => hashers[key].prefixes.some(prefix => hash.startsWith(prefix)));
+
+    if (!name) {
+        throw new Error("Unknown password hash algorithm");
+    }
+    return name;
+};
+
+/**
+ * Hashes a password with the configured algorithm.
+ * 
+ * @async
+ * @param {string} password - Password in plain text
+ * @returns {Promise<string>} Hash with its algorithm prefix
+ * @throws {Error} If the configured algorithm isn't supported
+ */
+const hashPassword = async (password) => {
+    const hasher = hashers[passwordConfig.algorithm];
+
+    if (!hasher) {
+        throw new Error(`Unknown password hash algorithm: ${passwordConfig.algorithm}`);
+    }
+    return await hasher.hash(password);
+};
+
+/**
+ * Checks a password against a hash made with any supported algorithm.
+ * 
+ * @async
+ * @param {string} password - Password in plain text
+ * @param {string} hash - Stored password hash
+ * @returns {Promise<boolean>} Weather the password matches
+ * @throws {Error} If the hash doesn't belong to a supported algorithm
+ */
+const verifyPassword = async (password, hash) => {
+    return await hashers[detectAlgorithm(hash)].verify(password, hash);
+};
+
+/**
+ * Checks if a hash should be replaced, because it was made with another algorithm
+ * than the configured one or with weaker settings (e.g. fewer bcrypt rounds).
+ * 
+ * @param {string} hash - Stored password hash
+ * @returns {boolean} Weather the password should be hashed again
+ */
+const needsRehash = (hash) => {
+    const algorithm = detectAlgorithm(hash);
+    return algorithm !== passwordConfig.algorithm || hashers[algorithm].isWeaker(hash);
+};
+
+export { hashPassword, verifyPassword, needsRehash };
@@ -0,0 +1,128 @@
+/**
+ * Password policy for Haru_chat
+ * checks new passwords against the length limits, a blocklist of common passwords,
+ * the username and optionally a local corpus of breached password hashes
+ * 
+ * @module utils/passwordPolicy
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+import { passwordPolicyConfig } from "../config/auth.js";
+
+/**
+ * Common passwords from the blocklist file (lower case), loaded on first use
+ * @type {?Promise<Set<string>>}
+ */
+let blocklist = null;
+
+/**
+ * Loads the blocklist file once.
+ * A missing file only disables the blocklist rule, it doesn't stop anyone from registering
+ * 
+ * @async
+ * @returns {Promise<Set<string>>} Common passwords in lower case
+ */
+const loadBlocklist = () => {
+    if (!blocklist) {
+        blocklist = fs.readFile(passwordPolicyConfig.blocklistFile, "utf8")
+            .then(content => new Set(content
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith("#"))))
+            .catch(error => {
+                console.warn(`Could not load password blocklist ${passwordPolicyConfig.blocklistFile}: ${error.message}`);
+                return new Set();
+            });
+    }
+    return blocklist;
+};
+
+/**
+ * Checks if a password is in the breached password corpus.
+ * Only the first 5 characters of the SHA-1 hash pick the range file (k-anonymity),
+ * the rest of the hash is looked up in that file
+ * 
+ * @async
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} Weather the password has been breached (false without a corpus)
+ */
+const isBreached = async (password) => {
+    if (!passwordPolicyConfig.breachedCorpusDir) {
+        return false;
+    }
+
+    const hash = crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+    const prefix = hash.slice(0, 5);
+    const suffix = hash.slice(5);
+
+    let range;
+    try {
+        range = await fs.readFile(path.join(passwordPolicyConfig.breachedCorpusDir, `${prefix}.txt`), "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return false;
+        }
+        throw error;
+    }
+
+    // lines look like SUFFIX:COUNT
+    return range.split(/\r?\n/).some(line => {
+        const [lineSuffix, count] = line.trim().split(":");
+        return lineSuffix === suffix && parseInt(count, 10) > 0;
+    });
+};
+
+/**
+ * Checks a password against every rule of the password policy.
+ * 
+ * @async
+ * @param {string} password - Password to check
+ * @param {string} [username] - Username the password is for
+ * @returns {Promise<{rule: string, message: string}[]>} The rules the password breaks, empty if it's fine
+ */
+const validatePassword = async (password, username) => {
+    const violations = [];
+
+    if ([...password].length < passwordPolicyConfig.minLength) {
+        violations.push({
+            rule: "min_length",
+            message: `Password must be at least ${passwordPolicyConfig.minLength} characters long`
+        });
+    }
+
+    if (Buffer.byteLength(password, "utf8") > passwordPolicyConfig.maxLength) {
+        violations.push({
+            rule: "max_length",
+            message: `Password must be at most ${passwordPolicyConfig.maxLength} bytes long`
+        });
+    }
+
+    if ((await loadBlocklist()).has(password.toLowerCase())) {
+        violations.push({
+            rule: "common",
+            message: "Password is too common"
+        });
+    }
+
+    if (typeof username === "string" && username.trim().length >= 3
+        && password.toLowerCase().includes(username.trim().toLowerCase())) {
+        violations.push({
+            rule: "contains_username",
+            message: "Password must not contain the username"
+        });
+    }
+
+    if (await isBreached(password)) {
+        violations.push({
+            rule: "breached",
+            message: "Password has appeared in a data breach"
+        });
+    }
+
+    return violations;
+};
+
+export { validatePassword };
@@ -0,0 +1,87 @@
+/**
+ * Opaque token utilities for Haru_chat
+ * provides functions for generating random tokens and hashing them
+ * so only the hash has to be stored in the database
+ * 
+ * @module utils/tokenUtils
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generates a random url safe opaque token.
+ * 
+ * @param {number} [bytes=32] - Amount of random bytes in the token
+ * @returns {string} base64url encoded token
+ */
+const generateOpaqueToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString("base64url");
+};
+
+/**
+ * Hashes a token with SHA-256.
+ * Opaque tokens are long and random so a fast hash is enough here (unlike passwords)
+ * 
+ * @param {string} token - Token to hash
+ * @returns {string} hex encoded SHA-256 hash of the token
+ */
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Compares two secrets in constant time
+ * so the comparison time doesn't leak how much of the secret was right.
+ * 
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} Weather the secrets are equal
+ */
+const safeCompare = (a, b) => {
+    if (typeof a !== "string" || typeof b !== "string") {
+        return false;
+    }
+
+    // hash first so both buffers have the same length
+    return crypto.timingSafeEqual(
+        crypto.createHash("sha256").update(a).digest(),
+        crypto.createHash("sha256").update(b).digest()
+    );
+};
+
+/**
+ * Extracts client credentials from a request.
+ * Accepts HTTP Basic authentication or client_id and client_secret in the body.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {{clientId: ?string, clientSecret: ?string}} The credentials, null when missing
+ */
+const extractClientCredentials = (req) => {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith("Basic ")) {
+        const decoded = Buffer.from(authHeader.split(" ")[1], "base64").toString("utf8");
+        const separator = decoded.indexOf(":");
+
+        if (separator === -1) {
+            return { clientId: null, clientSecret: null };
+        }
+
+        try {
+            // credentials are form encoded before base64 (RFC 6749 2.3.1)
+            return {
+                clientId: decodeURIComponent(decoded.slice(0, separator)),
+                clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+            };
+        } catch (error) {
+            return { clientId: null, clientSecret: null };
+        }
+    }
+
+    return {
+        clientId: req.body?.client_id || null,
+        clientSecret: req.body?.client_secret || null
+    };
+};
+
+export { generateOpaqueToken, hashToken, safeCompare, extractClientCredentials };
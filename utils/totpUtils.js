@@ -0,0 +1,168 @@
+/**
+ * Time-based one-time password (TOTP) utilities for two-factor authentication
+ * provides functions for generating secrets, otpauth URIs and checking codes (RFC 6238)
+ * 
+ * @module utils/totpUtils
+ */
+
+import crypto from "crypto";
+
+/**
+ * Base32 alphabet used by authenticator apps (RFC 4648)
+ * @type {string}
+ */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Length of a time step in seconds
+ * @type {number}
+ */
+const STEP_SECONDS = 30;
+
+/**
+ * Amount of digits in a code
+ * @type {number}
+ */
+const DIGITS = 6;
+
+/**
+ * Encodes bytes as base32 without padding.
+ * 
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decodes a base32 string (padding, spaces and case are ignored).
+ * 
+ * @param {string} input - base32 string
+ * @returns {Buffer} decoded bytes
+ * @throws {Error} If the string contains invalid characters
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret.
+ * 
+ * @returns {string} base32 encoded 160 bit secret
+ */
+const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generates the code for a time step (HOTP, RFC 4226).
+ * 
+ * @param {string} secret - base32 encoded secret
+ * @param {number} step - Time step
+ * @returns {string} Zero padded code
+ */
+const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Gets the current time step.
+ * 
+ * @returns {number} Current time step
+ */
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Checks a code against the current time step
+ * and the steps right before and after to allow for clock drift.
+ * 
+ * @param {string} secret - base32 encoded secret
+ * @param {string} code - Code given by the user
+ * @param {number} [window=1] - Amount of steps before and after to accept
+ * @returns {?number} The time step the code matched or null if it didn't match
+ */
+const verifyTotp = (secret, code, window = 1) => {
+    if (typeof code !== "string" || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const now = currentStep();
+
+    for (let step = now - window; step <= now + window; step++) {
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Builds an otpauth URI that authenticator apps can read (usually from a QR code).
+ * 
+ * @param {string} secret - base32 encoded secret
+ * @param {string} accountName - Name of the account, e.g. the username
+ * @param {string} issuer - Name of the service
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export { generateTotpSecret, generateTotp, verifyTotp, buildOtpauthUri };
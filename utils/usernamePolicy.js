@@ -0,0 +1,162 @@
+/**
+ * Username policy for Haru_chat
+ * normalizes usernames (NFKC) and checks them against the length limits, the allowed characters
+ * and the reserved names. The confusable skeleton of a username is what lookalike usernames
+ * (e.g. "admin" written with a Cyrillic "а", or "I" for "l") have in common
+ * 
+ * @module utils/usernamePolicy
+ */
+
+import { usernamePolicyConfig } from "../config/auth.js";
+
+/**
+ * Characters looking like a latin letter or digit and the character they look like.
+ * A small part of the Unicode confusables (UTS #39) covering the scripts lookalikes are usually made from,
+ * compatibility forms (fullwidth, math letters, ...) are already folded by NFKC
+ * @type {Map<string, string>}
+ */
+const CONFUSABLES = new Map(Object.entries({
+    // latin and digits
+    "I": "l", "1": "l", "|": "l", "0": "o",
+    // cyrillic
+    "а": "a", "А": "a", "В": "b", "в": "b", "с": "c", "С": "c", "ԁ": "d", "е": "e", "Е": "e",
+    "һ": "h", "Н": "h", "н": "h", "і": "i", "І": "l", "ӏ": "l", "Ӏ": "l", "ј": "j", "Ј": "j",
+    "К": "k", "к": "k", "М": "m", "м": "m", "о": "o", "О": "o", "р": "p", "Р": "p", "ԛ": "q",
+    "ѕ": "s", "Ѕ": "s", "Т": "t", "т": "t", "у": "y", "У": "y", "ԝ": "w", "х": "x", "Х": "x",
+    // greek
+    "α": "a", "Α": "a", "Β": "b", "ε": "e", "Ε": "e", "Ζ": "z", "Η": "h", "ι": "i", "Ι": "l",
+    "κ": "k", "Κ": "k", "Μ": "m", "ν": "v", "Ν": "n", "ο": "o", "Ο": "o", "ρ": "p", "Ρ": "p",
+    "τ": "t", "Τ": "t", "υ": "u", "Υ": "y", "χ": "x", "Χ": "x"
+}));
+
+/**
+ * Letter sequences looking like another letter
+ * @type {Array<[RegExp, string]>}
+ */
+const CONFUSABLE_SEQUENCES = [
+    [/rn/g, "m"],
+    [/vv/g, "w"]
+];
+
+/**
+ * Characters allowed between letters and digits
+ * @type {RegExp}
+ */
+const SEPARATORS = /[_.-]/g;
+
+/**
+ * Normalizes a username the way it's stored: NFKC (so fullwidth and other
+ * compatibility forms become the usual characters) without surrounding whitespace.
+ * 
+ * @param {string} username - Username as typed
+ * @returns {string} Normalized username
+ */
+const normalizeUsername = (username) => {
+    return username.normalize("NFKC").trim();
+};
+
+/**
+ * Maps every character of a string to the one it looks like.
+ * 
+ * @param {string} value - String to map
+ * @returns {string} Mapped string
+ */
+const mapConfusables = (value) => {
+    return [...value].map(char => CONFUSABLES.get(char) ?? char).join("");
+};
+
+/**
+ * Gets the confusable skeleton of a username.
+ * Usernames with the same skeleton look alike and can't both exist.
+ * Case and accents are ignored, lookalike characters and sequences are replaced.
+ * 
+ * @param {string} username - Username
+ * @returns {string} The skeleton
+ */
+const getUsernameSkeleton = (username) => {
+    // accents are combining marks after NFKD
+    const withoutMarks = normalizeUsername(username).normalize("NFKD").replace(/\p{M}/gu, "");
+
+    // mapped before lower casing so "I" still counts as "l", and after it for the lower case forms
+    let skeleton = mapConfusables(mapConfusables(withoutMarks).toLowerCase());
+    for (const [pattern, replacement] of CONFUSABLE_SEQUENCES) {
+        skeleton = skeleton.replace(pattern, replacement);
+    }
+
+    return skeleton;
+};
+
+/**
+ * Gets the skeleton a username is compared to the reserved names with.
+ * Stricter than the skeleton: separators are ignored and "i" counts as "l" too,
+ * so "ad_min" and "adm1n" are reserved like "admin".
+ * 
+ * @param {string} username - Username
+ * @returns {string} The reserved name skeleton
+ */
+const getReservedSkeleton = (username) => {
+    return getUsernameSkeleton(username).replace(SEPARATORS, "").replace(/i/g, "l");
+};
+
+/**
+ * Checks if a username is or looks like a reserved name.
+ * 
+ * @param {string} username - Normalized username
+ * @returns {boolean} Whether the username is reserved
+ */
+const isReserved = (username) => {
+    const skeleton = getReservedSkeleton(username);
+
+    return usernamePolicyConfig.reserved.some(name => getReservedSkeleton(name) === skeleton);
+};
+
+/**
+ * Checks a normalized username against every rule of the username policy.
+ * 
+ * @param {string} username - Username, normalized with normalizeUsername
+ * @returns {{rule: string, message: string}[]} The rules the username breaks, empty if it's fine
+ */
+const validateUsername = (username) => {
+    const violations = [];
+    const length = [...username].length;
+
+    if (length < usernamePolicyConfig.minLength) {
+        violations.push({
+            rule: "min_length",
+            message: `Username must be at least ${usernamePolicyConfig.minLength} characters long`
+        });
+    }
+
+    if (length > usernamePolicyConfig.maxLength) {
+        violations.push({
+            rule: "max_length",
+            message: `Username must be at most ${usernamePolicyConfig.maxLength} characters long`
+        });
+    }
+
+    const allowed = usernamePolicyConfig.allowUnicode ? /^[\p{L}\p{M}\p{N}_.-]*$/u : /^[A-Za-z0-9_.-]*$/;
+    if (!allowed.test(username)) {
+        violations.push({
+            rule: "characters",
+            message: usernamePolicyConfig.allowUnicode
+                ? "Username can only contain letters, digits, _, . and -"
+                : "Username can only contain a-z, A-Z, 0-9, _, . and -"
+        });
+    } else if (/^[_.-]|[_.-]$|[_.-]{2}/.test(username)) {
+        violations.push({
+            rule: "separators",
+            message: "Username must start and end with a letter or digit and can't have two of _, . and - in a row"
+        });
+    }
+
+    if (length > 0 && isReserved(username)) {
+        violations.push({
+            rule: "reserved",
+            message: "Username is reserved"
+        });
+    }
+
+    return violations;
+};
+
+export { normalizeUsername, getUsernameSkeleton, validateUsername };